@@ -3,701 +3,4413 @@
 // ========================================
 
 class UserManager {
-    constructor() {
+    constructor(options = {}) {
         this.currentUser = null;
-        this.users = this.loadUsers();
+        this.users = [];
+        // Chosen by init() unless given, e.g. LocalStorageRecordStores in tests
+        this.store = options.store || null;
+        this.collectionStore = options.collectionStore || null;
+        this.hasher = new PasswordHasher(options.hashIterations);
+        // Rates account passwords with the same estimator the generator and analyzer use
+        this.passwordGenerator = options.passwordGenerator || new PasswordGenerator();
+        this.vault = new CryptoVault();
+        this.session = new SessionManager(localStorage, options.session);
+        this.throttle = new LoginThrottle(localStorage, options.throttle);
+        this.securityLog = new SecurityLog(localStorage);
+        this.sessionToken = null;
+        this.pendingSave = Promise.resolve();
+        this.syncOptions = options.sync || {};
+        this.syncClient = null;
+        this.syncing = null;
+        this.syncError = null;
+        this.lastSyncAttemptAt = 0;
+        // Unwrapped collection keys by collection id and key version, kept while the vault is open
+        this.collectionKeys = new Map();
+        this.pendingCollectionWrite = Promise.resolve();
+
+        // Older builds kept the whole user record, password hash included, under this key
+        localStorage.removeItem('currentUser');
     }
 
-    loadUsers() {
-        const users = localStorage.getItem('users');
-        return users ? JSON.parse(users) : [];
+    // Opens storage and reads every account; call once before anything else
+    async init() {
+        this.store = this.store || await RecordStore.open('users');
+        this.collectionStore = this.collectionStore || await RecordStore.open('sharedCollections');
+        this.users = await this.store.loadAll();
     }
 
-    saveUsers() {
-        localStorage.setItem('users', JSON.stringify(this.users));
+    saveUser(user) {
+        return this.store.put(user);
     }
 
-    register(username, email, password) {
-        // Validate inputs
-        if (!username || !email || !password) {
-            throw new Error('All fields are required');
-        }
+    async register(username, email, password) {
+        username = String(username || '').trim();
+        email = String(email || '').trim();
 
-        if (password.length < 8) {
-            throw new Error('Password must be at least 8 characters');
-        }
+        UserManager.throwFieldErrors(this.validateAccount({ username, email, password }));
 
-        // Check if user exists
-        if (this.users.find(u => u.email === email || u.username === username)) {
-            throw new Error('User already exists');
-        }
+        // The sharing key pair is made now, so others can share with the account before it first signs in
+        const { publicKey, privateKey } = await ShareCrypto.generateKeyPair();
+        const vault = new CryptoVault();
+        const salt = CryptoVault.generateSalt();
+        await vault.unlock(password, salt);
 
-        // Create new user
         const user = {
             id: Date.now().toString(),
             username,
             email,
-            password: this.hashPassword(password),
+            password: await this.hasher.hash(password),
             createdAt: new Date().toISOString(),
-            passwordHistory: []
+            publicKey,
+            vault: { salt, iterations: vault.iterations, ...await vault.encrypt({ privateKey }) }
         };
 
+        await this.saveUser(user);
         this.users.push(user);
-        this.saveUsers();
         return user;
     }
 
-    login(identifier, password) {
-        const user = this.users.find(u =>
-            u.email === identifier || u.username === identifier
-        );
+    // Field name to message for every problem with the given fields; fields left out aren't checked.
+    // `exceptId` is the account being edited, which may keep its own username and email.
+    validateAccount({ username, email, password }, exceptId = null) {
+        const errors = {};
 
-        if (!user) {
-            throw new Error('Invalid credentials');
+        if (username !== undefined) {
+            const error = UserManager.checkUsername(username) ||
+                (this.isTaken('username', username, exceptId) ? 'That username is already taken' : null);
+            if (error) errors.username = error;
         }
 
-        if (user.password !== this.hashPassword(password)) {
-            throw new Error('Invalid credentials');
+        if (email !== undefined) {
+            const error = UserManager.checkEmail(email) ||
+                (this.isTaken('email', email, exceptId) ? 'An account with that email already exists' : null);
+            if (error) errors.email = error;
         }
 
-        this.currentUser = user;
-        localStorage.setItem('currentUser', JSON.stringify(user));
-        return user;
+        if (password !== undefined) {
+            const error = this.checkPassword(password, [username, email].filter(Boolean));
+            if (error) errors.password = error;
+        }
+
+        return errors;
     }
 
-    logout() {
-        this.currentUser = null;
-        localStorage.removeItem('currentUser');
+    // Usernames and emails are unique regardless of case, since either one signs in
+    isTaken(field, value, exceptId = null) {
+        const wanted = value.toLowerCase();
+        return this.users.some(u => u.id !== exceptId && String(u[field]).toLowerCase() === wanted);
     }
 
-    getCurrentUser() {
-        if (!this.currentUser) {
-            const stored = localStorage.getItem('currentUser');
-            if (stored) {
-                this.currentUser = JSON.parse(stored);
+    // The account password also keys the vault, so it has to hold up to offline guessing
+    checkPassword(password, userInputs = []) {
+        if (!password) return 'Password is required';
+
+        if (password.length < UserManager.MIN_PASSWORD_LENGTH) {
+            return `Password must be at least ${UserManager.MIN_PASSWORD_LENGTH} characters`;
+        }
+
+        const { strength, feedback } = this.passwordGenerator.calculateStrength(password, undefined, userInputs);
+        if (UserManager.STRENGTH_LEVELS.indexOf(strength) < UserManager.STRENGTH_LEVELS.indexOf(UserManager.MIN_PASSWORD_STRENGTH)) {
+            const hint = feedback[0] || 'Add a few more random words or characters';
+            return `Password rates ${strength}, but at least ${UserManager.MIN_PASSWORD_STRENGTH} is required. ${hint}`;
+        }
+
+        return null;
+    }
+
+    findUser(identifier) {
+        const wanted = String(identifier || '').trim().toLowerCase();
+        return this.users.find(u => u.email.toLowerCase() === wanted || u.username.toLowerCase() === wanted);
+    }
+
+    // `code` is an authenticator or recovery code, needed once two-factor authentication is on
+    async login(identifier, password, code = '') {
+        const user = this.findUser(identifier);
+        const attemptKey = LoginThrottle.keyFor(user, identifier);
+        this.throttle.assertAllowed(attemptKey);
+
+        if (!user) {
+            this.recordFailedSignIn(attemptKey, null);
+            throw new Error('Invalid credentials');
+        }
+
+        try {
+            await this.authenticate(user, password);
+        } catch (error) {
+            this.recordFailedSignIn(attemptKey, user, 'Wrong password');
+            throw error;
+        }
+
+        // The TOTP secret lives in the vault, so it can only be checked once the password has opened it
+        let method;
+        try {
+            method = await this.checkSecondFactor(code);
+        } catch (error) {
+            await this.lock();
+            if (error.code !== UserManager.TWO_FACTOR_REQUIRED) {
+                this.recordFailedSignIn(attemptKey, user, 'Wrong authentication code');
             }
+            throw error;
         }
+
+        this.throttle.reset(attemptKey);
+        this.logSecurityEvent('login', method === 'recovery' ? 'With a recovery code' : '');
+        this.sessionToken = this.session.start(user).token;
         return this.currentUser;
     }
 
-    // Simple hash function (in production, use bcrypt or similar)
-    hashPassword(password) {
-        let hash = 0;
-        for (let i = 0; i < password.length; i++) {
-            const char = password.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
+    recordFailedSignIn(attemptKey, user, reason) {
+        const { lockedUntil } = this.throttle.recordFailure(attemptKey);
+        if (!user) return;
+
+        this.securityLog.add(user.id, 'login_failed', reason);
+        if (lockedUntil > Date.now()) {
+            this.securityLog.add(user.id, 'lockout', `After ${this.throttle.lockoutThreshold} failed attempts in a row`);
         }
-        return hash.toString(36);
     }
 
-    addPasswordToHistory(password, strength) {
-        if (!this.currentUser) return;
+    // Re-opens a locked session; only the password is needed since the session says who it belongs
+    // to and was already confirmed with the second factor
+    async unlock(password) {
+        const session = this.session.get();
+        const user = session && this.users.find(u => u.id === session.userId);
 
-        const historyItem = {
-            password,
-            strength,
-            timestamp: new Date().toISOString()
-        };
+        if (!user) {
+            this.session.end();
+            throw new Error('Your session has expired. Please sign in again');
+        }
 
-        this.currentUser.passwordHistory = this.currentUser.passwordHistory || [];
-        this.currentUser.passwordHistory.unshift(historyItem);
+        const attemptKey = LoginThrottle.keyFor(user);
+        this.throttle.assertAllowed(attemptKey);
+
+        try {
+            await this.authenticate(user, password);
+        } catch (error) {
+            this.recordFailedSignIn(attemptKey, user, 'Wrong password on the lock screen');
+            throw error;
+        }
 
-        // Keep only last 20 passwords
-        if (this.currentUser.passwordHistory.length > 20) {
-            this.currentUser.passwordHistory = this.currentUser.passwordHistory.slice(0, 20);
+        this.throttle.reset(attemptKey);
+        this.logSecurityEvent('unlock');
+        this.sessionToken = session.token;
+        this.session.touch(Date.now(), true);
+        return this.currentUser;
+    }
+
+    async authenticate(user, password) {
+        if (!(await this.hasher.verify(password, user.password))) {
+            throw new Error('Invalid credentials');
         }
 
-        // Update in storage
-        const userIndex = this.users.findIndex(u => u.id === this.currentUser.id);
-        if (userIndex !== -1) {
-            this.users[userIndex] = this.currentUser;
-            this.saveUsers();
-            localStorage.setItem('currentUser', JSON.stringify(this.currentUser));
+        // Upgrade legacy or weaker hashes now that we have the plaintext
+        if (this.hasher.needsRehash(user.password)) {
+            user.password = await this.hasher.hash(password);
+            await this.saveUser(user);
         }
+
+        await this.unlockVault(user, password);
     }
 
-    clearPasswordHistory() {
-        if (!this.currentUser) return;
+    async unlockVault(user, password) {
+        const profile = this.stripSecrets(user);
+        let secrets;
 
-        this.currentUser.passwordHistory = [];
+        if (user.vault) {
+            await this.vault.unlock(password, user.vault.salt, user.vault.iterations);
+            try {
+                secrets = await this.vault.decrypt(user.vault);
+            } catch (error) {
+                this.vault.lock();
+                throw error;
+            }
+        } else {
+            // Accounts from before encryption keep their history in plaintext: move it into a new vault
+            profile.vault = {
+                salt: CryptoVault.generateSalt(),
+                iterations: this.vault.iterations
+            };
+            await this.vault.unlock(password, profile.vault.salt, profile.vault.iterations);
+            secrets = { passwordHistory: user.passwordHistory || [] };
+        }
 
-        // Update in storage
-        const userIndex = this.users.findIndex(u => u.id === this.currentUser.id);
-        if (userIndex !== -1) {
-            this.users[userIndex] = this.currentUser;
-            this.saveUsers();
-            localStorage.setItem('currentUser', JSON.stringify(this.currentUser));
+        // Entries saved before the vault had labels get an id and empty fields
+        secrets.passwordHistory = (secrets.passwordHistory || []).map(UserManager.normalizeHistoryEntry);
+        secrets.twoFactor = secrets.twoFactor || null;
+        secrets.deletedHistory = secrets.deletedHistory || {};
+        secrets.sync = secrets.sync || null;
+        secrets.contacts = secrets.contacts || [];
+
+        // Accounts from before sharing get their key pair the first time they sign in
+        if (!secrets.privateKey || !profile.publicKey) {
+            const { publicKey, privateKey } = await ShareCrypto.generateKeyPair();
+            profile.publicKey = publicKey;
+            secrets.privateKey = privateKey;
         }
+
+        this.currentUser = { ...profile, ...secrets };
+        await this.persistCurrentUser();
     }
 
-    isPasswordUnique(password) {
-        if (!this.currentUser || !this.currentUser.passwordHistory) return true;
-        return !this.currentUser.passwordHistory.some(item => item.password === password);
+    // Forgets the key and decrypted data but keeps the session, so only the password is needed to continue
+    async lock() {
+        // Let queued writes finish before the key goes away
+        await this.pendingSave;
+        this.vault.lock();
+        this.currentUser = null;
+        this.syncClient = null;
+        this.syncError = null;
+        this.collectionKeys.clear();
     }
-}
 
-// ========================================
-// PASSWORD GENERATOR
-// ========================================
+    async logout() {
+        this.logSecurityEvent('logout');
+        await this.lock();
+        this.session.end();
+        this.sessionToken = null;
+    }
 
-class PasswordGenerator {
-    constructor() {
-        this.charsets = {
-            uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
-            lowercase: 'abcdefghijklmnopqrstuvwxyz',
-            numbers: '0123456789',
-            special: '!@#$%^&*()-_=+[]{}|;:,.<>?',
-            similar: 'O0lI1',
-            memorableWords: [
-                'Alpha', 'Brave', 'Cyber', 'Delta', 'Eagle', 'Frost', 'Ghost', 'Hawk',
-                'Iron', 'Jade', 'Knight', 'Lotus', 'Mystic', 'Noble', 'Omega', 'Phoenix',
-                'Quest', 'Razor', 'Storm', 'Tiger', 'Ultra', 'Viper', 'Wolf', 'Xenon',
-                'Zenith', 'Blaze', 'Crown', 'Drake', 'Echo', 'Falcon'
-            ]
-        };
+    getCurrentUser() {
+        // Decrypted data only exists in memory while the vault is unlocked
+        return this.vault.isUnlocked() ? this.currentUser : null;
     }
 
-    generate(options) {
-        const {
-            length = 16,
-            includeUppercase = true,
-            includeLowercase = true,
-            includeNumbers = true,
-            includeSpecial = true,
-            excludeSimilar = false,
-            memorableMode = false
-        } = options;
+    getSession() {
+        return this.session.get();
+    }
 
-        // Validate at least one character type
-        if (!includeUppercase && !includeLowercase && !includeNumbers && !includeSpecial) {
-            throw new Error('At least one character type must be selected');
+    logSecurityEvent(type, detail = '') {
+        if (this.currentUser) {
+            this.securityLog.add(this.currentUser.id, type, detail);
         }
+    }
 
-        if (memorableMode) {
-            return this.generateMemorable(length, options);
-        } else {
-            return this.generateRandom(length, options);
+    getSecurityEvents() {
+        return this.currentUser ? this.securityLog.list(this.currentUser.id) : [];
+    }
+
+    getSessionStatus() {
+        return this.session.status(this.sessionToken);
+    }
+
+    touchSession() {
+        this.session.touch();
+    }
+
+    async verifyCurrentPassword(password) {
+        if (!this.getCurrentUser()) {
+            throw new Error('Log in to manage your account');
+        }
+
+        if (!password || !(await this.hasher.verify(password, this.currentUser.password))) {
+            UserManager.throwFieldErrors({ currentPassword: 'Current password is incorrect' });
         }
     }
 
-    generateRandom(length, options) {
-        let charset = '';
+    async updateProfile({ username, email }, currentPassword) {
+        username = String(username || '').trim();
+        email = String(email || '').trim();
 
-        if (options.includeUppercase) charset += this.charsets.uppercase;
-        if (options.includeLowercase) charset += this.charsets.lowercase;
-        if (options.includeNumbers) charset += this.charsets.numbers;
-        if (options.includeSpecial) charset += this.charsets.special;
+        UserManager.throwFieldErrors(this.validateAccount({ username, email }, this.currentUser && this.currentUser.id));
+        await this.verifyCurrentPassword(currentPassword);
 
-        // Remove similar characters if requested
-        if (options.excludeSimilar) {
-            charset = charset.split('').filter(char =>
-                !this.charsets.similar.includes(char)
-            ).join('');
+        const changed = [
+            username !== this.currentUser.username ? 'username' : null,
+            email !== this.currentUser.email ? 'email' : null
+        ].filter(Boolean);
+
+        this.currentUser.username = username;
+        this.currentUser.email = email;
+        await this.persistCurrentUser();
+        if (changed.length) {
+            this.logSecurityEvent('profile_updated', `Changed ${changed.join(' and ')}`);
+        }
+        this.session.update({ username });
+        return this.currentUser;
+    }
+
+    // Derives a new vault key and re-encrypts every secret under it
+    async changePassword(currentPassword, newPassword) {
+        await this.verifyCurrentPassword(currentPassword);
+
+        const { username, email } = this.currentUser;
+        const error = this.checkPassword(newPassword, [username, email]);
+        if (error) {
+            UserManager.throwFieldErrors({ password: error });
         }
 
-        let password = '';
-        const array = new Uint32Array(length);
-        crypto.getRandomValues(array);
+        if (newPassword === currentPassword) {
+            throw new Error('New password must be different from the current one');
+        }
+
+        const vault = new CryptoVault();
+        const salt = CryptoVault.generateSalt();
+        await vault.unlock(newPassword, salt);
+        const hash = await this.hasher.hash(newPassword);
+
+        // Swap inside the save queue, so no write in flight can pair the old key's ciphertext with the new salt
+        this.pendingSave = this.pendingSave.then(() => {
+            this.vault.lock();
+            this.vault = vault;
+            this.currentUser.password = hash;
+            this.currentUser.vault = { salt, iterations: vault.iterations };
+        });
+
+        await this.persistCurrentUser();
+        this.logSecurityEvent('password_changed');
+    }
+
+    // Removes the account and everything stored with it, then signs out
+    async deleteAccount(currentPassword) {
+        await this.verifyCurrentPassword(currentPassword);
+
+        const { id } = this.currentUser;
+        await this.logout();
+        this.users = this.users.filter(u => u.id !== id);
+        await this.store.delete(id);
+        await this.removeFromCollections(id);
+        this.securityLog.remove(id);
+        this.throttle.reset(LoginThrottle.keyFor({ id }));
+    }
+
+    // Resolves to how the second factor was given ('totp' or 'recovery'), or null when the account has none
+    async checkSecondFactor(code) {
+        if (!this.currentUser.twoFactor) return null;
 
-        for (let i = 0; i < length; i++) {
-            password += charset[array[i] % charset.length];
+        if (!code) {
+            const error = new Error('Enter the code from your authenticator app');
+            error.code = UserManager.TWO_FACTOR_REQUIRED;
+            throw error;
         }
 
-        // Ensure at least one character from each selected type
-        password = this.ensureComplexity(password, charset, options);
+        const method = await this.useSecondFactor(code);
+        if (!method) {
+            throw new Error('Invalid authentication code');
+        }
+        return method;
+    }
 
-        return password;
+    getTwoFactorStatus() {
+        const twoFactor = this.currentUser && this.currentUser.twoFactor;
+        return twoFactor
+            ? { enabled: true, enabledAt: twoFactor.enabledAt, recoveryCodesLeft: twoFactor.recoveryCodes.length }
+            : { enabled: false };
     }
 
-    generateMemorable(length, options) {
-        // Generate memorable password using words + numbers + special chars
-        const numWords = Math.min(3, Math.floor(length / 6));
-        const words = [];
+    // A fresh secret to show the user; nothing is stored until enableTwoFactor confirms a code for it
+    createTwoFactorSetup() {
+        if (!this.getCurrentUser()) {
+            throw new Error('Log in to set up two-factor authentication');
+        }
+
+        const secret = Totp.generateSecret();
+        return {
+            secret,
+            uri: Totp.buildUri({ secret, account: this.currentUser.email, issuer: UserManager.TWO_FACTOR_ISSUER })
+        };
+    }
 
-        for (let i = 0; i < numWords; i++) {
-            const randomIndex = crypto.getRandomValues(new Uint32Array(1))[0]
-                % this.charsets.memorableWords.length;
-            words.push(this.charsets.memorableWords[randomIndex]);
+    // Returns the recovery codes in plain text; only their hashes are kept
+    async enableTwoFactor(secret, code) {
+        if (!this.getCurrentUser()) {
+            throw new Error('Log in to set up two-factor authentication');
         }
 
-        let password = words.join('');
+        const counter = await Totp.verify(secret, code);
+        if (counter === null) {
+            throw new Error('That code doesn\'t match. Check the time on your device and try again');
+        }
 
-        // Add numbers and special characters to reach desired length
-        const remaining = length - password.length;
+        const recoveryCodes = UserManager.generateRecoveryCodes();
+        this.currentUser.twoFactor = {
+            secret,
+            lastCounter: counter,
+            enabledAt: new Date().toISOString(),
+            recoveryCodes: await Promise.all(recoveryCodes.map(UserManager.hashRecoveryCode))
+        };
 
-        if (remaining > 0) {
-            let extraChars = '';
-            if (options.includeNumbers) extraChars += this.charsets.numbers;
-            if (options.includeSpecial) extraChars += this.charsets.special;
+        await this.persistCurrentUser();
+        this.logSecurityEvent('two_factor_enabled');
+        return recoveryCodes;
+    }
 
-            if (extraChars) {
-                const array = new Uint32Array(remaining);
-                crypto.getRandomValues(array);
+    async disableTwoFactor(code) {
+        if (!this.getCurrentUser() || !this.currentUser.twoFactor) return;
 
-                for (let i = 0; i < remaining; i++) {
-                    password += extraChars[array[i] % extraChars.length];
-                }
-            }
+        if (!(await this.useSecondFactor(code))) {
+            throw new Error('Invalid authentication code');
         }
 
-        // Trim to exact length
-        return password.substring(0, length);
+        this.currentUser.twoFactor = null;
+        await this.persistCurrentUser();
+        this.logSecurityEvent('two_factor_disabled');
     }
 
-    ensureComplexity(password, charset, options) {
-        const checks = [];
+    async regenerateRecoveryCodes(code) {
+        if (!this.getCurrentUser() || !this.currentUser.twoFactor) {
+            throw new Error('Two-factor authentication is not enabled');
+        }
+
+        if (!(await this.useSecondFactor(code))) {
+            throw new Error('Invalid authentication code');
+        }
+
+        const recoveryCodes = UserManager.generateRecoveryCodes();
+        this.currentUser.twoFactor.recoveryCodes = await Promise.all(recoveryCodes.map(UserManager.hashRecoveryCode));
+        await this.persistCurrentUser();
+        this.logSecurityEvent('recovery_codes_regenerated');
+        return recoveryCodes;
+    }
 
-        if (options.includeUppercase)
-            checks.push(() => /[A-Z]/.test(password));
-        if (options.includeLowercase)
-            checks.push(() => /[a-z]/.test(password));
-        if (options.includeNumbers)
-            checks.push(() => /[0-9]/.test(password));
-        if (options.includeSpecial)
-            checks.push(() => /[!@#$%^&*()\-_=+\[\]{}|;:,.<>?]/.test(password));
+    // Accepts a current TOTP code or an unused recovery code; either is spent on success.
+    // Resolves to 'totp' or 'recovery' for the kind that matched, or null.
+    async useSecondFactor(code) {
+        const twoFactor = this.currentUser.twoFactor;
+        const input = String(code || '').trim();
 
-        // If any check fails, regenerate
-        if (checks.some(check => !check())) {
-            return this.generateRandom(password.length, options);
+        const counter = await Totp.verify(twoFactor.secret, input);
+        if (counter !== null) {
+            // A code already used, or one older than the last used, could have been observed
+            if (counter <= twoFactor.lastCounter) return null;
+            twoFactor.lastCounter = counter;
+            await this.persistCurrentUser();
+            return 'totp';
         }
 
-        return password;
+        const index = twoFactor.recoveryCodes.indexOf(await UserManager.hashRecoveryCode(input));
+        if (index === -1) return null;
+
+        twoFactor.recoveryCodes.splice(index, 1);
+        await this.persistCurrentUser();
+        return 'recovery';
     }
 
-    calculateStrength(password) {
-        let score = 0;
-        let feedback = [];
+    stripSecrets(user) {
+        const profile = { ...user };
+        UserManager.SECRET_FIELDS.forEach(field => delete profile[field]);
+        return profile;
+    }
 
-        // Length score
-        if (password.length >= 16) score += 25;
-        else if (password.length >= 12) score += 15;
-        else if (password.length >= 8) score += 10;
-        else score += 5;
+    persistCurrentUser() {
+        // Serialize writes so an older ciphertext never overwrites a newer one
+        const result = this.pendingSave.then(async () => {
+            if (!this.currentUser || !this.vault.isUnlocked()) return;
 
-        // Character variety
-        if (/[a-z]/.test(password)) score += 15;
-        if (/[A-Z]/.test(password)) score += 15;
-        if (/[0-9]/.test(password)) score += 15;
-        if (/[!@#$%^&*()\-_=+\[\]{}|;:,.<>?]/.test(password)) score += 20;
+            const secrets = {};
+            UserManager.SECRET_FIELDS.forEach(field => {
+                secrets[field] = this.currentUser[field];
+            });
 
-        // Entropy calculation
-        const entropy = this.calculateEntropy(password);
-        if (entropy > 80) score += 10;
-        else if (entropy > 60) score += 5;
+            const encrypted = await this.vault.encrypt(secrets);
+            this.currentUser.vault = { ...this.currentUser.vault, ...encrypted };
 
-        // Determine strength level
-        let strength = '';
-        if (score >= 80) strength = 'Very Strong';
-        else if (score >= 60) strength = 'Strong';
-        else if (score >= 40) strength = 'Medium';
-        else strength = 'Weak';
+            const record = this.stripSecrets(this.currentUser);
+            const userIndex = this.users.findIndex(u => u.id === record.id);
+            if (userIndex !== -1) {
+                this.users[userIndex] = record;
+                await this.saveUser(record);
+            }
+        });
 
-        return { strength, score, entropy };
+        // One failed save (a full disk, say) mustn't block the ones after it, or locking and logging out
+        this.pendingSave = result.catch(() => {});
+        return result;
     }
 
-    calculateEntropy(password) {
-        let charset = 0;
-        if (/[a-z]/.test(password)) charset += 26;
-        if (/[A-Z]/.test(password)) charset += 26;
-        if (/[0-9]/.test(password)) charset += 10;
-        if (/[!@#$%^&*()\-_=+\[\]{}|;:,.<>?]/.test(password)) charset += 32;
+    // Returns how many old entries the retention limit pushed out
+    async addPasswordToHistory(password, strength, details = {}) {
+        if (!this.currentUser) return 0;
+
+        const now = new Date().toISOString();
+        const entry = UserManager.normalizeHistoryEntry({
+            ...details,
+            password,
+            strength,
+            timestamp: now,
+            updatedAt: now
+        });
+
+        this.currentUser.passwordHistory = this.currentUser.passwordHistory || [];
+        this.currentUser.passwordHistory.unshift(entry);
+        const removed = this.applyHistoryLimit();
 
-        return Math.log2(Math.pow(charset, password.length));
+        await this.persistCurrentUser();
+        return removed;
     }
-}
 
-// ========================================
-// UI MANAGER
-// ========================================
+    getHistoryEntry(id) {
+        if (!this.currentUser) return null;
+        return (this.currentUser.passwordHistory || []).find(entry => entry.id === id) || null;
+    }
 
-class UIManager {
-    constructor(userManager, passwordGenerator) {
-        this.userManager = userManager;
-        this.passwordGenerator = passwordGenerator;
-        this.initializeElements();
-        this.attachEventListeners();
-        this.checkAuthentication();
+    async updateHistoryEntry(id, changes) {
+        const entry = this.getHistoryEntry(id);
+        if (!entry) {
+            throw new Error('Entry not found');
+        }
+
+        // timestamp records when the password was set, which is what rotation age is measured from
+        const now = new Date().toISOString();
+        const passwordChanged = changes.password !== undefined && changes.password !== entry.password;
+
+        Object.assign(entry, UserManager.normalizeHistoryEntry({
+            ...entry,
+            ...changes,
+            id: entry.id,
+            timestamp: passwordChanged ? now : entry.timestamp,
+            updatedAt: now
+        }));
+
+        await this.persistCurrentUser();
+        return entry;
     }
 
-    initializeElements() {
-        // Modals
-        this.authModal = document.getElementById('authModal');
-        this.mainApp = document.getElementById('mainApp');
+    async deleteHistoryEntry(id) {
+        if (!this.currentUser) return;
 
-        // Forms
-        this.loginForm = document.getElementById('loginForm');
-        this.registerForm = document.getElementById('registerForm');
-        this.loginFormElement = document.getElementById('loginFormElement');
-        this.registerFormElement = document.getElementById('registerFormElement');
+        const history = this.currentUser.passwordHistory || [];
+        this.recordDeletedHistory(history.filter(entry => entry.id === id));
+        this.currentUser.passwordHistory = history.filter(entry => entry.id !== id);
+        await this.persistCurrentUser();
+    }
 
-        // Buttons
-        this.showRegisterBtn = document.getElementById('showRegister');
-        this.showLoginBtn = document.getElementById('showLogin');
-        this.logoutBtn = document.getElementById('logoutBtn');
-        this.generateBtn = document.getElementById('generateBtn');
-        this.copyBtn = document.getElementById('copyBtn');
-        this.clearHistoryBtn = document.getElementById('clearHistoryBtn');
-        this.themeToggle = document.getElementById('themeToggle');
+    getHistoryTags() {
+        const tags = new Set();
+        ((this.currentUser && this.currentUser.passwordHistory) || []).forEach(entry => {
+            entry.tags.forEach(tag => tags.add(tag));
+        });
+        return [...tags].sort();
+    }
 
-        // Inputs
-        this.passwordLength = document.getElementById('passwordLength');
-        this.lengthValue = document.getElementById('lengthValue');
-        this.includeUppercase = document.getElementById('includeUppercase');
-        this.includeLowercase = document.getElementById('includeLowercase');
-        this.includeNumbers = document.getElementById('includeNumbers');
-        this.includeSpecial = document.getElementById('includeSpecial');
-        this.excludeSimilar = document.getElementById('excludeSimilar');
-        this.memorableMode = document.getElementById('memorableMode');
+    getHistoryLimit() {
+        const settings = (this.currentUser && this.currentUser.settings) || {};
+        return Number.isInteger(settings.historyLimit) ? settings.historyLimit : UserManager.DEFAULT_HISTORY_LIMIT;
+    }
 
-        // Display
-        this.generatedPassword = document.getElementById('generatedPassword');
-        this.strengthBar = document.getElementById('strengthBar');
-        this.strengthText = document.getElementById('strengthText');
-        this.currentUsername = document.getElementById('currentUsername');
-        this.historyList = document.getElementById('historyList');
-        this.toast = document.getElementById('toast');
+    // A limit of 0 keeps everything. Returns how many entries were removed.
+    async setHistoryLimit(limit) {
+        if (!this.currentUser) return 0;
 
-        // Theme
-        this.moonIcon = document.querySelector('.moon-icon');
-        this.sunIcon = document.querySelector('.sun-icon');
+        if (!Number.isInteger(limit) || limit < 0) {
+            throw new Error('History limit must be a whole number, or 0 to keep everything');
+        }
 
-        // Initialize theme
-        this.initializeTheme();
+        this.currentUser.settings = { ...this.currentUser.settings, historyLimit: limit };
+        const removed = this.applyHistoryLimit();
+
+        await this.persistCurrentUser();
+        return removed;
     }
 
-    initializeTheme() {
-        const savedTheme = localStorage.getItem('theme') || 'dark';
-        if (savedTheme === 'light') {
-            document.body.classList.add('light-theme');
-            this.updateThemeIcons(true);
-        } else {
-            this.updateThemeIcons(false); // Ensure dark theme icons are set if default or saved dark
+    getRotationDays() {
+        const settings = (this.currentUser && this.currentUser.settings) || {};
+        return Number.isInteger(settings.rotationDays) ? settings.rotationDays : UserManager.DEFAULT_ROTATION_DAYS;
+    }
+
+    // 0 turns rotation reminders off
+    async setRotationDays(days) {
+        if (!this.currentUser) return;
+
+        if (!Number.isInteger(days) || days < 0) {
+            throw new Error('Rotation age must be a whole number of days, or 0 to turn it off');
         }
+
+        this.currentUser.settings = { ...this.currentUser.settings, rotationDays: days };
+        await this.persistCurrentUser();
     }
 
-    updateThemeIcons(isLight) {
-        if (this.moonIcon && this.sunIcon) { // Check if elements exist
-            if (isLight) {
-                this.moonIcon.classList.add('hidden');
-                this.sunIcon.classList.remove('hidden');
-            } else {
-                this.moonIcon.classList.remove('hidden');
-                this.sunIcon.classList.add('hidden');
-            }
+    getClipboardClearSeconds() {
+        const settings = (this.currentUser && this.currentUser.settings) || {};
+        return Number.isInteger(settings.clipboardClearSeconds)
+            ? settings.clipboardClearSeconds
+            : UserManager.DEFAULT_CLIPBOARD_CLEAR_SECONDS;
+    }
+
+    // 0 leaves copied passwords on the clipboard
+    async setClipboardClearSeconds(seconds) {
+        if (!this.currentUser) return;
+
+        if (!Number.isInteger(seconds) || seconds < 0) {
+            throw new Error('Clipboard timeout must be a whole number of seconds, or 0 to turn it off');
         }
+
+        this.currentUser.settings = { ...this.currentUser.settings, clipboardClearSeconds: seconds };
+        await this.persistCurrentUser();
     }
 
-    toggleTheme() {
-        const isLight = document.body.classList.toggle('light-theme');
-        this.updateThemeIcons(isLight);
-        localStorage.setItem('theme', isLight ? 'light' : 'dark');
-        this.showToast(`${isLight ? 'Light' : 'Dark'} theme activated`, 'success');
+    getMaskPasswords() {
+        const settings = (this.currentUser && this.currentUser.settings) || {};
+        return settings.maskPasswords === true;
     }
 
-    attachEventListeners() {
-        // Auth
-        this.showRegisterBtn.addEventListener('click', (e) => {
-            e.preventDefault();
-            this.showRegisterForm();
-        });
+    async setMaskPasswords(mask) {
+        if (!this.currentUser) return;
 
-        this.showLoginBtn.addEventListener('click', (e) => {
-            e.preventDefault();
-            this.showLoginForm();
-        });
+        this.currentUser.settings = { ...this.currentUser.settings, maskPasswords: Boolean(mask) };
+        await this.persistCurrentUser();
+    }
 
-        this.loginFormElement.addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.handleLogin();
-        });
+    // How many entries a given limit would remove, so the UI can warn first
+    countOverHistoryLimit(limit) {
+        const history = (this.currentUser && this.currentUser.passwordHistory) || [];
+        if (!limit || history.length <= limit) return 0;
 
-        this.registerFormElement.addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.handleRegister();
-        });
+        // Favorites are never removed, so they can hold the list above the limit
+        const removable = history.filter(entry => !entry.favorite).length;
+        return Math.min(history.length - limit, removable);
+    }
 
-        this.logoutBtn.addEventListener('click', () => this.handleLogout());
+    applyHistoryLimit() {
+        const history = this.currentUser.passwordHistory || [];
+        const excess = this.countOverHistoryLimit(this.getHistoryLimit());
+        if (excess === 0) return 0;
 
-        // Theme toggle
-        this.themeToggle.addEventListener('click', () => this.toggleTheme());
+        // History is newest first; drop the oldest entries, but never favorites
+        const dropped = new Set(history.filter(entry => !entry.favorite).slice(-excess));
+        this.recordDeletedHistory([...dropped]);
+        this.currentUser.passwordHistory = history.filter(entry => !dropped.has(entry));
+        return dropped.size;
+    }
 
-        // Password generation
-        this.generateBtn.addEventListener('click', () => this.handleGenerate());
-        this.copyBtn.addEventListener('click', () => this.handleCopy());
+    // Remembers when entries were removed, so sync removes them on other devices
+    // too instead of bringing them back
+    recordDeletedHistory(entries) {
+        if (entries.length === 0) return;
 
-        // Password length slider
-        this.passwordLength.addEventListener('input', (e) => {
-            this.lengthValue.textContent = e.target.value;
+        const now = new Date().toISOString();
+        const deleted = { ...this.currentUser.deletedHistory };
+        entries.forEach(entry => {
+            deleted[entry.id] = now;
         });
 
-        // Clear history
-        this.clearHistoryBtn.addEventListener('click', () => this.handleClearHistory());
+        // Once there are too many, the oldest are forgotten
+        this.currentUser.deletedHistory = Object.fromEntries(Object.entries(deleted)
+            .sort((a, b) => b[1].localeCompare(a[1]))
+            .slice(0, UserManager.MAX_DELETED_HISTORY));
+    }
 
-        // Security tip action cards
-        this.attachTipCardListeners();
+    async clearPasswordHistory() {
+        if (!this.currentUser) return;
+
+        const count = this.currentUser.passwordHistory.length;
+        this.recordDeletedHistory(this.currentUser.passwordHistory);
+        this.currentUser.passwordHistory = [];
+        await this.persistCurrentUser();
+        this.logSecurityEvent('history_cleared', `${count} ${count === 1 ? 'entry' : 'entries'}`);
     }
 
-    attachTipCardListeners() {
-        const tipCards = document.querySelectorAll('.tip-action-card');
+    getPolicies() {
+        return (this.currentUser && this.currentUser.policies) || [];
+    }
 
-        tipCards.forEach(card => {
-            const actionBtn = card.querySelector('.tip-action-btn');
-            if (actionBtn) {
-                actionBtn.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    const action = card.dataset.action;
-                    this.handleTipAction(action);
+    async savePolicy(policy) {
+        if (!this.currentUser) return;
+
+        // Saving under an existing name replaces that policy
+        const policies = this.getPolicies().filter(p => p.name !== policy.name);
+        this.currentUser.policies = [...policies, policy];
+        await this.persistCurrentUser();
+    }
+
+    async deletePolicy(name) {
+        if (!this.currentUser) return;
+
+        this.currentUser.policies = this.getPolicies().filter(p => p.name !== name);
+        await this.persistCurrentUser();
+    }
+
+    // Adds entries from another password manager, skipping ones already saved for the same site and username
+    async importHistoryEntries(entries) {
+        if (!this.getCurrentUser()) {
+            throw new Error('Log in to import passwords');
+        }
+
+        const history = this.currentUser.passwordHistory || [];
+        const now = new Date().toISOString();
+        let duplicates = 0;
+
+        const added = entries.map(entry => UserManager.normalizeHistoryEntry({ ...entry, timestamp: now, updatedAt: now }))
+            .filter(entry => {
+                const exists = history.some(local => local.password === entry.password &&
+                    local.site === entry.site && local.username === entry.username);
+                if (exists) duplicates++;
+                return !exists;
+            });
+
+        this.currentUser.passwordHistory = [...added, ...history];
+        const removed = this.applyHistoryLimit();
+
+        await this.persistCurrentUser();
+        this.logSecurityEvent('import', `${added.length} ${added.length === 1 ? 'entry' : 'entries'} from CSV`);
+        return { added: added.length, duplicates, removed };
+    }
+
+    // Everything a backup carries. Credentials (the password hash and vault) are deliberately left out.
+    getBackupData() {
+        if (!this.getCurrentUser()) {
+            throw new Error('Log in to back up your data');
+        }
+
+        const { username, email, createdAt, settings = {}, policies = [] } = this.currentUser;
+        return {
+            profile: { username, email, createdAt, settings, policies },
+            passwordHistory: this.currentUser.passwordHistory || []
+        };
+    }
+
+    // 'merge' keeps local data and brings in whatever is new or newer;
+    // 'replace' swaps the history, policies and settings for the backup's
+    async restoreBackupData(payload, mode = 'merge') {
+        if (!this.getCurrentUser()) {
+            throw new Error('Log in to restore a backup');
+        }
+
+        if (mode !== 'merge' && mode !== 'replace') {
+            throw new Error(`Unknown restore mode "${mode}"`);
+        }
+
+        const incoming = payload.passwordHistory.map(UserManager.normalizeHistoryEntry);
+        const policies = (payload.profile.policies || []).map(policy => PolicyManager.create(policy));
+        const settings = payload.profile.settings && typeof payload.profile.settings === 'object'
+            ? payload.profile.settings
+            : {};
+        const summary = { added: 0, updated: 0, unchanged: 0, removed: 0 };
+
+        if (mode === 'replace') {
+            const kept = new Set(incoming.map(entry => entry.id));
+            this.recordDeletedHistory((this.currentUser.passwordHistory || []).filter(entry => !kept.has(entry.id)));
+            this.currentUser.passwordHistory = incoming;
+            this.currentUser.policies = policies;
+            this.currentUser.settings = { ...settings };
+            summary.added = incoming.length;
+        } else {
+            const history = [...(this.currentUser.passwordHistory || [])];
+
+            incoming.forEach(entry => {
+                const index = history.findIndex(local => UserManager.isSameHistoryEntry(local, entry));
+                if (index === -1) {
+                    history.push(entry);
+                    summary.added++;
+                } else if (entry.updatedAt > history[index].updatedAt) {
+                    // The most recently edited copy wins
+                    history[index] = { ...entry, id: history[index].id };
+                    summary.updated++;
+                } else {
+                    summary.unchanged++;
+                }
+            });
+
+            // Newest first, the same order addPasswordToHistory keeps
+            this.currentUser.passwordHistory = history.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+            // Local policies and settings win over the backup's
+            const names = new Set(this.getPolicies().map(policy => policy.name));
+            this.currentUser.policies = [...this.getPolicies(), ...policies.filter(policy => !names.has(policy.name))];
+            this.currentUser.settings = { ...settings, ...this.currentUser.settings };
+        }
+
+        summary.removed = this.applyHistoryLimit();
+        await this.persistCurrentUser();
+        this.logSecurityEvent('backup_restored', mode === 'replace' ? 'Replaced current data' : 'Merged with current data');
+        return summary;
+    }
+
+    getSyncStatus() {
+        const sync = this.getCurrentUser() && this.currentUser.sync;
+        return sync
+            ? { enabled: true, url: sync.url, lastSyncedAt: sync.lastSyncedAt, error: this.syncError }
+            : { enabled: false };
+    }
+
+    // The passphrase has to be the same on every device. The first sync checks it against
+    // whatever the server already holds, and nothing is saved unless that sync succeeds.
+    async enableSync({ url, token = '', passphrase }) {
+        if (!this.getCurrentUser()) {
+            throw new Error('Log in to set up sync');
+        }
+
+        const errors = {};
+        const urlError = SyncClient.checkUrl(url);
+        if (urlError) errors.url = urlError;
+        if (!passphrase || passphrase.length < UserManager.MIN_SYNC_PASSPHRASE_LENGTH) {
+            errors.passphrase = `Sync passphrase must be at least ${UserManager.MIN_SYNC_PASSPHRASE_LENGTH} characters`;
+        }
+        UserManager.throwFieldErrors(errors);
+
+        const sync = {
+            url: SyncClient.normalizeUrl(url),
+            token: String(token || '').trim(),
+            passphrase,
+            salt: CryptoVault.generateSalt(),
+            iterations: CryptoVault.DEFAULT_ITERATIONS,
+            lastSyncedAt: null
+        };
+        const client = new SyncClient(sync, this.syncOptions);
+        const result = await this.runSync(sync, client);
+        if (!result) return null;
+
+        this.currentUser.sync = sync;
+        this.syncClient = client;
+        this.syncError = null;
+        await this.persistCurrentUser();
+        this.logSecurityEvent('sync_enabled');
+        return result;
+    }
+
+    // Entries already on the server stay there
+    async disableSync() {
+        if (!this.getCurrentUser() || !this.currentUser.sync) return;
+
+        this.currentUser.sync = null;
+        this.syncClient = null;
+        this.syncError = null;
+        await this.persistCurrentUser();
+        this.logSecurityEvent('sync_disabled');
+    }
+
+    // Resolves to { pulled, pushed, removed }, or null if the session was locked before it finished.
+    // Calls made while a sync is running share its result.
+    syncNow() {
+        const sync = this.getCurrentUser() && this.currentUser.sync;
+        if (!sync) {
+            return Promise.reject(new Error('Sync is not set up'));
+        }
+
+        if (!this.syncing) {
+            this.syncClient = this.syncClient || new SyncClient(sync, this.syncOptions);
+            this.lastSyncAttemptAt = Date.now();
+            this.syncing = this.runSync(sync, this.syncClient)
+                .then(async result => {
+                    this.syncError = null;
+                    if (result) await this.persistCurrentUser();
+                    return result;
+                }, error => {
+                    this.syncError = error.message;
+                    throw error;
+                })
+                .finally(() => {
+                    this.syncing = null;
                 });
+        }
+
+        return this.syncing;
+    }
+
+    async runSync(sync, client) {
+        const user = this.currentUser;
+        const startedAt = new Date().toISOString();
+        const { pulled, pushed } = await client.sync(user.passwordHistory || [], user.deletedHistory || {});
+
+        // Locked or signed out while the server was answering
+        if (this.currentUser !== user) return null;
+
+        const applied = this.applySyncedChanges(pulled);
+        const removed = applied ? this.applyHistoryLimit() : 0;
+        // Anything changed after this point is sent next time
+        sync.lastSyncedAt = startedAt;
+        return { pulled: applied, pushed, removed };
+    }
+
+    // Server copies are only applied while they're still newer than the local ones,
+    // since entries may have been edited while the sync was in flight
+    applySyncedChanges(pulled) {
+        const history = [...(this.currentUser.passwordHistory || [])];
+        const deleted = { ...this.currentUser.deletedHistory };
+        let applied = 0;
+
+        pulled.forEach(change => {
+            const index = history.findIndex(entry => entry.id === change.id);
+            const localUpdatedAt = index === -1 ? deleted[change.id] : history[index].updatedAt;
+            if (localUpdatedAt && localUpdatedAt >= change.updatedAt) return;
+
+            if (index !== -1) history.splice(index, 1);
+            if (change.deleted) {
+                deleted[change.id] = change.updatedAt;
+            } else {
+                delete deleted[change.id];
+                history.push(UserManager.normalizeHistoryEntry(change.entry));
+            }
+            applied++;
+        });
+
+        // Newest first, the same order addPasswordToHistory keeps
+        this.currentUser.passwordHistory = history.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+        this.currentUser.deletedHistory = deleted;
+        return applied;
+    }
+
+    hasUnsyncedChanges() {
+        const sync = this.currentUser && this.currentUser.sync;
+        if (!sync) return false;
+        if (!sync.lastSyncedAt) return true;
+
+        return (this.currentUser.passwordHistory || []).some(entry => entry.updatedAt > sync.lastSyncedAt) ||
+            Object.values(this.currentUser.deletedHistory || {}).some(deletedAt => deletedAt > sync.lastSyncedAt);
+    }
+
+    // Due after local changes, and every few minutes for changes made on other devices.
+    // A failed sync waits a while before trying again.
+    isSyncDue(now = Date.now()) {
+        const sync = this.getCurrentUser() && this.currentUser.sync;
+        if (!sync || this.syncing) return false;
+        if (this.syncError && now - this.lastSyncAttemptAt < UserManager.SYNC_RETRY_MS) return false;
+
+        return this.hasUnsyncedChanges() || now - Date.parse(sync.lastSyncedAt) >= UserManager.SYNC_INTERVAL_MS;
+    }
+
+    // Accounts credentials can be shared with: others in this browser, and contacts (`remote`) added
+    // from the share card of an account in another browser. Accounts made before sharing existed
+    // only get a key pair, and so only show up, once they've signed in again.
+    getShareTargets() {
+        if (!this.getCurrentUser()) return [];
+
+        const local = this.users
+            .filter(user => user.id !== this.currentUser.id && user.publicKey)
+            .map(({ id, username }) => ({ id, username, remote: false }));
+        const contacts = this.currentUser.contacts.map(({ id, username }) => ({ id, username, remote: true }));
+
+        return [...local, ...contacts].sort((a, b) => a.username.localeCompare(b.username));
+    }
+
+    // An account in this browser or a contact, with its public key
+    findShareAccount(userId) {
+        return this.users.find(user => user.id === userId) ||
+            ((this.currentUser && this.currentUser.contacts) || []).find(contact => contact.id === userId);
+    }
+
+    // What an account in another browser needs to share with this one
+    getShareCard() {
+        if (!this.getCurrentUser()) {
+            throw new Error('Log in to share passwords');
+        }
+
+        const { id, username, publicKey } = this.currentUser;
+        return { format: UserManager.SHARE_CARD_FORMAT, version: 1, id, username, publicKey };
+    }
+
+    // Contacts with the fingerprint of their key, for checking with their owners
+    async getContacts() {
+        if (!this.getCurrentUser()) return [];
+
+        const contacts = await Promise.all(this.currentUser.contacts.map(async contact => ({
+            ...contact,
+            fingerprint: await ShareCrypto.fingerprint(contact.publicKey)
+        })));
+        return contacts.sort((a, b) => a.username.localeCompare(b.username));
+    }
+
+    // The key on the first card for an account is trusted as it is; a later card, or the owner card
+    // in a collection file, has to carry the same key. Resolves to the contact.
+    async addContact(card) {
+        if (!this.getCurrentUser()) {
+            throw new Error('Log in to share passwords');
+        }
+
+        const contact = await UserManager.readShareCard(card);
+        if (contact.id === this.currentUser.id) {
+            throw new Error('That is your own share card');
+        }
+        if (this.users.some(user => user.id === contact.id)) {
+            throw new Error(`${contact.username} has an account in this browser already`);
+        }
+
+        const contacts = this.currentUser.contacts;
+        const existing = contacts.find(known => known.id === contact.id);
+        if (existing && existing.publicKey !== contact.publicKey) {
+            throw new Error(`This card for ${existing.username} has a different key than the one you added before. ` +
+                'Check with them before trusting it');
+        }
+
+        const added = { ...contact, addedAt: existing ? existing.addedAt : new Date().toISOString() };
+        this.currentUser.contacts = [...contacts.filter(known => known.id !== contact.id), added];
+        await this.persistCurrentUser();
+        if (!existing) this.logSecurityEvent('contact_added');
+        return added;
+    }
+
+    // A collection as a file for members in other browsers. It holds the stored record, which is
+    // ciphertext apart from ids and times, and the owner's card so members can open it.
+    async exportCollection(collectionId) {
+        const record = this.getCurrentUser() && await this.collectionStore.get(collectionId);
+        if (!record || !record.members.some(member => member.userId === this.currentUser.id)) {
+            throw new Error('That collection no longer exists or you are no longer a member');
+        }
+
+        const owner = this.findShareAccount(record.ownerId);
+        if (!owner || !owner.publicKey) {
+            throw new Error('The owner of this collection is neither an account here nor one of your contacts');
+        }
+
+        this.logSecurityEvent('collection_exported');
+        return {
+            format: UserManager.SHARED_COLLECTION_FORMAT,
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            owner: { id: owner.id, username: owner.username, publicKey: owner.publicKey },
+            collection: record
+        };
+    }
+
+    // Adds or updates a collection from an exportCollection file; the copy changed last wins. It has to
+    // open with this account's key before it's stored. Resolves to { name, status }, where status is
+    // 'added', 'updated' or 'unchanged'.
+    async importCollection(file) {
+        if (!this.getCurrentUser()) {
+            throw new Error('Log in to share passwords');
+        }
+        if (!file || typeof file !== 'object' || file.format !== UserManager.SHARED_COLLECTION_FORMAT) {
+            throw new Error('That file is not a shared collection');
+        }
+        if (file.version !== 1) {
+            throw new Error(`Unsupported shared collection version ${file.version}`);
+        }
+
+        const record = UserManager.readCollectionRecord(file.collection);
+        if (!record.members.some(member => member.userId === this.currentUser.id)) {
+            throw new Error('You are not a member of that collection. Its owner needs to add you first');
+        }
+
+        let owner = this.findShareAccount(record.ownerId);
+        const newContact = !owner;
+        if (newContact) {
+            owner = await UserManager.readShareCard({ ...file.owner, format: UserManager.SHARE_CARD_FORMAT, version: 1 });
+            if (owner.id !== record.ownerId) {
+                throw new Error('The file\'s owner card belongs to someone other than the collection\'s owner');
+            }
+        }
+
+        const { name } = await this.openCollection(record, owner);
+        if (newContact) await this.addContact({ ...owner, format: UserManager.SHARE_CARD_FORMAT, version: 1 });
+
+        let status;
+        await this.queueCollectionWrite(async () => {
+            const existing = await this.collectionStore.get(record.id);
+            if (existing && existing.ownerId !== record.ownerId) {
+                throw new Error('A different collection with the same id is already here');
+            }
+            if (existing && existing.updatedAt >= record.updatedAt) {
+                status = 'unchanged';
+                return;
+            }
+
+            await this.collectionStore.put(record);
+            status = existing ? 'updated' : 'added';
+        });
+
+        if (status !== 'unchanged') this.logSecurityEvent('collection_imported');
+        return { name, status };
+    }
+
+    // Every collection this account is a member of, decrypted. One that can't be opened is
+    // still listed, with `error` saying why, so its owner can delete it.
+    async getCollections() {
+        if (!this.getCurrentUser()) return [];
+
+        const userId = this.currentUser.id;
+        const records = (await this.collectionStore.loadAll())
+            .filter(record => record.members.some(member => member.userId === userId));
+
+        const collections = await Promise.all(records.map(record => this.openCollection(record).catch(error => ({
+            id: record.id,
+            name: 'Unreadable collection',
+            ownerId: record.ownerId,
+            ownerName: this.getUsername(record.ownerId),
+            isOwner: record.ownerId === userId,
+            members: [],
+            entries: [],
+            error: error.message
+        }))));
+
+        return collections.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // `owner` is looked up unless given, as for a collection file from an owner not added yet
+    async openCollection(record, owner = this.findShareAccount(record.ownerId)) {
+        const key = await this.unwrapCollectionKey(record, owner);
+        const { name } = await ShareCrypto.decrypt(record.meta, key, UserManager.shareContext(record, 'name'));
+
+        const entries = await Promise.all(record.entries.map(async entry => ({
+            ...await ShareCrypto.decrypt(entry, key, UserManager.sharedEntryContext(record, entry)),
+            id: entry.id,
+            sourceId: entry.sourceId,
+            sharedBy: entry.sharedBy,
+            sharedByName: this.getUsername(entry.sharedBy),
+            sharedAt: entry.sharedAt
+        })));
+
+        return {
+            id: record.id,
+            name,
+            ownerId: record.ownerId,
+            ownerName: this.getUsername(record.ownerId),
+            isOwner: record.ownerId === this.currentUser.id,
+            createdAt: record.createdAt,
+            updatedAt: record.updatedAt,
+            members: record.members.map(({ userId, addedAt }) => ({ userId, username: this.getUsername(userId), addedAt })),
+            entries: entries.sort((a, b) => b.sharedAt.localeCompare(a.sharedAt))
+        };
+    }
+
+    getUsername(userId) {
+        const user = this.findShareAccount(userId);
+        return user ? user.username : 'Unknown account';
+    }
+
+    // The owner invites members in the same step; the owner is always a member
+    async createCollection(name, memberIds = []) {
+        if (!this.getCurrentUser()) {
+            throw new Error('Log in to share passwords');
+        }
+
+        name = String(name || '').trim();
+        if (!name) {
+            UserManager.throwFieldErrors({ name: 'Give the collection a name' });
+        }
+
+        const now = new Date().toISOString();
+        const members = [this.currentUser.id, ...memberIds.filter(id => id !== this.currentUser.id)]
+            .map(userId => ({ userId, addedAt: now }));
+        const record = await this.sealCollection(
+            { id: crypto.randomUUID(), ownerId: this.currentUser.id, createdAt: now, keyVersion: 0 },
+            { name, members, entries: [] }
+        );
+
+        await this.queueCollectionWrite(() => this.collectionStore.put(record));
+        // The log is stored in plain text, so it never names a collection or a site
+        this.logSecurityEvent('collection_created', `${members.length} ${members.length === 1 ? 'member' : 'members'}`);
+        return record.id;
+    }
+
+    // A new member can read everything already in the collection
+    async addCollectionMember(collectionId, userId) {
+        await this.updateCollection(collectionId, async record => {
+            this.assertCollectionOwner(record);
+            if (record.members.some(member => member.userId === userId)) {
+                throw new Error(`${this.getUsername(userId)} is already a member`);
+            }
+
+            const key = await this.unwrapCollectionKey(record);
+            record.members.push(await this.wrapCollectionKey(record, key, { userId, addedAt: new Date().toISOString() }));
+            return record;
+        });
+    }
+
+    // Everything is re-encrypted under a new key, so the revoked member can't read anything shared
+    // from now on. What they already saw can't be taken back: change those passwords if it matters.
+    async revokeCollectionMember(collectionId, userId) {
+        let remaining;
+        await this.updateCollection(collectionId, async record => {
+            this.assertCollectionOwner(record);
+            if (userId === record.ownerId) {
+                throw new Error('The owner can\'t be removed. Delete the collection instead');
+            }
+            if (!record.members.some(member => member.userId === userId)) {
+                throw new Error(`${this.getUsername(userId)} is not a member`);
+            }
+
+            const collection = await this.openCollection(record);
+            const members = record.members.filter(member => member.userId !== userId);
+            remaining = members.length;
+            return this.sealCollection(record, {
+                name: collection.name,
+                members,
+                entries: collection.entries
+            });
+        });
+
+        this.logSecurityEvent('member_revoked', `${remaining} ${remaining === 1 ? 'member' : 'members'} left`);
+    }
+
+    async deleteCollection(collectionId) {
+        await this.updateCollection(collectionId, async record => {
+            this.assertCollectionOwner(record);
+            return null;
+        });
+
+        this.logSecurityEvent('collection_deleted');
+    }
+
+    // Shares a copy of the entry as it is now. Sharing it again replaces that copy.
+    async shareHistoryEntry(collectionId, historyId) {
+        const source = this.getHistoryEntry(historyId);
+        if (!source) {
+            throw new Error('Entry not found');
+        }
+
+        const userId = this.currentUser.id;
+        await this.updateCollection(collectionId, async record => {
+            const key = await this.unwrapCollectionKey(record);
+
+            const entry = {
+                id: crypto.randomUUID(),
+                sourceId: source.id,
+                sharedBy: userId,
+                sharedAt: new Date().toISOString()
+            };
+            UserManager.SHARED_ENTRY_FIELDS.forEach(field => {
+                entry[field] = source[field];
+            });
+
+            record.entries = [
+                await this.sealSharedEntry(record, key, entry),
+                ...record.entries.filter(shared => !(shared.sourceId === source.id && shared.sharedBy === userId))
+            ];
+            return record;
+        });
+
+        this.logSecurityEvent('credential_shared');
+    }
+
+    // Takes back every copy of a history entry this account shared; resolves to how many were removed
+    async unshareHistoryEntry(historyId) {
+        if (!this.getCurrentUser()) return 0;
+
+        const userId = this.currentUser.id;
+        const isCopy = shared => shared.sourceId === historyId && shared.sharedBy === userId;
+        const records = (await this.collectionStore.loadAll()).filter(record => record.entries.some(isCopy));
+
+        let removed = 0;
+        for (const record of records) {
+            await this.updateCollection(record.id, async latest => {
+                removed += latest.entries.filter(isCopy).length;
+                latest.entries = latest.entries.filter(shared => !isCopy(shared));
+                return latest;
+            });
+        }
+        return removed;
+    }
+
+    // The owner can remove any entry, other members only what they shared themselves
+    async removeSharedEntry(collectionId, entryId) {
+        await this.updateCollection(collectionId, async record => {
+            const entry = record.entries.find(shared => shared.id === entryId);
+            if (!entry) {
+                throw new Error('That entry is no longer shared');
+            }
+            if (entry.sharedBy !== this.currentUser.id && record.ownerId !== this.currentUser.id) {
+                throw new Error('Only the collection\'s owner or whoever shared an entry can remove it');
+            }
+
+            record.entries = record.entries.filter(shared => shared.id !== entryId);
+            return record;
+        });
+    }
+
+    // Copies a shared entry into this account's own history; resolves like addPasswordToHistory
+    async saveSharedEntryToHistory(collectionId, entryId) {
+        const record = this.getCurrentUser() && await this.collectionStore.get(collectionId);
+        const entry = record && record.entries.find(shared => shared.id === entryId);
+        if (!entry) {
+            throw new Error('That entry is no longer shared');
+        }
+
+        const payload = await ShareCrypto.decrypt(entry, await this.unwrapCollectionKey(record),
+            UserManager.sharedEntryContext(record, entry));
+        const exists = this.currentUser.passwordHistory.some(local => local.password === payload.password &&
+            local.site === payload.site && local.username === payload.username);
+        if (exists) {
+            throw new Error('That password is already in your history');
+        }
+
+        const { password, strength, ...details } = payload;
+        return this.addPasswordToHistory(password, strength, details);
+    }
+
+    assertCollectionOwner(record) {
+        if (record.ownerId !== this.currentUser.id) {
+            throw new Error('Only the collection\'s owner can do that');
+        }
+    }
+
+    // Reads, changes and writes one collection at a time, so two changes in flight can't undo each other.
+    // `change` gets the stored record and resolves to the record to store, or null to delete it.
+    updateCollection(collectionId, change) {
+        return this.queueCollectionWrite(async () => {
+            if (!this.getCurrentUser()) {
+                throw new Error('Log in to share passwords');
+            }
+
+            const record = await this.collectionStore.get(collectionId);
+            if (!record || !record.members.some(member => member.userId === this.currentUser.id)) {
+                throw new Error('That collection no longer exists or you are no longer a member');
+            }
+
+            const updated = await change(record);
+            if (updated) {
+                updated.updatedAt = new Date().toISOString();
+                await this.collectionStore.put(updated);
+            } else {
+                await this.collectionStore.delete(collectionId);
+            }
+        });
+    }
+
+    queueCollectionWrite(write) {
+        const result = this.pendingCollectionWrite.then(write);
+        // One failed write mustn't block the ones after it
+        this.pendingCollectionWrite = result.catch(() => {});
+        return result;
+    }
+
+    // Deleting an account deletes the collections it owns and takes it out of the others.
+    // Its copies of other collections' keys go with it; its private key is already gone.
+    removeFromCollections(userId) {
+        return this.queueCollectionWrite(async () => {
+            for (const record of await this.collectionStore.loadAll()) {
+                if (record.ownerId === userId) {
+                    await this.collectionStore.delete(record.id);
+                } else if (record.members.some(member => member.userId === userId)) {
+                    await this.collectionStore.put({
+                        ...record,
+                        members: record.members.filter(member => member.userId !== userId)
+                    });
+                }
+            }
+        });
+    }
+
+    // Encrypts a collection from scratch under a new key, wrapped for each of `members`
+    async sealCollection(record, { name, members, entries }) {
+        const key = ShareCrypto.generateCollectionKey();
+        const sealed = { ...record, keyVersion: record.keyVersion + 1 };
+
+        sealed.meta = await ShareCrypto.encrypt({ name }, key, UserManager.shareContext(sealed, 'name'));
+        sealed.members = await Promise.all(members.map(member => this.wrapCollectionKey(sealed, key, member)));
+        sealed.entries = await Promise.all(entries.map(entry => this.sealSharedEntry(sealed, key, entry)));
+        sealed.updatedAt = new Date().toISOString();
+
+        this.collectionKeys.set(`${sealed.id}:${sealed.keyVersion}`, key);
+        return sealed;
+    }
+
+    async sealSharedEntry(record, key, entry) {
+        const payload = {};
+        UserManager.SHARED_ENTRY_FIELDS.forEach(field => {
+            payload[field] = entry[field];
+        });
+
+        const shared = { id: entry.id, sourceId: entry.sourceId, sharedBy: entry.sharedBy, sharedAt: entry.sharedAt };
+        return { ...shared, ...await ShareCrypto.encrypt(payload, key, UserManager.sharedEntryContext(record, shared)) };
+    }
+
+    // Only the owner wraps keys, so a member's copy also proves it came from the owner
+    async wrapCollectionKey(record, key, { userId, addedAt }) {
+        const member = this.findShareAccount(userId);
+        if (!member || !member.publicKey) {
+            throw new Error(`${this.getUsername(userId)} can't receive shared passwords yet`);
+        }
+
+        return {
+            userId,
+            addedAt,
+            key: await ShareCrypto.wrapKey(key, this.currentUser.privateKey, member.publicKey,
+                UserManager.shareContext(record, 'member', userId))
+        };
+    }
+
+    async unwrapCollectionKey(record, owner = this.findShareAccount(record.ownerId)) {
+        const cacheKey = `${record.id}:${record.keyVersion}`;
+        if (!this.collectionKeys.has(cacheKey)) {
+            const member = record.members.find(m => m.userId === this.currentUser.id);
+            if (!member) {
+                throw new Error('You are no longer a member of this collection');
+            }
+            if (!owner || !owner.publicKey) {
+                throw new Error('The owner of this collection is neither an account here nor one of your contacts');
+            }
+
+            this.collectionKeys.set(cacheKey, await ShareCrypto.unwrapKey(member.key, this.currentUser.privateKey,
+                owner.publicKey, UserManager.shareContext(record, 'member', member.userId)));
+        }
+        return this.collectionKeys.get(cacheKey);
+    }
+
+    isPasswordUnique(password) {
+        if (!this.currentUser || !this.currentUser.passwordHistory) return true;
+        return !this.currentUser.passwordHistory.some(item => item.password === password);
+    }
+
+    // History is sorted and merged by comparing these as strings, so anything else becomes an ISO date
+    static normalizeTimestamp(value, fallback) {
+        const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+        return date && !isNaN(date.getTime()) ? date.toISOString() : fallback;
+    }
+
+    static normalizeHistoryEntry(entry) {
+        const timestamp = UserManager.normalizeTimestamp(entry.timestamp, new Date().toISOString());
+
+        return {
+            id: entry.id || crypto.randomUUID(),
+            password: String(entry.password || ''),
+            // Shared and restored entries come from other people's data, and the level ends up in markup
+            strength: UserManager.STRENGTH_LEVELS.includes(entry.strength) ? entry.strength : 'Weak',
+            timestamp,
+            updatedAt: UserManager.normalizeTimestamp(entry.updatedAt, timestamp),
+            site: String(entry.site || '').trim(),
+            username: String(entry.username || '').trim(),
+            notes: String(entry.notes || '').trim(),
+            tags: UserManager.normalizeTags(entry.tags),
+            favorite: Boolean(entry.favorite)
+        };
+    }
+
+    static isSameHistoryEntry(a, b) {
+        // Entries from before ids existed get a fresh id on each machine, so also match on what was saved and when
+        return a.id === b.id || (a.password === b.password && a.timestamp === b.timestamp);
+    }
+
+    // What a collection's ciphertexts are bound to, so none can be moved to another collection or key version
+    static async readShareCard(card) {
+        if (!card || typeof card !== 'object' || card.format !== UserManager.SHARE_CARD_FORMAT) {
+            throw new Error('That file is not a share card');
+        }
+        if (card.version !== 1) {
+            throw new Error(`Unsupported share card version ${card.version}`);
+        }
+        if (typeof card.id !== 'string' || !card.id || typeof card.username !== 'string' || !card.username.trim()) {
+            throw new Error('The share card doesn\'t say whose it is');
+        }
+
+        await ShareCrypto.checkPublicKey(card.publicKey);
+        return { id: card.id, username: card.username.trim(), publicKey: card.publicKey };
+    }
+
+    // Keeps only the fields a stored collection has, and only if they have the right types
+    static readCollectionRecord(record) {
+        const isText = value => typeof value === 'string' && value.length > 0;
+        const isSealed = value => Boolean(value) && isText(value.iv) && isText(value.data);
+        const damaged = () => new Error('The collection in that file is incomplete or damaged');
+
+        if (!record || typeof record !== 'object' || !isText(record.id) || !isText(record.ownerId) ||
+            !Number.isInteger(record.keyVersion) || !isText(record.createdAt) || !isText(record.updatedAt) ||
+            !isSealed(record.meta) || !Array.isArray(record.members) || !Array.isArray(record.entries)) {
+            throw damaged();
+        }
+
+        const members = record.members.map(member => {
+            if (!member || !isText(member.userId) || !isSealed(member.key) || !isText(member.key.salt)) throw damaged();
+            return {
+                userId: member.userId,
+                addedAt: String(member.addedAt || ''),
+                key: { salt: member.key.salt, iv: member.key.iv, data: member.key.data }
+            };
+        });
+        const entries = record.entries.map(entry => {
+            if (!isSealed(entry) || !isText(entry.id) || !isText(entry.sourceId) || !isText(entry.sharedBy) ||
+                !isText(entry.sharedAt)) {
+                throw damaged();
             }
+            return {
+                id: entry.id,
+                sourceId: entry.sourceId,
+                sharedBy: entry.sharedBy,
+                sharedAt: entry.sharedAt,
+                iv: entry.iv,
+                data: entry.data
+            };
         });
+
+        return {
+            id: record.id,
+            ownerId: record.ownerId,
+            createdAt: record.createdAt,
+            updatedAt: record.updatedAt,
+            keyVersion: record.keyVersion,
+            meta: { iv: record.meta.iv, data: record.meta.data },
+            members,
+            entries
+        };
+    }
+
+    static shareContext(record, ...parts) {
+        return [record.id, record.keyVersion, ...parts].join(':');
+    }
+
+    static sharedEntryContext(record, entry) {
+        return UserManager.shareContext(record, 'entry', entry.id, entry.sourceId, entry.sharedBy, entry.sharedAt);
+    }
+
+    static checkUsername(username) {
+        if (!username) return 'Username is required';
+        if (username.length < 3 || username.length > 32) return 'Username must be 3 to 32 characters';
+        if (!/^[A-Za-z0-9._-]+$/.test(username)) {
+            return 'Username can only contain letters, numbers, dots, dashes and underscores';
+        }
+        if (!/^[A-Za-z0-9]/.test(username)) return 'Username must start with a letter or number';
+        return null;
     }
 
-    handleTipAction(action) {
-        switch (action) {
-            case 'generate-unique':
-                // Generate a unique, strong password with all options enabled
-                this.passwordLength.value = 18;
-                this.lengthValue.textContent = '18';
-                this.includeUppercase.checked = true;
-                this.includeLowercase.checked = true;
-                this.includeNumbers.checked = true;
-                this.includeSpecial.checked = true;
-                this.excludeSimilar.checked = true;
-                this.memorableMode.checked = false;
-                this.handleGenerate();
-                this.showToast('Generated unique secure password!', 'success');
-                break;
+    static checkEmail(email) {
+        if (!email) return 'Email is required';
+
+        const at = email.lastIndexOf('@');
+        const local = email.slice(0, at);
+        const domain = email.slice(at + 1);
+        const valid = at > 0 && email.length <= 254 && local.length <= 64 &&
+            /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/.test(local) &&
+            // Labels of letters, digits and inner hyphens, with at least one dot before an alphabetic TLD
+            /^([A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?\.)+[A-Za-z]{2,63}$/.test(domain);
+
+        return valid ? null : 'Enter a valid email address, like name@example.com';
+    }
+
+    // Throws the first message, with all of them on `fields` for forms that show errors per input
+    static throwFieldErrors(errors) {
+        const messages = Object.values(errors);
+        if (messages.length === 0) return;
+
+        const error = new Error(messages[0]);
+        error.fields = errors;
+        throw error;
+    }
+
+    // Ten characters in two groups, e.g. "K7QMA-2XPRD": 50 bits each
+    static generateRecoveryCodes(count = UserManager.RECOVERY_CODE_COUNT) {
+        return Array.from({ length: count }, () => {
+            const code = Totp.base32Encode(crypto.getRandomValues(new Uint8Array(7))).slice(0, 10);
+            return `${code.slice(0, 5)}-${code.slice(5)}`;
+        });
+    }
+
+    // Case, spaces and dashes don't matter when a recovery code is typed in
+    static async hashRecoveryCode(code) {
+        const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalized));
+        return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Accepts an array or a comma-separated string; tags are matched case-insensitively
+    static normalizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+    }
+}
+
+// Fields that are only ever written to storage inside the encrypted vault
+UserManager.SECRET_FIELDS = ['passwordHistory', 'twoFactor', 'deletedHistory', 'sync', 'privateKey', 'contacts'];
+UserManager.MIN_PASSWORD_LENGTH = 8;
+UserManager.STRENGTH_LEVELS = ['Weak', 'Medium', 'Strong', 'Very Strong'];
+UserManager.MIN_PASSWORD_STRENGTH = 'Strong';
+UserManager.DEFAULT_HISTORY_LIMIT = 100;
+UserManager.DEFAULT_ROTATION_DAYS = 180;
+UserManager.DEFAULT_CLIPBOARD_CLEAR_SECONDS = 30;
+UserManager.TWO_FACTOR_ISSUER = 'SecurePass AI';
+UserManager.TWO_FACTOR_REQUIRED = 'TWO_FACTOR_REQUIRED';
+UserManager.RECOVERY_CODE_COUNT = 10;
+UserManager.MAX_DELETED_HISTORY = 1000;
+UserManager.MIN_SYNC_PASSPHRASE_LENGTH = 12;
+UserManager.SYNC_INTERVAL_MS = 5 * 60 * 1000;
+UserManager.SYNC_RETRY_MS = 60 * 1000;
+// What a shared entry carries of the history entry it was shared from
+UserManager.SHARED_ENTRY_FIELDS = ['site', 'username', 'password', 'notes', 'tags', 'strength'];
+// File formats for sharing with accounts in other browsers
+UserManager.SHARE_CARD_FORMAT = 'securepass-share-card';
+UserManager.SHARED_COLLECTION_FORMAT = 'securepass-shared-collection';
+
+// ========================================
+// UI MANAGER
+// ========================================
+
+class UIManager {
+    constructor(userManager, passwordGenerator, breachChecker) {
+        this.userManager = userManager;
+        this.passwordGenerator = passwordGenerator;
+        this.breachChecker = breachChecker;
+        this.auditor = new PasswordAuditor(passwordGenerator);
+        this.clipboardGuard = new ClipboardGuard(navigator.clipboard);
+        this.revealedEntries = new Set();
+        this.analysisId = 0;
+        this.analyzeTimer = null;
+        this.initializeElements();
+        this.attachEventListeners();
+        this.checkAuthentication();
+
+        this.userManager.securityLog.onAdd = () => this.renderSecurityLog();
+
+        // Idle and expiry checks; activity itself is recorded by the listeners
+        setInterval(() => this.checkSession(), UIManager.SESSION_CHECK_INTERVAL_MS);
+    }
+
+    initializeElements() {
+        // Modals
+        this.authModal = document.getElementById('authModal');
+        this.mainApp = document.getElementById('mainApp');
+
+        // Forms
+        this.loginForm = document.getElementById('loginForm');
+        this.registerForm = document.getElementById('registerForm');
+        this.lockForm = document.getElementById('lockForm');
+        this.lockFormElement = document.getElementById('lockFormElement');
+        this.lockMessage = document.getElementById('lockMessage');
+        this.lockUsername = document.getElementById('lockUsername');
+        this.loginFormElement = document.getElementById('loginFormElement');
+        this.registerFormElement = document.getElementById('registerFormElement');
+        this.registerPasswordHint = document.getElementById('registerPasswordHint');
+
+        // Buttons
+        this.showRegisterBtn = document.getElementById('showRegister');
+        this.showLoginBtn = document.getElementById('showLogin');
+        this.logoutBtn = document.getElementById('logoutBtn');
+        this.lockBtn = document.getElementById('lockBtn');
+        this.lockSignOutBtn = document.getElementById('lockSignOut');
+        this.generateBtn = document.getElementById('generateBtn');
+        this.copyBtn = document.getElementById('copyBtn');
+        this.revealPasswordBtn = document.getElementById('revealPasswordBtn');
+        this.clearHistoryBtn = document.getElementById('clearHistoryBtn');
+        this.themeToggle = document.getElementById('themeToggle');
+
+        // Inputs
+        this.passwordLength = document.getElementById('passwordLength');
+        this.lengthValue = document.getElementById('lengthValue');
+        this.includeUppercase = document.getElementById('includeUppercase');
+        this.includeLowercase = document.getElementById('includeLowercase');
+        this.includeNumbers = document.getElementById('includeNumbers');
+        this.includeSpecial = document.getElementById('includeSpecial');
+        this.excludeSimilar = document.getElementById('excludeSimilar');
+        this.generationMode = document.getElementById('generationMode');
+        this.modeSummary = document.getElementById('modeSummary');
+        this.characterOptions = document.getElementById('characterOptions');
+        this.alphabetOptions = document.getElementById('alphabetOptions');
+        this.alphabetPreset = document.getElementById('alphabetPreset');
+        this.customAlphabet = document.getElementById('customAlphabet');
+        // Set while the length slider shows the PIN range
+        this.pinLengthRange = false;
+        this.policySelect = document.getElementById('policySelect');
+        this.siteRules = document.getElementById('siteRules');
+        this.siteRulesSummary = document.getElementById('siteRulesSummary');
+        this.policyDescription = document.getElementById('policyDescription');
+        this.descriptionSummary = document.getElementById('descriptionSummary');
+        // Set while the length slider shows the described policy's range
+        this.descriptionApplied = false;
+        this.policySummary = document.getElementById('policySummary');
+        this.deletePolicyBtn = document.getElementById('deletePolicyBtn');
+        this.exportPoliciesBtn = document.getElementById('exportPoliciesBtn');
+        this.importPoliciesFile = document.getElementById('importPoliciesFile');
+        this.policyEditor = document.getElementById('policyEditor');
+        this.savePolicyBtn = document.getElementById('savePolicyBtn');
+        this.passphraseOptions = document.getElementById('passphraseOptions');
+        this.wordCount = document.getElementById('wordCount');
+        this.wordSeparator = document.getElementById('wordSeparator');
+        this.wordCapitalization = document.getElementById('wordCapitalization');
+        this.injectDigit = document.getElementById('injectDigit');
+        this.injectSymbol = document.getElementById('injectSymbol');
+        this.wordlistFile = document.getElementById('wordlistFile');
+        this.wordlistInfo = document.getElementById('wordlistInfo');
+        this.resetWordlistBtn = document.getElementById('resetWordlistBtn');
+
+        // Display
+        this.generatedPassword = document.getElementById('generatedPassword');
+        this.strengthBar = document.getElementById('strengthBar');
+        this.strengthText = document.getElementById('strengthText');
+        this.strengthDetails = document.getElementById('strengthDetails');
+        this.generatorMeter = { bar: this.strengthBar, text: this.strengthText, details: this.strengthDetails };
+        this.maskPasswords = document.getElementById('maskPasswords');
+        this.clipboardClearSeconds = document.getElementById('clipboardClearSeconds');
+        this.currentUsername = document.getElementById('currentUsername');
+        this.historyList = document.getElementById('historyList');
+
+        // History entries
+        this.addEntryBtn = document.getElementById('addEntryBtn');
+        this.historySearch = document.getElementById('historySearch');
+        this.historyTagFilter = document.getElementById('historyTagFilter');
+        this.historyFavoritesOnly = document.getElementById('historyFavoritesOnly');
+        this.historyLimit = document.getElementById('historyLimit');
+        this.historyEditor = document.getElementById('historyEditor');
+        this.entrySite = document.getElementById('entrySite');
+        this.entryUsername = document.getElementById('entryUsername');
+        this.entryPassword = document.getElementById('entryPassword');
+        this.entryTags = document.getElementById('entryTags');
+        this.entryNotes = document.getElementById('entryNotes');
+        this.entryFavorite = document.getElementById('entryFavorite');
+        this.cancelEntryBtn = document.getElementById('cancelEntryBtn');
+        this.editingEntryId = null;
+
+        // Sharing
+        this.shareForm = document.getElementById('shareForm');
+        this.shareEntryName = document.getElementById('shareEntryName');
+        this.shareCollection = document.getElementById('shareCollection');
+        this.cancelShareBtn = document.getElementById('cancelShareBtn');
+        this.confirmShareBtn = document.getElementById('confirmShareBtn');
+        this.collectionForm = document.getElementById('collectionForm');
+        this.collectionName = document.getElementById('collectionName');
+        this.collectionMembers = document.getElementById('collectionMembers');
+        this.createCollectionBtn = document.getElementById('createCollectionBtn');
+        this.collectionList = document.getElementById('collectionList');
+        this.shareFingerprint = document.getElementById('shareFingerprint');
+        this.exportShareCardBtn = document.getElementById('exportShareCardBtn');
+        this.importShareCardFile = document.getElementById('importShareCardFile');
+        this.importCollectionFile = document.getElementById('importCollectionFile');
+        this.contactList = document.getElementById('contactList');
+        this.sharingEntryId = null;
+        // Decrypted by refreshCollections; history badges and the share form read from it too
+        this.collections = [];
+
+        // CSV import
+        this.importCsvFile = document.getElementById('importCsvFile');
+        this.importPanel = document.getElementById('importPanel');
+        this.importTitle = document.getElementById('importTitle');
+        this.importFormat = document.getElementById('importFormat');
+        this.importMapping = document.getElementById('importMapping');
+        this.importPreview = document.getElementById('importPreview');
+        this.importReport = document.getElementById('importReport');
+        this.cancelImportBtn = document.getElementById('cancelImportBtn');
+        this.confirmImportBtn = document.getElementById('confirmImportBtn');
+        this.pendingImport = null;
+
+        // Bulk generation
+        this.batchCount = document.getElementById('batchCount');
+        this.batchPolicy = document.getElementById('batchPolicy');
+        this.batchGenerateBtn = document.getElementById('batchGenerateBtn');
+        this.batchResults = document.getElementById('batchResults');
+        this.batchInfo = document.getElementById('batchInfo');
+        this.batchTableBody = document.getElementById('batchTableBody');
+        this.batchExportButtons = document.querySelectorAll('[data-batch-format]');
+        this.batchRows = [];
+
+        // Audit
+        this.auditScore = document.getElementById('auditScore');
+        this.auditScoreLabel = document.getElementById('auditScoreLabel');
+        this.auditCounts = document.getElementById('auditCounts');
+        this.rotationDays = document.getElementById('rotationDays');
+        this.auditResults = document.getElementById('auditResults');
+        this.auditReused = document.getElementById('auditReused');
+        this.auditWeak = document.getElementById('auditWeak');
+        this.auditStale = document.getElementById('auditStale');
+
+        // Two-factor authentication
+        this.loginCodeGroup = document.getElementById('loginCodeGroup');
+        this.loginCode = document.getElementById('loginCode');
+        this.twoFactorStatus = document.getElementById('twoFactorStatus');
+        this.setupTwoFactorBtn = document.getElementById('setupTwoFactorBtn');
+        this.newRecoveryCodesBtn = document.getElementById('newRecoveryCodesBtn');
+        this.disableTwoFactorBtn = document.getElementById('disableTwoFactorBtn');
+        this.twoFactorSetup = document.getElementById('twoFactorSetup');
+        this.twoFactorQr = document.getElementById('twoFactorQr');
+        this.twoFactorSecret = document.getElementById('twoFactorSecret');
+        this.twoFactorUri = document.getElementById('twoFactorUri');
+        this.twoFactorCode = document.getElementById('twoFactorCode');
+        this.cancelTwoFactorBtn = document.getElementById('cancelTwoFactorBtn');
+        this.recoveryCodesPanel = document.getElementById('recoveryCodesPanel');
+        this.recoveryCodeList = document.getElementById('recoveryCodeList');
+        this.downloadRecoveryCodesBtn = document.getElementById('downloadRecoveryCodesBtn');
+        this.closeRecoveryCodesBtn = document.getElementById('closeRecoveryCodesBtn');
+
+        // Account
+        this.profileForm = document.getElementById('profileForm');
+        this.accountUsername = document.getElementById('accountUsername');
+        this.accountEmail = document.getElementById('accountEmail');
+        this.changePasswordForm = document.getElementById('changePasswordForm');
+        this.deleteAccountForm = document.getElementById('deleteAccountForm');
+        this.newPasswordHint = document.getElementById('newPasswordHint');
+
+        // Security activity
+        this.securityLogSummary = document.getElementById('securityLogSummary');
+        this.securityLogList = document.getElementById('securityLogList');
+
+        // Backup
+        this.backupPassphrase = document.getElementById('backupPassphrase');
+        this.restoreMode = document.getElementById('restoreMode');
+        this.exportBackupBtn = document.getElementById('exportBackupBtn');
+        this.restoreBackupFile = document.getElementById('restoreBackupFile');
+
+        // Sync
+        this.syncStatus = document.getElementById('syncStatus');
+        this.syncNowBtn = document.getElementById('syncNowBtn');
+        this.disableSyncBtn = document.getElementById('disableSyncBtn');
+        this.syncForm = document.getElementById('syncForm');
+        this.syncUrl = document.getElementById('syncUrl');
+        this.syncToken = document.getElementById('syncToken');
+        this.syncPassphrase = document.getElementById('syncPassphrase');
+        this.enableSyncBtn = document.getElementById('enableSyncBtn');
+
+        // Analyzer
+        this.analyzerInput = document.getElementById('analyzerInput');
+        this.analyzerToggle = document.getElementById('analyzerToggle');
+        this.analyzerResults = document.getElementById('analyzerResults');
+        this.analyzerBreakdown = document.getElementById('analyzerBreakdown');
+        this.analyzerWeaknesses = document.getElementById('analyzerWeaknesses');
+        this.analyzerSuggestions = document.getElementById('analyzerSuggestions');
+        this.breachProvider = document.getElementById('breachProvider');
+        this.breachUrl = document.getElementById('breachUrl');
+        this.breachLocalGroup = document.getElementById('breachLocalGroup');
+        this.breachHttpGroup = document.getElementById('breachHttpGroup');
+        this.breachDatasetFile = document.getElementById('breachDatasetFile');
+        this.breachDatasetInfo = document.getElementById('breachDatasetInfo');
+        this.analyzerMeter = {
+            bar: document.getElementById('analyzerBar'),
+            text: document.getElementById('analyzerText'),
+            details: document.getElementById('analyzerDetails')
+        };
+        this.toast = document.getElementById('toast');
+
+        // Theme
+        this.moonIcon = document.querySelector('.moon-icon');
+        this.sunIcon = document.querySelector('.sun-icon');
+
+        // Initialize theme
+        this.initializeTheme();
+    }
+
+    initializeTheme() {
+        const savedTheme = localStorage.getItem('theme') || 'dark';
+        if (savedTheme === 'light') {
+            document.body.classList.add('light-theme');
+            this.updateThemeIcons(true);
+        } else {
+            this.updateThemeIcons(false); // Ensure dark theme icons are set if default or saved dark
+        }
+    }
+
+    updateThemeIcons(isLight) {
+        if (this.moonIcon && this.sunIcon) { // Check if elements exist
+            if (isLight) {
+                this.moonIcon.classList.add('hidden');
+                this.sunIcon.classList.remove('hidden');
+            } else {
+                this.moonIcon.classList.remove('hidden');
+                this.sunIcon.classList.add('hidden');
+            }
+        }
+    }
+
+    toggleTheme() {
+        const isLight = document.body.classList.toggle('light-theme');
+        this.updateThemeIcons(isLight);
+        localStorage.setItem('theme', isLight ? 'light' : 'dark');
+        this.showToast(`${isLight ? 'Light' : 'Dark'} theme activated`, 'success');
+    }
+
+    attachEventListeners() {
+        // Auth
+        this.showRegisterBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showRegisterForm();
+        });
+
+        this.showLoginBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showLoginForm();
+        });
+
+        this.loginFormElement.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleLogin();
+        });
+
+        this.registerFormElement.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleRegister();
+        });
+
+        document.getElementById('registerPassword').addEventListener('input', (e) => {
+            this.updatePasswordHint(e.target.value, this.registerPasswordHint, [
+                document.getElementById('registerUsername').value,
+                document.getElementById('registerEmail').value
+            ]);
+        });
+
+        // A field's error goes away as soon as it's edited
+        [this.registerFormElement, this.profileForm, this.changePasswordForm, this.deleteAccountForm].forEach(form => {
+            form.addEventListener('input', (e) => this.showFieldError(e.target, ''));
+        });
+
+        this.logoutBtn.addEventListener('click', () => this.handleLogout());
+        this.lockBtn.addEventListener('click', () => this.handleLock('Locked. Enter your password to continue.'));
+
+        this.lockFormElement.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleUnlock();
+        });
+
+        this.lockSignOutBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.handleLogout();
+        });
+
+        // Any interaction counts as activity for the idle timeout
+        ['mousemove', 'keydown', 'click', 'scroll', 'touchstart'].forEach(type => {
+            document.addEventListener(type, () => {
+                if (this.userManager.getCurrentUser()) {
+                    this.userManager.touchSession();
+                }
+            }, { passive: true });
+        });
+
+        // Theme toggle
+        this.themeToggle.addEventListener('click', () => this.toggleTheme());
+
+        // Password generation
+        this.generateBtn.addEventListener('click', () => this.handleGenerate());
+        this.copyBtn.addEventListener('click', () => this.handleCopy());
+
+        // Copy hygiene
+        this.revealPasswordBtn.addEventListener('click', () => {
+            this.setGeneratedRevealed(this.generatedPassword.type === 'password');
+        });
+        this.maskPasswords.addEventListener('change', () => this.handleMaskPasswordsChange());
+        this.clipboardClearSeconds.addEventListener('change', () => this.handleClipboardClearChange());
+
+        // Password length slider
+        this.passwordLength.addEventListener('input', (e) => {
+            this.lengthValue.textContent = e.target.value;
+            this.updateModeSummary();
+        });
+
+        // Policies
+        this.policySelect.addEventListener('change', () => this.applySelectedPolicy());
+        this.deletePolicyBtn.addEventListener('click', () => this.handleDeletePolicy());
+        this.exportPoliciesBtn.addEventListener('click', () => this.handleExportPolicies());
+        this.importPoliciesFile.addEventListener('change', (e) => this.handleImportPolicies(e.target.files[0]));
+        this.policyEditor.addEventListener('toggle', () => {
+            if (this.policyEditor.open) this.fillPolicyEditor();
+        });
+        this.savePolicyBtn.addEventListener('click', () => this.handleSavePolicy());
+
+        // Site password rules
+        this.siteRules.addEventListener('input', () => this.updateSiteRules());
+
+        // Requirements described in words
+        this.policyDescription.addEventListener('input', () => this.updateDescription());
+
+        // Editing the options by hand means they no longer match the selected policy
+        [this.includeUppercase, this.includeLowercase, this.includeNumbers, this.includeSpecial,
+            this.excludeSimilar, this.generationMode].forEach(input => {
+            input.addEventListener('change', () => this.clearPolicy());
+        });
+
+        // Generation modes
+        this.generationMode.addEventListener('change', () => this.updateModeOptions());
+        this.alphabetPreset.addEventListener('change', () => {
+            if (this.alphabetPreset.value) {
+                this.customAlphabet.value = PasswordGenerator.ALPHABETS[this.alphabetPreset.value];
+            }
+            this.updateModeSummary();
+        });
+        this.customAlphabet.addEventListener('input', () => {
+            const preset = Object.keys(PasswordGenerator.ALPHABETS)
+                .find(name => PasswordGenerator.ALPHABETS[name] === this.customAlphabet.value);
+            this.alphabetPreset.value = preset || '';
+            this.updateModeSummary();
+        });
+        [this.includeUppercase, this.includeNumbers, this.includeSpecial, this.excludeSimilar, this.wordCount,
+            this.wordCapitalization, this.injectDigit, this.injectSymbol].forEach(input => {
+            input.addEventListener('change', () => this.updateModeSummary());
+        });
+        this.wordlistFile.addEventListener('change', (e) => this.handleWordlistUpload(e.target.files[0]));
+        this.resetWordlistBtn.addEventListener('click', () => {
+            this.passwordGenerator.resetWordlist();
+            this.updateWordlistInfo();
+            this.updateModeSummary();
+            this.showToast('Using the EFF large wordlist', 'success');
+        });
+        this.updateModeOptions();
+
+        // Bulk generation
+        this.batchGenerateBtn.addEventListener('click', () => this.handleBatchGenerate());
+        this.batchExportButtons.forEach(button => {
+            button.addEventListener('click', () => this.handleBatchExport(button.dataset.batchFormat));
+        });
+
+        // Password analyzer
+        // Rating and the breach lookup wait for a pause in typing instead of running on every keystroke
+        this.analyzerInput.addEventListener('input', () => {
+            clearTimeout(this.analyzeTimer);
+            this.analyzeTimer = setTimeout(() => this.handleAnalyze(), UIManager.ANALYZE_DELAY_MS);
+        });
+        this.analyzerToggle.addEventListener('click', () => this.toggleAnalyzerVisibility());
+
+        // Breach check source
+        this.breachProvider.addEventListener('change', () => this.applyBreachSettings());
+        this.breachUrl.addEventListener('change', () => this.applyBreachSettings());
+        this.breachDatasetFile.addEventListener('change', (e) => this.handleBreachDatasetImport(e.target.files[0]));
+        this.loadBreachSettings();
+
+        // Clear history
+        this.clearHistoryBtn.addEventListener('click', () => this.handleClearHistory());
+
+        // History entries
+        this.addEntryBtn.addEventListener('click', () => this.openEntryEditor());
+        this.cancelEntryBtn.addEventListener('click', () => this.closeEntryEditor());
+        this.historyEditor.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSaveEntry();
+        });
+        this.historySearch.addEventListener('input', () => this.renderPasswordHistory());
+        this.historyTagFilter.addEventListener('change', () => this.renderPasswordHistory());
+        this.historyFavoritesOnly.addEventListener('change', () => this.renderPasswordHistory());
+        this.historyLimit.addEventListener('change', () => this.handleHistoryLimitChange());
+        this.historyList.addEventListener('click', (e) => this.handleHistoryClick(e));
+
+        // Sharing
+        this.cancelShareBtn.addEventListener('click', () => this.closeShareForm());
+        this.shareForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleShareEntry();
+        });
+        this.collectionForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleCreateCollection();
+        });
+        this.collectionList.addEventListener('click', (e) => this.handleCollectionClick(e));
+        this.exportShareCardBtn.addEventListener('click', () => this.handleExportShareCard());
+        this.importShareCardFile.addEventListener('change', (e) => this.handleImportShareCard(e.target.files[0]));
+        this.importCollectionFile.addEventListener('change', (e) => this.handleImportCollection(e.target.files[0]));
+
+        // CSV import
+        this.importCsvFile.addEventListener('change', (e) => this.handleImportCsv(e.target.files[0]));
+        this.importFormat.addEventListener('change', () => this.handleImportFormatChange());
+        this.importMapping.addEventListener('change', (e) => {
+            this.pendingImport.mapping[e.target.dataset.importField] = parseInt(e.target.value);
+            this.updateImportPreview();
+        });
+        this.cancelImportBtn.addEventListener('click', () => this.closeImportPanel());
+        this.confirmImportBtn.addEventListener('click', () => this.handleConfirmImport());
+
+        // Audit
+        this.rotationDays.addEventListener('change', () => this.handleRotationDaysChange());
+        this.auditResults.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-regenerate]');
+            if (button) this.handleRegenerateEntry(button.dataset.regenerate);
+        });
+
+        // Two-factor authentication
+        this.setupTwoFactorBtn.addEventListener('click', () => this.openTwoFactorSetup());
+        this.cancelTwoFactorBtn.addEventListener('click', () => this.closeTwoFactorSetup());
+        this.twoFactorSetup.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleEnableTwoFactor();
+        });
+        this.disableTwoFactorBtn.addEventListener('click', () => this.handleDisableTwoFactor());
+        this.newRecoveryCodesBtn.addEventListener('click', () => this.handleNewRecoveryCodes());
+        this.downloadRecoveryCodesBtn.addEventListener('click', () => this.downloadRecoveryCodes());
+        this.closeRecoveryCodesBtn.addEventListener('click', () => this.closeRecoveryCodes());
+
+        // Account
+        this.profileForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleUpdateProfile();
+        });
+        this.changePasswordForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleChangePassword();
+        });
+        document.getElementById('newPassword').addEventListener('input', (e) => {
+            const { username, email } = this.userManager.getCurrentUser() || {};
+            this.updatePasswordHint(e.target.value, this.newPasswordHint, [username, email]);
+        });
+        this.deleteAccountForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleDeleteAccount();
+        });
+
+        // Backup and restore
+        this.exportBackupBtn.addEventListener('click', () => this.handleExportBackup());
+        this.restoreBackupFile.addEventListener('change', (e) => this.handleRestoreBackup(e.target.files[0]));
+
+        // Sync
+        this.syncForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleEnableSync();
+        });
+        this.syncNowBtn.addEventListener('click', () => this.handleSyncNow());
+        this.disableSyncBtn.addEventListener('click', () => this.handleDisableSync());
+
+        // Security tip action cards
+        this.attachTipCardListeners();
+    }
+
+    attachTipCardListeners() {
+        const tipCards = document.querySelectorAll('.tip-action-card');
+
+        tipCards.forEach(card => {
+            const actionBtn = card.querySelector('.tip-action-btn');
+            if (actionBtn) {
+                actionBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    const action = card.dataset.action;
+                    this.handleTipAction(action);
+                });
+            }
+        });
+    }
+
+    handleTipAction(action) {
+        switch (action) {
+            case 'generate-unique':
+                // Generate a unique, strong password with the built-in maximum security policy
+                this.selectPolicy('Maximum Security');
+                this.handleGenerate();
+                this.showToast('Generated unique secure password!', 'success');
+                break;
+
+            case 'set-length':
+                // Set length to 20 characters for maximum security
+                this.clearPolicy();
+                this.passwordLength.value = 20;
+                this.lengthValue.textContent = '20';
+                this.showToast('Password length set to 20 characters', 'success');
+                // Scroll to generator
+                document.querySelector('.generator-section').scrollIntoView({ behavior: 'smooth' });
+                break;
+
+            case 'enable-all':
+                // Enable all character types for maximum complexity
+                this.clearPolicy();
+                this.includeUppercase.checked = true;
+                this.includeLowercase.checked = true;
+                this.includeNumbers.checked = true;
+                this.includeSpecial.checked = true;
+                this.showToast('All character types enabled!', 'success');
+                break;
+
+            case 'copy-password':
+                // Copy current password (if exists)
+                this.handleCopy();
+                break;
+
+            default:
+                console.warn('Unknown action:', action);
+        }
+    }
+
+    updateModeOptions() {
+        const mode = this.generationMode.value;
+        this.passphraseOptions.classList.toggle('hidden', mode !== 'passphrase');
+        this.alphabetOptions.classList.toggle('hidden', mode !== 'custom');
+        // Only random and pronounceable passwords are built from the character classes
+        this.characterOptions.classList.toggle('hidden', mode !== 'random' && mode !== 'pronounceable');
+        this.includeLowercase.disabled = mode === 'pronounceable';
+        // Passphrase length is driven by the word count instead of the slider
+        this.passwordLength.disabled = mode === 'passphrase';
+
+        // PINs have a range of their own; the usual one comes back when leaving PIN mode
+        if (mode === 'pin') {
+            this.setLengthRange(PasswordGenerator.PIN_MIN_LENGTH, PasswordGenerator.PIN_MAX_LENGTH);
+            this.pinLengthRange = true;
+        } else if (this.pinLengthRange) {
+            this.pinLengthRange = false;
+            this.resetLengthRange();
+        }
+
+        this.updateWordlistInfo();
+        this.updateModeSummary();
+    }
+
+    // What the selected mode draws from, with the entropy it gives at the current settings
+    updateModeSummary() {
+        const mode = this.generationMode.value;
+        const descriptions = {
+            passphrase: 'Random words from the wordlist below',
+            pronounceable: 'Syllables of alternating consonants and vowels. Uppercase capitalizes random syllables; ' +
+                'numbers and symbols add one of each',
+            pin: 'Digits only. Repeats, runs like 1234 and dates are never generated',
+            custom: 'Every character drawn from the characters below'
+        };
+
+        this.modeSummary.classList.remove('field-error');
+        if (!descriptions[mode]) {
+            this.modeSummary.textContent = '';
+            return;
+        }
+        if (this.siteRules.value.trim()) {
+            this.modeSummary.textContent = 'Site password rules are set, so they decide what is generated';
+            return;
+        }
+        if (this.policyDescription.value.trim()) {
+            this.modeSummary.textContent = 'Your description is set, so it decides what is generated';
+            return;
+        }
+
+        try {
+            const bits = this.passwordGenerator.calculateKnownEntropy(this.getGeneratorOptions());
+            this.modeSummary.textContent = `${descriptions[mode]}. ${bits.toFixed(1)} bits of entropy.`;
+        } catch (error) {
+            this.modeSummary.textContent = error.message;
+            this.modeSummary.classList.add('field-error');
+        }
+    }
+
+    updateWordlistInfo() {
+        const { wordlist, wordlistName } = this.passwordGenerator;
+        const bitsPerWord = Math.log2(wordlist.length).toFixed(2);
+        this.wordlistInfo.textContent = `${wordlistName}: ${wordlist.length.toLocaleString()} words (${bitsPerWord} bits/word)`;
+    }
+
+    async handleWordlistUpload(file) {
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            const count = this.passwordGenerator.loadWordlist(text, file.name);
+            this.updateWordlistInfo();
+            this.updateModeSummary();
+            this.showToast(`Loaded ${count} words from ${file.name}`, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        } finally {
+            this.wordlistFile.value = '';
+        }
+    }
+
+    getAllPolicies() {
+        // Saved policies shadow built-ins of the same name
+        const saved = this.userManager.getPolicies();
+        const builtIns = BUILT_IN_POLICIES.filter(policy => !saved.some(p => p.name === policy.name));
+        return { builtIns, saved };
+    }
+
+    renderPolicyOptions() {
+        const { builtIns, saved } = this.getAllPolicies();
+        const selected = this.policySelect.value;
+        const option = policy => `<option value="${this.escapeHtml(policy.name)}">${this.escapeHtml(policy.name)}</option>`;
+
+        this.policySelect.innerHTML = `
+            <option value="">Custom (options below)</option>
+            <optgroup label="Built-in">${builtIns.map(option).join('')}</optgroup>
+            ${saved.length ? `<optgroup label="Saved">${saved.map(option).join('')}</optgroup>` : ''}
+        `;
+
+        this.policySelect.value = [...builtIns, ...saved].some(p => p.name === selected) ? selected : '';
+        this.updatePolicySummary();
+
+        const batchSelected = this.batchPolicy.value;
+        this.batchPolicy.innerHTML = `
+            <option value="">Current generator settings</option>
+            <optgroup label="Built-in">${builtIns.map(option).join('')}</optgroup>
+            ${saved.length ? `<optgroup label="Saved">${saved.map(option).join('')}</optgroup>` : ''}
+        `;
+        this.batchPolicy.value = [...builtIns, ...saved].some(p => p.name === batchSelected) ? batchSelected : '';
+    }
+
+    getSelectedPolicy() {
+        return this.findPolicy(this.policySelect.value);
+    }
+
+    findPolicy(name) {
+        if (!name) return null;
+
+        const { builtIns, saved } = this.getAllPolicies();
+        return [...saved, ...builtIns].find(policy => policy.name === name) || null;
+    }
+
+    getSiteRules() {
+        const text = this.siteRules.value.trim();
+        return text ? PasswordRules.parse(text) : null;
+    }
+
+    updateSiteRules() {
+        this.siteRulesSummary.classList.remove('field-error');
+
+        let rules;
+        try {
+            rules = this.getSiteRules();
+        } catch (error) {
+            this.siteRulesSummary.textContent = error.message;
+            this.siteRulesSummary.classList.add('field-error');
+            return;
+        }
+
+        if (!rules) {
+            this.siteRulesSummary.textContent = '';
+            this.resetLengthRange();
+            this.updateModeOptions();
+            return;
+        }
+
+        // Rules replace the policy, description and generation mode, and bound the length slider
+        this.clearPolicy();
+        this.clearDescription();
+        this.generationMode.value = 'random';
+        this.updateModeOptions();
+        this.setLengthRange(rules.minLength || 8, rules.maxLength || Math.max(64, rules.minLength || 0));
+        this.siteRulesSummary.textContent = PasswordRules.describe(rules) || 'Any printable ASCII characters';
+    }
+
+    // The policy the description box describes, or null when it's empty. Throws while part of the
+    // description isn't understood, so a password is never generated from only some of it.
+    getDescribedPolicy() {
+        const text = this.policyDescription.value.trim();
+        if (!text) return null;
+
+        const { policy, unparsed } = PolicyParser.parse(text);
+        if (unparsed.length) {
+            throw new Error(`Couldn't understand ${unparsed.map(phrase => `"${phrase}"`).join(', ')} in your description. ` +
+                `Rephrase or remove ${unparsed.length === 1 ? 'it' : 'them'}.`);
+        }
+        return policy;
+    }
+
+    updateDescription() {
+        this.descriptionSummary.classList.remove('field-error');
+
+        const text = this.policyDescription.value.trim();
+        if (!text) {
+            this.descriptionSummary.innerHTML = '';
+            if (this.descriptionApplied) {
+                this.descriptionApplied = false;
+                this.resetLengthRange();
+                this.updateModeOptions();
+            }
+            return;
+        }
+
+        let result;
+        try {
+            result = PolicyParser.parse(text);
+        } catch (error) {
+            this.descriptionSummary.textContent = error.message;
+            this.descriptionSummary.classList.add('field-error');
+            return;
+        }
+
+        // Like site rules, a description replaces the policy, rules and generation mode, and bounds the length slider
+        this.clearPolicy();
+        if (this.siteRules.value) {
+            this.siteRules.value = '';
+            this.updateSiteRules();
+        }
+        this.generationMode.value = 'random';
+        this.updateModeOptions();
+        this.setLengthRange(result.policy.minLength, result.policy.maxLength);
+        this.descriptionApplied = true;
+        this.renderDescriptionSummary(result);
+    }
+
+    // Each phrase next to what it was taken to mean, so it's clear what will be generated before it is
+    renderDescriptionSummary({ policy, understood, unparsed }) {
+        const term = (phrase, meaning, attributes = '') =>
+            `<li${attributes}><q>${this.escapeHtml(phrase)}</q> → ${this.escapeHtml(meaning)}</li>`;
+
+        this.descriptionSummary.innerHTML = `
+            <ul class="description-terms">
+                ${understood.map(({ phrase, meaning }) => term(phrase, meaning)).join('')}
+                ${unparsed.map(phrase => term(phrase, 'not understood', ' class="unparsed"')).join('')}
+            </ul>
+            ${unparsed.length
+                ? '<span class="field-error">Rephrase or remove what wasn\'t understood before generating</span>'
+                : this.escapeHtml(PolicyManager.describe(policy))}
+        `;
+    }
+
+    clearDescription() {
+        if (!this.policyDescription.value) return;
+
+        this.policyDescription.value = '';
+        this.descriptionSummary.innerHTML = '';
+        this.descriptionApplied = false;
+    }
+
+    setLengthRange(min, max) {
+        this.passwordLength.min = min;
+        this.passwordLength.max = max;
+        this.passwordLength.value = Math.min(max, Math.max(min, parseInt(this.passwordLength.value)));
+        this.lengthValue.textContent = this.passwordLength.value;
+        this.updateModeSummary();
+    }
+
+    resetLengthRange() {
+        this.setLengthRange(8, 64);
+    }
+
+    selectPolicy(name) {
+        this.policySelect.value = name;
+        this.applySelectedPolicy();
+    }
+
+    applySelectedPolicy() {
+        const policy = this.getSelectedPolicy();
+        if (!policy) {
+            this.clearPolicy();
+            return;
+        }
+
+        // Site rules and descriptions would override the policy, so selecting one clears them
+        if (this.siteRules.value) {
+            this.siteRules.value = '';
+            this.updateSiteRules();
+        }
+        this.clearDescription();
+
+        // Mirror the policy in the regular controls so it's clear what will be generated
+        this.generationMode.value = 'random';
+        this.updateModeOptions();
+        this.setLengthRange(policy.minLength, policy.maxLength);
+
+        this.includeUppercase.checked = policy.classes.uppercase.allowed;
+        this.includeLowercase.checked = policy.classes.lowercase.allowed;
+        this.includeNumbers.checked = policy.classes.numbers.allowed;
+        this.includeSpecial.checked = policy.classes.special.allowed;
+        this.excludeSimilar.checked = policy.excludeSimilar;
+        this.updatePolicySummary();
+    }
+
+    clearPolicy() {
+        if (!this.policySelect.value) return;
+
+        this.policySelect.value = '';
+        this.resetLengthRange();
+        this.updatePolicySummary();
+    }
+
+    updatePolicySummary() {
+        const policy = this.getSelectedPolicy();
+        const isSaved = policy && this.userManager.getPolicies().some(p => p.name === policy.name);
+
+        this.policySummary.textContent = policy ? PolicyManager.describe(policy) : '';
+        this.deletePolicyBtn.disabled = !isSaved;
+    }
+
+    fillPolicyEditor() {
+        const policy = this.getSelectedPolicy() || PolicyManager.fromOptions('', this.getGeneratorOptions());
+        const field = id => document.getElementById(id);
+
+        field('policyName').value = policy.name;
+        field('policyMinLength').value = policy.minLength;
+        field('policyMaxLength').value = policy.maxLength;
+        POLICY_CLASSES.forEach(name => {
+            const suffix = name.charAt(0).toUpperCase() + name.slice(1);
+            field(`policy${suffix}Allowed`).checked = policy.classes[name].allowed;
+            field(`policy${suffix}Min`).value = policy.classes[name].min;
+        });
+        field('policySpecialChars').value = policy.classes.special.chars || '';
+        field('policyForbiddenChars').value = policy.forbiddenChars;
+        field('policyExcludeSimilar').checked = policy.excludeSimilar;
+    }
+
+    readPolicyEditor() {
+        const field = id => document.getElementById(id);
+        const classes = {};
+
+        POLICY_CLASSES.forEach(name => {
+            const suffix = name.charAt(0).toUpperCase() + name.slice(1);
+            classes[name] = {
+                allowed: field(`policy${suffix}Allowed`).checked,
+                min: field(`policy${suffix}Min`).value
+            };
+        });
+        classes.special.chars = field('policySpecialChars').value;
+
+        return PolicyManager.create({
+            name: field('policyName').value,
+            minLength: field('policyMinLength').value,
+            maxLength: field('policyMaxLength').value,
+            classes,
+            forbiddenChars: field('policyForbiddenChars').value,
+            excludeSimilar: field('policyExcludeSimilar').checked
+        });
+    }
+
+    async handleSavePolicy() {
+        try {
+            const policy = this.readPolicyEditor();
+            // Make sure the policy can actually produce a password before storing it
+            this.passwordGenerator.policyPools(policy);
+
+            await this.userManager.savePolicy(policy);
+            this.renderPolicyOptions();
+            this.selectPolicy(policy.name);
+            this.policyEditor.open = false;
+            this.showToast(`Policy "${policy.name}" saved`, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async handleDeletePolicy() {
+        const policy = this.getSelectedPolicy();
+        if (!policy || !confirm(`Delete the policy "${policy.name}"?`)) return;
+
+        await this.userManager.deletePolicy(policy.name);
+        this.renderPolicyOptions();
+        this.applySelectedPolicy();
+        this.showToast(`Policy "${policy.name}" deleted`, 'success');
+    }
+
+    handleExportPolicies() {
+        const policies = this.userManager.getPolicies();
+        if (policies.length === 0) {
+            this.showToast('No saved policies to export', 'error');
+            return;
+        }
+
+        this.downloadFile('securepass-policies.json', PolicyManager.serialize(policies), 'application/json');
+        this.showToast(`Exported ${policies.length} ${policies.length === 1 ? 'policy' : 'policies'}`, 'success');
+    }
+
+    async handleImportPolicies(file) {
+        if (!file) return;
+
+        try {
+            const policies = PolicyManager.parse(await file.text());
+            for (const policy of policies) {
+                await this.userManager.savePolicy(policy);
+            }
+            this.renderPolicyOptions();
+            this.showToast(`Imported ${policies.length} ${policies.length === 1 ? 'policy' : 'policies'}`, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        } finally {
+            this.importPoliciesFile.value = '';
+        }
+    }
+
+    async handleExportBackup() {
+        this.exportBackupBtn.disabled = true;
+
+        try {
+            const backup = await BackupManager.create(this.userManager.getBackupData(), this.backupPassphrase.value);
+            const date = new Date().toISOString().slice(0, 10);
+            this.downloadFile(`securepass-backup-${date}.json`, backup, 'application/json');
+            this.userManager.logSecurityEvent('export', 'Encrypted backup');
+            this.showToast('Encrypted backup downloaded', 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        } finally {
+            this.exportBackupBtn.disabled = false;
+        }
+    }
+
+    async handleRestoreBackup(file) {
+        if (!file) return;
+
+        const mode = this.restoreMode.value;
+
+        try {
+            const payload = await BackupManager.open(await file.text(), this.backupPassphrase.value);
+
+            if (mode === 'replace' && !confirm('Replace your current history, policies and settings with this backup?')) {
+                return;
+            }
+
+            const { added, updated, unchanged, removed } = await this.userManager.restoreBackupData(payload, mode);
+            this.renderPolicyOptions();
+            this.renderPasswordHistory();
+
+            const parts = [`${added} added`];
+            if (mode === 'merge') parts.push(`${updated} updated`, `${unchanged} already up to date`);
+            if (removed) parts.push(`${removed} removed by your history limit`);
+            this.showToast(`Backup restored: ${parts.join(', ')}`, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        } finally {
+            this.restoreBackupFile.value = '';
+        }
+    }
+
+    renderSyncStatus() {
+        const status = this.userManager.getSyncStatus();
+
+        if (status.enabled) {
+            const last = status.lastSyncedAt
+                ? `last synced ${new Date(status.lastSyncedAt).toLocaleString()}`
+                : 'not synced yet';
+            this.syncStatus.textContent = `On with ${status.url} · ${last}` +
+                (status.error ? ` · Last attempt failed: ${status.error}` : '');
+        } else {
+            this.syncStatus.textContent = 'Off. Your history only lives in this browser.';
+        }
+
+        this.syncForm.classList.toggle('hidden', status.enabled);
+        this.syncNowBtn.classList.toggle('hidden', !status.enabled);
+        this.disableSyncBtn.classList.toggle('hidden', !status.enabled);
+    }
+
+    async handleEnableSync() {
+        const inputs = { url: this.syncUrl, token: this.syncToken, passphrase: this.syncPassphrase };
+        this.enableSyncBtn.disabled = true;
+
+        try {
+            const result = await this.userManager.enableSync({
+                url: this.syncUrl.value,
+                token: this.syncToken.value,
+                passphrase: this.syncPassphrase.value
+            });
+            if (!result) return;
+
+            this.resetForm(this.syncForm);
+            this.renderPasswordHistory();
+            this.showToast(`Sync is on: ${this.describeSync(result)}`, 'success');
+        } catch (error) {
+            this.showFormError(inputs, error);
+        } finally {
+            this.enableSyncBtn.disabled = false;
+            this.renderSyncStatus();
+        }
+    }
+
+    async handleSyncNow() {
+        this.syncNowBtn.disabled = true;
+
+        try {
+            const result = await this.userManager.syncNow();
+            if (result) {
+                this.renderPasswordHistory();
+                this.showToast(`Synced: ${this.describeSync(result)}`, 'success');
+            }
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        } finally {
+            this.syncNowBtn.disabled = false;
+            this.renderSyncStatus();
+        }
+    }
+
+    async handleDisableSync() {
+        if (!confirm('Turn off sync? Entries already on the server stay there.')) return;
+
+        try {
+            await this.userManager.disableSync();
+            this.renderSyncStatus();
+            this.showToast('Sync is off', 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // Runs with the session check; a failure shows in the sync status rather than a toast
+    async syncInBackground() {
+        if (!this.userManager.isSyncDue()) return;
+
+        try {
+            const result = await this.userManager.syncNow();
+            if (result && (result.pulled || result.removed)) {
+                this.renderPasswordHistory();
+            }
+        } catch (error) {
+            // The user manager keeps the message for the status line and waits before retrying
+        } finally {
+            if (this.userManager.getCurrentUser()) {
+                this.renderSyncStatus();
+            }
+        }
+    }
+
+    describeSync({ pulled, pushed, removed }) {
+        const parts = [`${pulled} received`, `${pushed} sent`];
+        if (removed) parts.push(`${removed} removed by your history limit`);
+        return parts.join(', ');
+    }
+
+    renderTwoFactorStatus() {
+        const status = this.userManager.getTwoFactorStatus();
+
+        if (status.enabled) {
+            const left = status.recoveryCodesLeft;
+            this.twoFactorStatus.textContent = `On since ${new Date(status.enabledAt).toLocaleDateString()} · ` +
+                `${left} recovery ${left === 1 ? 'code' : 'codes'} left`;
+        } else {
+            this.twoFactorStatus.textContent = 'Off. Anyone with your password can sign in.';
+        }
+
+        this.setupTwoFactorBtn.classList.toggle('hidden', status.enabled);
+        this.newRecoveryCodesBtn.classList.toggle('hidden', !status.enabled);
+        this.disableTwoFactorBtn.classList.toggle('hidden', !status.enabled);
+    }
+
+    openTwoFactorSetup() {
+        try {
+            const { secret, uri } = this.userManager.createTwoFactorSetup();
+            this.pendingTwoFactorSecret = secret;
+            this.twoFactorQr.innerHTML = QrCode.toSvg(QrCode.encode(uri));
+            this.twoFactorSecret.textContent = secret.match(/.{1,4}/g).join(' ');
+            this.twoFactorUri.textContent = uri;
+            this.twoFactorCode.value = '';
+            this.twoFactorSetup.classList.remove('hidden');
+            this.setupTwoFactorBtn.disabled = true;
+            this.twoFactorCode.focus();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    closeTwoFactorSetup() {
+        this.pendingTwoFactorSecret = null;
+        this.twoFactorSetup.classList.add('hidden');
+        this.twoFactorQr.innerHTML = '';
+        this.twoFactorSecret.textContent = '';
+        this.twoFactorUri.textContent = '';
+        this.twoFactorCode.value = '';
+        this.setupTwoFactorBtn.disabled = false;
+    }
+
+    async handleEnableTwoFactor() {
+        try {
+            const codes = await this.userManager.enableTwoFactor(this.pendingTwoFactorSecret, this.twoFactorCode.value);
+            this.closeTwoFactorSetup();
+            this.renderTwoFactorStatus();
+            this.showRecoveryCodes(codes);
+            this.showToast('Two-factor authentication is on', 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async handleDisableTwoFactor() {
+        const code = prompt('Enter a code from your authenticator app, or a recovery code, to turn off two-factor authentication');
+        if (!code) return;
+
+        try {
+            await this.userManager.disableTwoFactor(code);
+            this.closeRecoveryCodes();
+            this.renderTwoFactorStatus();
+            this.showToast('Two-factor authentication is off', 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async handleNewRecoveryCodes() {
+        const code = prompt('Enter a code from your authenticator app to replace your recovery codes. The old ones stop working.');
+        if (!code) return;
+
+        try {
+            const codes = await this.userManager.regenerateRecoveryCodes(code);
+            this.renderTwoFactorStatus();
+            this.showRecoveryCodes(codes);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    showRecoveryCodes(codes) {
+        this.recoveryCodes = codes;
+        this.recoveryCodeList.innerHTML = codes.map(code => `<li>${this.escapeHtml(code)}</li>`).join('');
+        this.recoveryCodesPanel.classList.remove('hidden');
+    }
+
+    closeRecoveryCodes() {
+        this.recoveryCodes = null;
+        this.recoveryCodeList.innerHTML = '';
+        this.recoveryCodesPanel.classList.add('hidden');
+    }
+
+    downloadRecoveryCodes() {
+        if (!this.recoveryCodes) return;
+
+        const user = this.userManager.getCurrentUser();
+        const lines = [
+            `SecurePass AI recovery codes for ${user.username}`,
+            `Created ${new Date().toLocaleString()}. Each code works once.`,
+            '',
+            ...this.recoveryCodes
+        ];
+        this.downloadFile('securepass-recovery-codes.txt', lines.join('\n') + '\n', 'text/plain');
+        this.userManager.logSecurityEvent('export', 'Recovery codes');
+    }
+
+    renderAccount() {
+        const user = this.userManager.getCurrentUser();
+        this.currentUsername.textContent = user.username;
+        this.accountUsername.value = user.username;
+        this.accountEmail.value = user.email;
+    }
+
+    async handleUpdateProfile() {
+        const inputs = {
+            username: this.accountUsername,
+            email: this.accountEmail,
+            currentPassword: document.getElementById('profileCurrentPassword')
+        };
+
+        try {
+            await this.userManager.updateProfile({
+                username: inputs.username.value,
+                email: inputs.email.value
+            }, inputs.currentPassword.value);
+            this.resetForm(this.profileForm);
+            this.renderAccount();
+            this.showToast('Profile updated', 'success');
+        } catch (error) {
+            this.showFormError(inputs, error);
+        }
+    }
+
+    async handleChangePassword() {
+        const inputs = {
+            currentPassword: document.getElementById('currentPassword'),
+            password: document.getElementById('newPassword'),
+            confirmPassword: document.getElementById('confirmNewPassword')
+        };
+
+        if (inputs.password.value !== inputs.confirmPassword.value) {
+            this.showFieldErrors(inputs, { confirmPassword: 'Passwords do not match' });
+            return;
+        }
+
+        try {
+            await this.userManager.changePassword(inputs.currentPassword.value, inputs.password.value);
+            this.resetForm(this.changePasswordForm);
+            this.showToast('Password changed', 'success');
+        } catch (error) {
+            this.showFormError(inputs, error);
+        }
+    }
+
+    async handleDeleteAccount() {
+        const inputs = { currentPassword: document.getElementById('deleteAccountPassword') };
+        const password = inputs.currentPassword.value;
+        const { username } = this.userManager.getCurrentUser();
+
+        if (!confirm(`Permanently delete the account "${username}" and everything saved in it?`)) return;
+
+        try {
+            // Checked up front so a mistyped password doesn't clear the page
+            await this.userManager.verifyCurrentPassword(password);
+            await this.clearWorkspace();
+            await this.userManager.deleteAccount(password);
+            this.showToast('Account deleted', 'success');
+            this.showAuthModal();
+            this.showLoginForm();
+        } catch (error) {
+            this.showFormError(inputs, error);
+        }
+    }
+
+    // `inputs` maps the field names UserManager reports errors for to their inputs
+    showFieldErrors(inputs, errors) {
+        Object.entries(inputs).forEach(([field, input]) => this.showFieldError(input, errors[field] || ''));
+
+        const first = Object.keys(inputs).find(field => errors[field]);
+        if (first) inputs[first].focus();
+    }
+
+    showFieldError(input, message) {
+        const group = input.closest('.input-group');
+        const element = group && group.querySelector('.field-message');
+        if (!element) return;
+
+        element.textContent = message;
+        element.hidden = !message;
+        input.classList.toggle('invalid', Boolean(message));
+        input.setAttribute('aria-invalid', message ? 'true' : 'false');
+    }
+
+    // Errors about specific fields go next to them; anything else is a toast
+    showFormError(inputs, error) {
+        if (error.fields && Object.keys(error.fields).some(field => inputs[field])) {
+            this.showFieldErrors(inputs, error.fields);
+        } else {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    resetForm(form) {
+        form.reset();
+        form.querySelectorAll('input').forEach(input => this.showFieldError(input, ''));
+        form.querySelectorAll('.field-hint').forEach(hint => { hint.textContent = ''; });
+    }
+
+    // Live rating against the minimum account passwords need
+    updatePasswordHint(password, hint, userInputs) {
+        if (!password) {
+            hint.textContent = '';
+            hint.className = 'field-hint';
+            return;
+        }
+
+        const { strength } = this.passwordGenerator.calculateStrength(password, undefined, userInputs.filter(Boolean));
+        const levels = UserManager.STRENGTH_LEVELS;
+        const strongEnough = levels.indexOf(strength) >= levels.indexOf(UserManager.MIN_PASSWORD_STRENGTH);
+
+        hint.textContent = strongEnough
+            ? `Strength: ${strength}`
+            : `Strength: ${strength}. At least ${UserManager.MIN_PASSWORD_STRENGTH} is required.`;
+        hint.className = `field-hint ${strongEnough ? 'field-ok' : 'field-error'}`;
+    }
+
+    renderSecurityLog() {
+        const events = this.userManager.getSecurityEvents();
+        const failures = this.countFailuresSinceLastSignIn(events);
+
+        this.securityLogSummary.textContent = events.length === 0
+            ? 'No activity recorded yet'
+            : `Last ${events.length} ${events.length === 1 ? 'event' : 'events'}` +
+                (failures ? ` · ${failures} failed sign-in ${failures === 1 ? 'attempt' : 'attempts'} since you last signed in` : '');
+
+        this.securityLogList.innerHTML = events.map(event => {
+            const warning = event.type === 'login_failed' || event.type === 'lockout';
+            return `
+                <li class="security-event${warning ? ' security-event-warning' : ''}">
+                    <span>
+                        <strong>${this.escapeHtml(SecurityLog.describe(event))}</strong>
+                        ${event.detail ? `<span class="security-event-detail">${this.escapeHtml(event.detail)}</span>` : ''}
+                    </span>
+                    <time datetime="${this.escapeHtml(event.at)}">${new Date(event.at).toLocaleString()}</time>
+                </li>
+            `;
+        }).join('');
+    }
+
+    // Failed attempts between the sign-in that started this session and the one before it
+    countFailuresSinceLastSignIn(events) {
+        const current = events.findIndex(event => event.type === 'login');
+        if (current === -1) return 0;
+
+        const previous = events.findIndex((event, index) => index > current && event.type === 'login');
+        return events.slice(current + 1, previous === -1 ? undefined : previous)
+            .filter(event => event.type === 'login_failed').length;
+    }
+
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    parseJsonFile(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error('That file is not valid JSON');
+        }
+    }
+
+    checkAuthentication() {
+        const user = this.userManager.getCurrentUser();
+        if (user) {
+            this.showMainApp(user);
+            return;
+        }
+
+        this.showAuthModal();
+
+        // The vault key never survives a reload, so a live session still needs the password
+        const session = this.userManager.getSession();
+        if (session) {
+            this.showLockForm(session, 'Enter your password to continue.');
+        } else {
+            this.showLoginForm();
+        }
+    }
+
+    async checkSession() {
+        if (!this.userManager.getCurrentUser()) return;
+
+        const status = this.userManager.getSessionStatus();
+        if (status === 'idle') {
+            await this.handleLock('Locked after inactivity. Enter your password to continue.');
+        } else if (status === 'expired') {
+            await this.closeSession('Your session has expired. Please sign in again');
+        } else if (status === 'none') {
+            // Signed out, or signed in as someone else, from another tab
+            await this.closeSession('You were signed out in another window');
+        } else {
+            await this.syncInBackground();
+        }
+    }
+
+    showAuthModal() {
+        this.authModal.classList.add('active');
+        this.mainApp.classList.add('hidden');
+        // Signing out logs an event, which re-renders the log after the workspace was cleared
+        this.securityLogSummary.textContent = '';
+        this.securityLogList.innerHTML = '';
+    }
+
+    showMainApp(user) {
+        this.authModal.classList.remove('active');
+        this.mainApp.classList.remove('hidden');
+        this.renderAccount();
+        this.renderPolicyOptions();
+        this.applyPrivacySettings();
+        this.renderPasswordHistory();
+        this.renderTwoFactorStatus();
+        this.renderSecurityLog();
+        this.renderSyncStatus();
+        this.syncInBackground();
+        this.refreshCollections();
+    }
+
+    showLoginForm() {
+        this.loginCodeGroup.classList.add('hidden');
+        this.loginCode.value = '';
+        this.loginForm.classList.remove('hidden');
+        this.registerForm.classList.add('hidden');
+        this.lockForm.classList.add('hidden');
+    }
+
+    showRegisterForm() {
+        this.registerForm.classList.remove('hidden');
+        this.loginForm.classList.add('hidden');
+        this.lockForm.classList.add('hidden');
+    }
+
+    showLockForm(session, message) {
+        this.lockForm.classList.remove('hidden');
+        this.loginForm.classList.add('hidden');
+        this.registerForm.classList.add('hidden');
+        this.lockUsername.textContent = session.username;
+        this.lockMessage.textContent = message;
+        this.lockFormElement.reset();
+    }
+
+    async handleLogin() {
+        const identifier = document.getElementById('loginEmail').value;
+        const password = document.getElementById('loginPassword').value;
+
+        try {
+            const user = await this.userManager.login(identifier, password, this.loginCode.value);
+            const failures = this.countFailuresSinceLastSignIn(this.userManager.getSecurityEvents());
+            if (failures) {
+                this.showToast(`Login successful. There ${failures === 1 ? 'was 1 failed attempt' : `were ${failures} failed attempts`} ` +
+                    'to sign in since your last visit; see Security Activity.', 'error', 6000);
+            } else {
+                this.showToast('Login successful!', 'success');
+            }
+            this.showMainApp(user);
+            this.loginFormElement.reset();
+            this.loginCodeGroup.classList.add('hidden');
+        } catch (error) {
+            if (error.code === UserManager.TWO_FACTOR_REQUIRED) {
+                this.loginCodeGroup.classList.remove('hidden');
+                this.loginCode.focus();
+                this.showToast(error.message, 'info');
+                return;
+            }
+
+            this.loginCode.value = '';
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async handleRegister() {
+        const inputs = {
+            username: document.getElementById('registerUsername'),
+            email: document.getElementById('registerEmail'),
+            password: document.getElementById('registerPassword'),
+            confirmPassword: document.getElementById('registerConfirmPassword')
+        };
+        const username = inputs.username.value.trim();
+        const email = inputs.email.value.trim();
+        const password = inputs.password.value;
+
+        // Check everything up front so every problem shows at once
+        const errors = this.userManager.validateAccount({ username, email, password });
+        if (password !== inputs.confirmPassword.value) {
+            errors.confirmPassword = 'Passwords do not match';
+        }
+        if (Object.keys(errors).length > 0) {
+            this.showFieldErrors(inputs, errors);
+            return;
+        }
+
+        try {
+            await this.userManager.register(username, email, password);
+            this.showToast('Registration successful! Please login.', 'success');
+            this.showLoginForm();
+            this.resetForm(this.registerFormElement);
+        } catch (error) {
+            this.showFormError(inputs, error);
+        }
+    }
+
+    async handleLock(message) {
+        const session = this.userManager.getSession();
+        if (!session) {
+            await this.closeSession('Your session has expired. Please sign in again');
+            return;
+        }
+
+        await this.clearWorkspace();
+        await this.userManager.lock();
+        this.showAuthModal();
+        this.showLockForm(session, message);
+    }
+
+    async handleUnlock() {
+        const password = document.getElementById('unlockPassword').value;
+
+        try {
+            const user = await this.userManager.unlock(password);
+            this.showMainApp(user);
+            this.lockFormElement.reset();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            if (!this.userManager.getSession()) {
+                this.showLoginForm();
+            }
+        }
+    }
+
+    async handleLogout() {
+        await this.clearWorkspace();
+        await this.userManager.logout();
+        this.showToast('Logged out successfully', 'success');
+        this.showAuthModal();
+        this.showLoginForm();
+    }
+
+    // Leaves this tab signed out without ending a session another tab may be using
+    async closeSession(message) {
+        await this.clearWorkspace();
+        await this.userManager.lock();
+        this.showToast(message, 'error');
+        this.showAuthModal();
+        this.showLoginForm();
+    }
+
+    // Wipes everything derived from the vault off the page before it's hidden
+    async clearWorkspace() {
+        // Don't leave a copied password behind for the next person at this machine
+        await this.clipboardGuard.clearNow();
+        this.revealedEntries.clear();
+        this.auditor.clear();
+        this.generatedPassword.value = '';
+        this.resetStrengthMeter('No password generated');
+        this.analyzerInput.value = '';
+        this.handleAnalyze();
+        this.clearPolicy();
+        this.renderBatchResults([]);
+        this.closeEntryEditor();
+        this.closeImportPanel();
+        this.closeTwoFactorSetup();
+        this.closeRecoveryCodes();
+        this.resetForm(this.profileForm);
+        this.resetForm(this.changePasswordForm);
+        this.resetForm(this.deleteAccountForm);
+        this.historySearch.value = '';
+        this.historyTagFilter.value = '';
+        this.historyFavoritesOnly.checked = false;
+        this.backupPassphrase.value = '';
+        this.resetForm(this.syncForm);
+        this.closeShareForm();
+        this.resetForm(this.collectionForm);
+        this.collections = [];
+        this.collectionMembers.innerHTML = '';
+        this.collectionList.innerHTML = '';
+        this.shareFingerprint.textContent = '';
+        this.contactList.innerHTML = '';
+    }
+
+    getGeneratorOptions() {
+        const describedPolicy = this.getDescribedPolicy();
+
+        return {
+            length: parseInt(this.passwordLength.value),
+            includeUppercase: this.includeUppercase.checked,
+            includeLowercase: this.includeLowercase.checked,
+            includeNumbers: this.includeNumbers.checked,
+            includeSpecial: this.includeSpecial.checked,
+            excludeSimilar: this.excludeSimilar.checked,
+            // A description only ever produces random characters
+            mode: describedPolicy ? 'random' : this.generationMode.value,
+            alphabet: this.customAlphabet.value,
+            wordCount: parseInt(this.wordCount.value),
+            separator: this.wordSeparator.value,
+            capitalization: this.wordCapitalization.value,
+            injectDigit: this.injectDigit.checked,
+            injectSymbol: this.injectSymbol.checked,
+            policy: describedPolicy || this.getSelectedPolicy(),
+            passwordRules: this.getSiteRules()
+        };
+    }
+
+    // Generates a password that isn't in the user's history or known breach data, with its strength result
+    async generateCheckedPassword(options) {
+        let password = null;
+        let breach = null;
+        let breachedCandidates = 0;
+        const maxAttempts = 10;
+
+        // Ensure the password is unique and not known from a breach
+        for (let attempt = 0; attempt < maxAttempts && !password; attempt++) {
+            const candidate = this.passwordGenerator.generate(options);
+            if (!this.userManager.isPasswordUnique(candidate)) continue;
+
+            breach = await this.breachChecker.check(candidate);
+            if (breach.found) {
+                breachedCandidates++;
+                continue;
+            }
+
+            password = candidate;
+        }
+
+        if (!password) {
+            throw new Error(breachedCandidates
+                ? 'Generated passwords keep showing up in breach data. Try longer or different options.'
+                : 'Could not generate unique password. Try different options.');
+        }
+
+        const knownEntropy = this.passwordGenerator.calculateKnownEntropy(options);
+        const result = BreachChecker.annotate(
+            this.passwordGenerator.calculateStrength(password, knownEntropy),
+            breach
+        );
+
+        return { password, result };
+    }
+
+    async handleGenerate() {
+        try {
+            const { password, result } = await this.generateCheckedPassword(this.getGeneratorOptions());
+            const { strength } = result;
+
+            this.generatedPassword.value = password;
+            this.setGeneratedRevealed(false);
+            this.updateStrengthMeter(result);
+
+            // Add to history
+            const removed = await this.userManager.addPasswordToHistory(password, strength);
+            this.renderPasswordHistory();
+
+            this.showToast(removed
+                ? `Password generated. ${removed} oldest history ${removed === 1 ? 'entry was' : 'entries were'} removed to stay within your limit.`
+                : 'Password generated successfully!', 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    getBatchOptions() {
+        const options = this.getGeneratorOptions();
+        const policy = this.findPolicy(this.batchPolicy.value);
+
+        // A policy picked for the batch replaces whatever the generator is set to
+        return policy
+            ? { ...options, policy, passwordRules: null, mode: 'random' }
+            : options;
+    }
+
+    handleBatchGenerate() {
+        try {
+            const count = parseInt(this.batchCount.value);
+            const rows = this.passwordGenerator.generateBatch(
+                this.getBatchOptions(),
+                count,
+                password => this.userManager.isPasswordUnique(password)
+            );
+
+            this.renderBatchResults(rows);
+            this.showToast(`Generated ${rows.length} unique password${rows.length === 1 ? '' : 's'}`, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    renderBatchResults(rows) {
+        this.batchRows = rows;
+        this.batchResults.classList.toggle('hidden', rows.length === 0);
+
+        const counts = rows.reduce((totals, row) => {
+            totals[row.strength] = (totals[row.strength] || 0) + 1;
+            return totals;
+        }, {});
+        this.batchInfo.textContent = `${rows.length} passwords · ` +
+            Object.entries(counts).map(([strength, count]) => `${count} ${strength}`).join(', ');
+
+        this.batchTableBody.innerHTML = rows.map((row, index) => {
+            const strengthClass = `strength-${row.strength.toLowerCase().replace(' ', '-')}`;
+
+            return `
+                <tr>
+                    <td class="batch-index">${index + 1}</td>
+                    <td class="batch-password">${this.escapeHtml(row.password)}</td>
+                    <td><span class="history-strength ${strengthClass}">${row.strength}</span></td>
+                    <td class="batch-entropy">${Math.round(row.entropy)} bits</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    handleBatchExport(format) {
+        if (this.batchRows.length === 0) {
+            this.showToast('Generate a batch first', 'error');
+            return;
+        }
+
+        try {
+            const { extension, type } = BATCH_EXPORT_FORMATS[format] || {};
+            const content = BatchExporter.serialize(this.batchRows, format);
+            this.downloadFile(`securepass-batch.${extension}`, content, type);
+            this.userManager.logSecurityEvent('export', `${this.batchRows.length} generated passwords as ${format.toUpperCase()}`);
+            this.showToast(`Exported ${this.batchRows.length} passwords as ${format.toUpperCase()}`, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    handleCopy() {
+        const password = this.generatedPassword.value;
+
+        if (!password) {
+            this.showToast('No password to copy', 'error');
+            return;
+        }
+
+        this.copyToClipboard(password);
+    }
+
+    async copyToClipboard(password) {
+        const seconds = this.userManager.getClipboardClearSeconds();
+
+        try {
+            await this.clipboardGuard.copy(password, seconds, {
+                onTick: remaining => {
+                    // Only keep counting down while no newer message has replaced the countdown
+                    if (remaining !== seconds && this.toast.dataset.countdown !== 'clipboard') return;
+                    this.showToast(`Password copied. Clipboard clears in ${remaining}s`, 'success', 1500);
+                    this.toast.dataset.countdown = 'clipboard';
+                },
+                onClear: outcome => {
+                    if (outcome === 'cleared') {
+                        this.showToast('Clipboard cleared', 'success');
+                    } else if (outcome === 'unreadable') {
+                        this.showToast('Could not check the clipboard, so it was not cleared', 'error');
+                    }
+                }
+            });
+
+            if (!seconds) {
+                this.showToast('Password copied to clipboard!', 'success');
+            }
+        } catch (error) {
+            this.showToast('Failed to copy password', 'error');
+        }
+    }
+
+    applyPrivacySettings() {
+        this.maskPasswords.checked = this.userManager.getMaskPasswords();
+        this.clipboardClearSeconds.value = String(this.userManager.getClipboardClearSeconds());
+        this.revealPasswordBtn.classList.toggle('hidden', !this.maskPasswords.checked);
+        this.setGeneratedRevealed(false);
+    }
+
+    setGeneratedRevealed(revealed) {
+        const masked = this.userManager.getMaskPasswords() && !revealed;
+        this.generatedPassword.type = masked ? 'password' : 'text';
+        this.revealPasswordBtn.title = masked ? 'Show password' : 'Hide password';
+    }
+
+    async handleMaskPasswordsChange() {
+        await this.userManager.setMaskPasswords(this.maskPasswords.checked);
+        this.revealedEntries.clear();
+        this.applyPrivacySettings();
+        this.renderPasswordHistory();
+    }
+
+    async handleClipboardClearChange() {
+        try {
+            await this.userManager.setClipboardClearSeconds(parseInt(this.clipboardClearSeconds.value));
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async handleClearHistory() {
+        if (confirm('Are you sure you want to clear your password history?')) {
+            await this.userManager.clearPasswordHistory();
+            this.renderPasswordHistory();
+            this.showToast('History cleared', 'success');
+        }
+    }
+
+    updateStrengthMeter({ strength, score, entropy, crackTimeRanges, feedback, breach }, meter = this.generatorMeter) {
+        const percentage = Math.min(score, 100);
+        meter.bar.style.width = `${percentage}%`;
+        meter.text.textContent = breach && breach.found
+            ? `Strength: ${strength} · found in known data breaches`
+            : `Strength: ${strength} · ${Math.round(entropy)} bits of entropy`;
+        meter.details.textContent = [
+            `Time to crack offline: ${crackTimeRanges.offline.display}`,
+            ...feedback.slice(0, 1),
+            ...(breach && breach.error ? ['Breach check unavailable'] : [])
+        ].join(' · ');
+
+        // Remove all strength classes
+        meter.bar.classList.remove('strength-weak', 'strength-medium', 'strength-strong', 'strength-very-strong');
+
+        // Add appropriate class
+        if (strength === 'Very Strong') {
+            meter.bar.classList.add('strength-very-strong');
+        } else if (strength === 'Strong') {
+            meter.bar.classList.add('strength-strong');
+        } else if (strength === 'Medium') {
+            meter.bar.classList.add('strength-medium');
+        } else {
+            meter.bar.classList.add('strength-weak');
+        }
+    }
+
+    resetStrengthMeter(message, meter = this.generatorMeter) {
+        meter.bar.style.width = '0%';
+        meter.bar.classList.remove('strength-weak', 'strength-medium', 'strength-strong', 'strength-very-strong');
+        meter.text.textContent = message;
+        meter.details.textContent = '';
+    }
+
+    async handleAnalyze() {
+        clearTimeout(this.analyzeTimer);
+        const password = this.analyzerInput.value;
+        const analysisId = ++this.analysisId;
+
+        // Analysis stays in memory: nothing typed here is written to history or storage
+        if (!password) {
+            this.resetStrengthMeter('Enter a password to analyze', this.analyzerMeter);
+            this.analyzerResults.classList.add('hidden');
+            return;
+        }
+
+        const user = this.userManager.getCurrentUser();
+        const userInputs = user ? [user.username, user.email, user.email.split('@')[0]] : [];
+        const breach = await this.breachChecker.check(password);
+
+        // Ignore results for input that changed while the breach lookup was running
+        if (analysisId !== this.analysisId) return;
+
+        const result = BreachChecker.annotate(
+            this.passwordGenerator.calculateStrength(password, undefined, userInputs),
+            breach
+        );
+
+        this.updateStrengthMeter(result, this.analyzerMeter);
+        this.analyzerMeter.details.textContent = [
+            `Online: ${result.crackTimeRanges.online.display}`,
+            `Offline: ${result.crackTimeRanges.offline.display}`,
+            breach.checked ? (breach.found ? 'Breached' : 'Not found in breach data') : breach.error && 'Breach check unavailable'
+        ].filter(Boolean).join(' · ');
+
+        this.analyzerBreakdown.innerHTML = result.matches.map(match => `
+            <li>
+                <code>${this.escapeHtml(match.token)}</code>
+                <span class="breakdown-pattern">${this.describeMatch(match)}</span>
+                <span class="breakdown-bits">${match.bits.toFixed(1)} bits</span>
+            </li>
+        `).join('') + `
+            <li class="breakdown-total">
+                <span>Total</span>
+                <span class="breakdown-bits">${result.entropy.toFixed(1)} bits</span>
+            </li>
+        `;
+
+        this.analyzerWeaknesses.innerHTML = result.warnings.length
+            ? result.warnings.map(warning => `<li>${this.escapeHtml(warning)}</li>`).join('')
+            : '<li class="empty-hint">No obvious weaknesses found</li>';
+
+        this.analyzerSuggestions.innerHTML = result.suggestions
+            .map(suggestion => `<li>${this.escapeHtml(suggestion)}</li>`)
+            .join('');
+
+        this.analyzerResults.classList.remove('hidden');
+    }
+
+    describeMatch(match) {
+        switch (match.pattern) {
+            case 'dictionary': {
+                const notes = [match.l33t && 'l33t', match.reversed && 'reversed'].filter(Boolean);
+                return notes.length ? `${match.dictionary} (${notes.join(', ')})` : match.dictionary;
+            }
+            case 'spatial':
+                return 'keyboard pattern';
+            case 'repeat':
+                return `repeated ×${match.repeatCount}`;
+            case 'sequence':
+                return 'sequence';
+            case 'date':
+                return 'date';
+            case 'year':
+                return 'year';
+            default:
+                return 'random characters';
+        }
+    }
+
+    loadBreachSettings() {
+        const settings = JSON.parse(localStorage.getItem('breachSettings') || '{"provider":"off"}');
+        this.breachProvider.value = settings.provider;
+        this.breachUrl.value = settings.url || '';
+        this.applyBreachSettings(false);
+    }
+
+    applyBreachSettings(notify = true) {
+        const provider = this.breachProvider.value;
+        const url = this.breachUrl.value.trim();
+
+        this.breachLocalGroup.classList.toggle('hidden', provider !== 'local');
+        this.breachHttpGroup.classList.toggle('hidden', provider !== 'http');
+
+        try {
+            if (provider === 'local') {
+                const ranges = localStorage.getItem('breachRanges');
+                const local = ranges ? new LocalRangeProvider(JSON.parse(ranges)) : null;
+                this.breachChecker.setProvider(local);
+                this.breachDatasetInfo.textContent = local
+                    ? `${Object.keys(local.ranges).length.toLocaleString()} hash ranges loaded`
+                    : 'No dataset imported yet';
+            } else if (provider === 'http') {
+                this.breachChecker.setProvider(url ? new HttpRangeProvider(url) : null);
+            } else {
+                this.breachChecker.setProvider(null);
+            }
+
+            localStorage.setItem('breachSettings', JSON.stringify({ provider, url }));
+            if (notify) this.showToast('Breach check settings saved', 'success');
+        } catch (error) {
+            this.breachChecker.setProvider(null);
+            if (notify) this.showToast(error.message, 'error');
+        }
+
+        this.handleAnalyze();
+    }
+
+    async handleBreachDatasetImport(file) {
+        if (!file) return;
+
+        try {
+            const provider = LocalRangeProvider.fromDataset(await file.text());
+            this.breachChecker.setProvider(provider);
+
+            try {
+                localStorage.setItem('breachRanges', JSON.stringify(provider.ranges));
+                this.breachDatasetInfo.textContent = `${provider.size.toLocaleString()} hashes from ${file.name}`;
+            } catch (error) {
+                // Too big for localStorage: keep it for this session only
+                this.breachDatasetInfo.textContent = `${provider.size.toLocaleString()} hashes from ${file.name} (this session only)`;
+            }
+
+            this.showToast(`Imported ${provider.size.toLocaleString()} breached password hashes`, 'success');
+            this.handleAnalyze();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        } finally {
+            this.breachDatasetFile.value = '';
+        }
+    }
+
+    toggleAnalyzerVisibility() {
+        const reveal = this.analyzerInput.type === 'password';
+        this.analyzerInput.type = reveal ? 'text' : 'password';
+        this.analyzerToggle.title = reveal ? 'Hide password' : 'Show password';
+    }
+
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    getFilteredHistory() {
+        const user = this.userManager.getCurrentUser();
+        const query = this.historySearch.value.trim().toLowerCase();
+        const tag = this.historyTagFilter.value;
+        const favoritesOnly = this.historyFavoritesOnly.checked;
+
+        return ((user && user.passwordHistory) || [])
+            .filter(entry => !favoritesOnly || entry.favorite)
+            .filter(entry => !tag || entry.tags.includes(tag))
+            .filter(entry => !query || [entry.site, entry.username, entry.notes, ...entry.tags]
+                .some(field => field.toLowerCase().includes(query)))
+            // Favorites first, otherwise newest first
+            .sort((a, b) => (b.favorite - a.favorite) || b.timestamp.localeCompare(a.timestamp));
+    }
+
+    renderHistoryTagFilter() {
+        const tags = this.userManager.getHistoryTags();
+        const selected = this.historyTagFilter.value;
+
+        this.historyTagFilter.innerHTML = '<option value="">All tags</option>' +
+            tags.map(tag => `<option value="${this.escapeHtml(tag)}">#${this.escapeHtml(tag)}</option>`).join('');
+        this.historyTagFilter.value = tags.includes(selected) ? selected : '';
+    }
+
+    renderPasswordHistory() {
+        const user = this.userManager.getCurrentUser();
+        this.renderHistoryTagFilter();
+        this.historyLimit.value = String(this.userManager.getHistoryLimit());
+        this.renderAudit();
+
+        if (!user || !user.passwordHistory || user.passwordHistory.length === 0) {
+            this.historyList.innerHTML = '<p class="empty-state">No passwords generated yet</p>';
+            return;
+        }
+
+        const entries = this.getFilteredHistory();
+        if (entries.length === 0) {
+            this.historyList.innerHTML = '<p class="empty-state">No entries match your search</p>';
+            return;
+        }
+
+        const mask = this.userManager.getMaskPasswords();
+        const masked = item => mask && !this.revealedEntries.has(item.id);
+        const sharedIn = this.getSharedCollectionNames();
+
+        this.historyList.innerHTML = entries.map(item => {
+            const date = new Date(item.timestamp);
+            const timeStr = date.toLocaleString();
+            const strengthClass = `strength-${item.strength.toLowerCase().replace(' ', '-')}`;
+            const tags = item.tags.map(tag =>
+                `<button class="history-tag" data-tag="${this.escapeHtml(tag)}">#${this.escapeHtml(tag)}</button>`
+            ).join('');
+            const collections = sharedIn.get(item.id) || [];
+
+            return `
+                <div class="history-item${item.favorite ? ' favorite' : ''}" data-id="${this.escapeHtml(item.id)}">
+                    <div class="history-main">
+                        <div class="history-title">
+                            <span class="history-site">${this.escapeHtml(item.site || 'Untitled')}</span>
+                            ${item.username ? `<span class="history-username">${this.escapeHtml(item.username)}</span>` : ''}
+                            ${collections.length ? `<span class="history-shared"
+                                title="Shared in ${this.escapeHtml(collections.join(', '))}">Shared</span>` : ''}
+                        </div>
+                        <span class="history-password">${masked(item)
+                            ? '•'.repeat(Math.min(item.password.length, 16))
+                            : this.escapeHtml(item.password)}</span>
+                        ${tags ? `<div class="history-tags">${tags}</div>` : ''}
+                        ${item.notes ? `<p class="history-notes">${this.escapeHtml(item.notes)}</p>` : ''}
+                    </div>
+                    <div class="history-meta">
+                        <span class="history-strength ${strengthClass}">${this.escapeHtml(item.strength)}</span>
+                        <span class="history-time">${timeStr}</span>
+                        <div class="history-item-actions">
+                            <button class="history-action" data-action="copy" title="Copy password">Copy</button>
+                            ${mask ? `<button class="history-action" data-action="reveal">${masked(item) ? 'Show' : 'Hide'}</button>` : ''}
+                            <button class="history-action" data-action="favorite"
+                                title="${item.favorite ? 'Remove from favorites' : 'Add to favorites'}">${item.favorite ? '★' : '☆'}</button>
+                            <button class="history-action" data-action="edit" title="Edit entry">Edit</button>
+                            <button class="history-action" data-action="share" title="Share with a collection">Share</button>
+                            ${collections.length ? `<button class="history-action" data-action="unshare"
+                                title="Take back every copy you shared">Unshare</button>` : ''}
+                            <button class="history-action" data-action="delete" title="Delete entry">Delete</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    handleHistoryClick(e) {
+        const tagButton = e.target.closest('.history-tag');
+        if (tagButton) {
+            this.historyTagFilter.value = tagButton.dataset.tag;
+            this.renderPasswordHistory();
+            return;
+        }
+
+        const actionButton = e.target.closest('.history-action');
+        if (!actionButton) return;
+
+        const id = actionButton.closest('.history-item').dataset.id;
+        switch (actionButton.dataset.action) {
+            case 'copy':
+                this.copyToClipboard(this.userManager.getHistoryEntry(id).password);
+                break;
+            case 'reveal':
+                if (!this.revealedEntries.delete(id)) this.revealedEntries.add(id);
+                this.renderPasswordHistory();
+                break;
+            case 'favorite':
+                this.handleToggleFavorite(id);
+                break;
+            case 'edit':
+                this.openEntryEditor(this.userManager.getHistoryEntry(id));
+                break;
+            case 'share':
+                this.openShareForm(this.userManager.getHistoryEntry(id));
+                break;
+            case 'unshare':
+                this.handleUnshareEntry(id);
+                break;
+            case 'delete':
+                this.handleDeleteEntry(id);
+                break;
+        }
+    }
+
+    openEntryEditor(entry = null) {
+        this.editingEntryId = entry ? entry.id : null;
+        this.entrySite.value = entry ? entry.site : '';
+        this.entryUsername.value = entry ? entry.username : '';
+        this.entryPassword.value = entry ? entry.password : '';
+        this.entryTags.value = entry ? entry.tags.join(', ') : '';
+        this.entryNotes.value = entry ? entry.notes : '';
+        this.entryFavorite.checked = entry ? entry.favorite : false;
+
+        this.historyEditor.classList.remove('hidden');
+        this.entrySite.focus();
+    }
+
+    closeEntryEditor() {
+        this.editingEntryId = null;
+        this.historyEditor.reset();
+        this.historyEditor.classList.add('hidden');
+    }
+
+    async handleSaveEntry() {
+        const password = this.entryPassword.value;
+        if (!password) {
+            this.showToast('Password is required', 'error');
+            return;
+        }
+
+        const details = {
+            site: this.entrySite.value,
+            username: this.entryUsername.value,
+            password,
+            tags: this.entryTags.value,
+            notes: this.entryNotes.value,
+            favorite: this.entryFavorite.checked
+        };
 
-            case 'set-length':
-                // Set length to 20 characters for maximum security
-                this.passwordLength.value = 20;
-                this.lengthValue.textContent = '20';
-                this.showToast('Password length set to 20 characters', 'success');
-                // Scroll to generator
-                document.querySelector('.generator-section').scrollIntoView({ behavior: 'smooth' });
-                break;
+        // Re-rate only passwords that were typed in; generated ones keep the rating they got
+        const existing = this.editingEntryId && this.userManager.getHistoryEntry(this.editingEntryId);
+        if (!existing || existing.password !== password) {
+            details.strength = this.passwordGenerator.calculateStrength(password, undefined,
+                [details.site, details.username].filter(Boolean)).strength;
+        }
 
-            case 'enable-all':
-                // Enable all character types for maximum complexity
-                this.includeUppercase.checked = true;
-                this.includeLowercase.checked = true;
-                this.includeNumbers.checked = true;
-                this.includeSpecial.checked = true;
-                this.showToast('All character types enabled!', 'success');
-                break;
+        try {
+            if (existing) {
+                await this.userManager.updateHistoryEntry(existing.id, details);
+                this.showToast('Entry updated', 'success');
+            } else {
+                await this.userManager.addPasswordToHistory(password, details.strength, details);
+                this.showToast('Entry added', 'success');
+            }
 
-            case 'copy-password':
-                // Copy current password (if exists)
-                this.handleCopy();
-                break;
+            this.closeEntryEditor();
+            this.renderPasswordHistory();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
 
-            default:
-                console.warn('Unknown action:', action);
+    // Reads and decrypts the collections this account belongs to, then redraws what shows them
+    async refreshCollections() {
+        let collections;
+        try {
+            collections = await this.userManager.getCollections();
+        } catch (error) {
+            collections = [];
+            this.showToast(error.message, 'error');
         }
+
+        // Locked or signed out while they were being decrypted
+        if (!this.userManager.getCurrentUser()) return;
+
+        this.collections = collections;
+        this.renderCollections();
+        this.renderPasswordHistory();
+        await this.renderContacts();
     }
 
-    checkAuthentication() {
+    async renderContacts() {
         const user = this.userManager.getCurrentUser();
-        if (user) {
-            this.showMainApp(user);
-        } else {
-            this.showAuthModal();
-        }
+        const [fingerprint, contacts] = await Promise.all([
+            ShareCrypto.fingerprint(user.publicKey),
+            this.userManager.getContacts()
+        ]);
+        if (this.userManager.getCurrentUser() !== user) return;
+
+        this.shareFingerprint.textContent = fingerprint;
+        this.contactList.innerHTML = contacts.map(contact => `
+            <li title="Key fingerprint ${this.escapeHtml(contact.fingerprint)}">
+                <span>${this.escapeHtml(contact.username)} · <code>${this.escapeHtml(contact.fingerprint)}</code></span>
+            </li>
+        `).join('');
     }
 
-    showAuthModal() {
-        this.authModal.classList.add('active');
-        this.mainApp.classList.add('hidden');
+    // History entry id to the names of the collections this account shared it to
+    getSharedCollectionNames() {
+        const user = this.userManager.getCurrentUser();
+        const names = new Map();
+
+        this.collections.forEach(collection => {
+            collection.entries
+                .filter(entry => user && entry.sharedBy === user.id)
+                .forEach(entry => names.set(entry.sourceId, [...(names.get(entry.sourceId) || []), collection.name]));
+        });
+        return names;
     }
 
-    showMainApp(user) {
-        this.authModal.classList.remove('active');
-        this.mainApp.classList.remove('hidden');
-        this.currentUsername.textContent = user.username;
-        this.renderPasswordHistory();
+    renderCollections() {
+        const targets = this.userManager.getShareTargets();
+        this.collectionMembers.innerHTML = targets.length
+            ? targets.map(target => `
+                <label class="checkbox-label">
+                    <input type="checkbox" value="${this.escapeHtml(target.id)}">
+                    <span>${this.escapeHtml(target.username)}${target.remote ? ' (contact)' : ''}</span>
+                </label>
+            `).join('')
+            : '<span class="wordlist-info">No other account can receive shared passwords yet. Accounts in this ' +
+                'browser show up here once they have signed in, people elsewhere once you add their share card.</span>';
+
+        if (this.collections.length === 0) {
+            this.collectionList.innerHTML = '<p class="empty-state">No shared collections yet</p>';
+            return;
+        }
+
+        const mask = this.userManager.getMaskPasswords();
+        const userId = this.userManager.getCurrentUser().id;
+
+        this.collectionList.innerHTML = this.collections.map(collection => {
+            const memberIds = new Set(collection.members.map(member => member.userId));
+            const addable = collection.isOwner ? targets.filter(target => !memberIds.has(target.id)) : [];
+
+            const members = collection.members.map(member => `
+                <li>
+                    <span>${this.escapeHtml(member.username)}${member.userId === collection.ownerId ? ' (owner)' : ''}</span>
+                    ${collection.isOwner && member.userId !== collection.ownerId
+                        ? `<button class="history-action" data-action="revoke" data-user-id="${this.escapeHtml(member.userId)}"
+                            title="Remove and re-encrypt the collection under a new key">Revoke</button>`
+                        : ''}
+                </li>
+            `).join('');
+
+            const entries = collection.entries.map(entry => `
+                <div class="history-item" data-entry-id="${this.escapeHtml(entry.id)}">
+                    <div class="history-main">
+                        <div class="history-title">
+                            <span class="history-site">${this.escapeHtml(entry.site || 'Untitled')}</span>
+                            ${entry.username ? `<span class="history-username">${this.escapeHtml(entry.username)}</span>` : ''}
+                        </div>
+                        <span class="history-password">${mask
+                            ? '•'.repeat(Math.min(entry.password.length, 16))
+                            : this.escapeHtml(entry.password)}</span>
+                        ${entry.notes ? `<p class="history-notes">${this.escapeHtml(entry.notes)}</p>` : ''}
+                    </div>
+                    <div class="history-meta">
+                        <span class="history-time">Shared by ${this.escapeHtml(entry.sharedByName)},
+                            ${new Date(entry.sharedAt).toLocaleString()}</span>
+                        <div class="history-item-actions">
+                            <button class="history-action" data-action="copy" title="Copy password">Copy</button>
+                            ${entry.sharedBy !== userId
+                                ? '<button class="history-action" data-action="save" title="Copy into your own history">Save</button>'
+                                : ''}
+                            ${collection.isOwner || entry.sharedBy === userId
+                                ? '<button class="history-action" data-action="remove-entry" title="Stop sharing this entry">Remove</button>'
+                                : ''}
+                        </div>
+                    </div>
+                </div>
+            `).join('');
+
+            return `
+                <div class="collection" data-id="${this.escapeHtml(collection.id)}">
+                    <div class="wordlist-row">
+                        <h4>${this.escapeHtml(collection.name)}</h4>
+                        <div class="wordlist-actions">
+                            ${collection.isOwner
+                                ? '<button class="btn btn-secondary btn-small" data-action="delete-collection">Delete</button>'
+                                : `<span class="wordlist-info">Owned by ${this.escapeHtml(collection.ownerName)}</span>`}
+                            ${collection.error ? '' : `<button class="btn btn-secondary btn-small" data-action="export-collection"
+                                title="Download for members in other browsers">Export</button>`}
+                        </div>
+                    </div>
+                    ${collection.error ? `<p class="collection-error">${this.escapeHtml(collection.error)}</p>` : ''}
+                    <ul class="collection-member-list">${members}</ul>
+                    ${addable.length ? `
+                        <div class="collection-add-member">
+                            <select title="Account to add">${addable.map(target =>
+                                `<option value="${this.escapeHtml(target.id)}">${this.escapeHtml(target.username)}${
+                                    target.remote ? ' (contact)' : ''}</option>`
+                            ).join('')}</select>
+                            <button class="btn btn-secondary btn-small" data-action="add-member">Add Member</button>
+                        </div>
+                    ` : ''}
+                    ${entries || (collection.error ? '' : '<p class="empty-state">Nothing shared yet. Use Share on a history entry.</p>')}
+                </div>
+            `;
+        }).join('');
     }
 
-    showLoginForm() {
-        this.loginForm.classList.remove('hidden');
-        this.registerForm.classList.add('hidden');
+    handleCollectionClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        const collection = this.collections.find(c => c.id === button.closest('.collection').dataset.id);
+        const entryElement = button.closest('[data-entry-id]');
+        const entry = entryElement && collection.entries.find(shared => shared.id === entryElement.dataset.entryId);
+
+        switch (button.dataset.action) {
+            case 'copy':
+                this.copyToClipboard(entry.password);
+                break;
+            case 'save':
+                this.handleSaveSharedEntry(collection, entry);
+                break;
+            case 'remove-entry':
+                if (confirm(`Stop sharing ${entry.site || 'this entry'} in ${collection.name}? ` +
+                    'Members may already have copied the password.')) {
+                    this.updateCollections(() => this.userManager.removeSharedEntry(collection.id, entry.id), 'Entry removed');
+                }
+                break;
+            case 'add-member': {
+                const userId = button.closest('.collection-add-member').querySelector('select').value;
+                this.updateCollections(() => this.userManager.addCollectionMember(collection.id, userId), 'Member added');
+                break;
+            }
+            case 'revoke': {
+                const member = collection.members.find(m => m.userId === button.dataset.userId);
+                if (confirm(`Remove ${member.username} from ${collection.name}? The collection is re-encrypted under a ` +
+                    'new key, but change any passwords they have already seen if that matters.')) {
+                    this.updateCollections(() => this.userManager.revokeCollectionMember(collection.id, member.userId),
+                        `${member.username} removed`);
+                }
+                break;
+            }
+            case 'export-collection':
+                this.handleExportCollection(collection);
+                break;
+            case 'delete-collection':
+                if (confirm(`Delete ${collection.name} for every member? Entries in members' own histories stay.`)) {
+                    this.updateCollections(() => this.userManager.deleteCollection(collection.id), 'Collection deleted');
+                }
+                break;
+        }
     }
 
-    showRegisterForm() {
-        this.registerForm.classList.remove('hidden');
-        this.loginForm.classList.add('hidden');
+    handleExportShareCard() {
+        try {
+            const card = this.userManager.getShareCard();
+            this.downloadFile(`securepass-card-${card.username}.json`, JSON.stringify(card, null, 2), 'application/json');
+            this.showToast('Share card downloaded. Send it to whoever wants to share with you', 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
     }
 
-    handleLogin() {
-        const identifier = document.getElementById('loginEmail').value;
-        const password = document.getElementById('loginPassword').value;
+    async handleImportShareCard(file) {
+        if (!file) return;
 
         try {
-            const user = this.userManager.login(identifier, password);
-            this.showToast('Login successful!', 'success');
-            this.showMainApp(user);
-            this.loginFormElement.reset();
+            const contact = await this.userManager.addContact(this.parseJsonFile(await file.text()));
+            const fingerprint = await ShareCrypto.fingerprint(contact.publicKey);
+            await this.refreshCollections();
+            this.showToast(`${contact.username} added. Their fingerprint should read ${fingerprint}`, 'success', 6000);
         } catch (error) {
             this.showToast(error.message, 'error');
+        } finally {
+            this.importShareCardFile.value = '';
         }
     }
 
-    handleRegister() {
-        const username = document.getElementById('registerUsername').value;
-        const email = document.getElementById('registerEmail').value;
-        const password = document.getElementById('registerPassword').value;
-        const confirmPassword = document.getElementById('registerConfirmPassword').value;
+    async handleExportCollection(collection) {
+        try {
+            const file = await this.userManager.exportCollection(collection.id);
+            const slug = collection.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'collection';
+            this.downloadFile(`securepass-collection-${slug}.json`, JSON.stringify(file, null, 2), 'application/json');
+            this.showToast('Collection exported. Only its members can open the file', 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
 
-        if (password !== confirmPassword) {
-            this.showToast('Passwords do not match', 'error');
-            return;
+    async handleImportCollection(file) {
+        if (!file) return;
+
+        try {
+            const { name, status } = await this.userManager.importCollection(this.parseJsonFile(await file.text()));
+            const messages = {
+                added: `Added ${name}`,
+                updated: `Updated ${name}`,
+                unchanged: `${name} is already up to date`
+            };
+            this.showToast(messages[status], 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        } finally {
+            this.importCollectionFile.value = '';
+            await this.refreshCollections();
         }
+    }
 
+    // Runs a change to the collections, then shows the result
+    async updateCollections(change, message) {
         try {
-            this.userManager.register(username, email, password);
-            this.showToast('Registration successful! Please login.', 'success');
-            this.showLoginForm();
-            this.registerFormElement.reset();
+            await change();
+            this.showToast(message, 'success');
         } catch (error) {
             this.showToast(error.message, 'error');
+        } finally {
+            await this.refreshCollections();
         }
     }
 
-    handleLogout() {
-        this.userManager.logout();
-        this.showToast('Logged out successfully', 'success');
-        this.showAuthModal();
-        this.generatedPassword.value = '';
-        this.strengthBar.style.width = '0%';
-        this.strengthText.textContent = 'No password generated';
+    async handleCreateCollection() {
+        const memberIds = [...this.collectionMembers.querySelectorAll('input:checked')].map(input => input.value);
+        this.createCollectionBtn.disabled = true;
+
+        try {
+            await this.userManager.createCollection(this.collectionName.value, memberIds);
+            this.resetForm(this.collectionForm);
+            await this.refreshCollections();
+            this.showToast('Collection created', 'success');
+        } catch (error) {
+            this.showFormError({ name: this.collectionName }, error);
+        } finally {
+            this.createCollectionBtn.disabled = false;
+        }
     }
 
-    handleGenerate() {
-        const options = {
-            length: parseInt(this.passwordLength.value),
-            includeUppercase: this.includeUppercase.checked,
-            includeLowercase: this.includeLowercase.checked,
-            includeNumbers: this.includeNumbers.checked,
-            includeSpecial: this.includeSpecial.checked,
-            excludeSimilar: this.excludeSimilar.checked,
-            memorableMode: this.memorableMode.checked
-        };
+    openShareForm(entry) {
+        const collections = this.collections.filter(collection => !collection.error);
+        if (collections.length === 0) {
+            this.showToast('Create a shared collection first', 'error');
+            this.collectionName.focus();
+            return;
+        }
+
+        this.sharingEntryId = entry.id;
+        this.shareEntryName.textContent = entry.site || 'this password';
+        this.shareCollection.innerHTML = collections.map(collection =>
+            `<option value="${this.escapeHtml(collection.id)}">${this.escapeHtml(collection.name)}</option>`
+        ).join('');
 
+        this.shareForm.classList.remove('hidden');
+        this.shareCollection.focus();
+    }
+
+    closeShareForm() {
+        this.sharingEntryId = null;
+        this.shareForm.reset();
+        this.shareForm.classList.add('hidden');
+    }
+
+    async handleShareEntry() {
+        const collection = this.collections.find(c => c.id === this.shareCollection.value);
+        if (!collection || !this.sharingEntryId) return;
+
+        this.confirmShareBtn.disabled = true;
         try {
-            let password = this.passwordGenerator.generate(options);
-            let attempts = 0;
-            const maxAttempts = 10;
+            await this.updateCollections(() => this.userManager.shareHistoryEntry(collection.id, this.sharingEntryId),
+                `Shared with ${collection.name}`);
+            this.closeShareForm();
+        } finally {
+            this.confirmShareBtn.disabled = false;
+        }
+    }
 
-            // Ensure unique password
-            while (!this.userManager.isPasswordUnique(password) && attempts < maxAttempts) {
-                password = this.passwordGenerator.generate(options);
-                attempts++;
-            }
+    async handleUnshareEntry(id) {
+        const entry = this.userManager.getHistoryEntry(id);
+        if (!entry || !confirm(`Take back every copy of ${entry.site || 'this password'} you shared? ` +
+            'Members may already have copied the password.')) {
+            return;
+        }
 
-            if (attempts >= maxAttempts) {
-                this.showToast('Could not generate unique password. Try different options.', 'error');
-                return;
-            }
+        await this.updateCollections(() => this.userManager.unshareHistoryEntry(id), 'Entry is no longer shared');
+    }
+
+    async handleSaveSharedEntry(collection, entry) {
+        try {
+            const removed = await this.userManager.saveSharedEntryToHistory(collection.id, entry.id);
+            this.renderPasswordHistory();
+            this.showToast(removed
+                ? `Saved to your history. ${removed} oldest history ${removed === 1 ? 'entry was' : 'entries were'} removed to stay within your limit.`
+                : 'Saved to your history', 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
 
-            const { strength, score } = this.passwordGenerator.calculateStrength(password);
+    async handleToggleFavorite(id) {
+        const entry = this.userManager.getHistoryEntry(id);
+        if (!entry) return;
 
-            this.generatedPassword.value = password;
-            this.updateStrengthMeter(strength, score);
+        await this.userManager.updateHistoryEntry(id, { favorite: !entry.favorite });
+        this.renderPasswordHistory();
+    }
 
-            // Add to history
-            this.userManager.addPasswordToHistory(password, strength);
+    async handleDeleteEntry(id) {
+        const entry = this.userManager.getHistoryEntry(id);
+        if (!entry) return;
+
+        if (confirm(`Delete the entry for ${entry.site || 'this password'}?`)) {
+            await this.userManager.deleteHistoryEntry(id);
+            if (this.editingEntryId === id) this.closeEntryEditor();
             this.renderPasswordHistory();
+            this.showToast('Entry deleted', 'success');
+        }
+    }
+
+    async handleImportCsv(file) {
+        if (!file) return;
 
-            this.showToast('Password generated successfully!', 'success');
+        try {
+            const { headers, rows, format, mapping } = CsvImporter.read(await file.text());
+            this.pendingImport = { fileName: file.name, headers, rows, mapping, entries: [], skipped: 0 };
+
+            this.importFormat.innerHTML = IMPORT_FORMATS
+                .map(option => `<option value="${option.id}">${option.name}</option>`)
+                .join('');
+            this.importFormat.value = format.id;
+            this.renderImportMapping();
+            this.importPanel.classList.remove('hidden');
         } catch (error) {
             this.showToast(error.message, 'error');
+        } finally {
+            this.importCsvFile.value = '';
         }
     }
 
-    handleCopy() {
-        const password = this.generatedPassword.value;
+    handleImportFormatChange() {
+        const { headers } = this.pendingImport;
+        this.pendingImport.mapping = CsvImporter.guessMapping(headers, CsvImporter.getFormat(this.importFormat.value));
+        this.renderImportMapping();
+    }
 
-        if (!password) {
-            this.showToast('No password to copy', 'error');
+    renderImportMapping() {
+        const { headers, mapping } = this.pendingImport;
+
+        this.importMapping.innerHTML = IMPORT_FIELDS.map(field => `
+            <div class="input-group">
+                <label for="importField-${field}">${IMPORT_FIELD_LABELS[field]}</label>
+                <select id="importField-${field}" data-import-field="${field}">
+                    <option value="-1">Not imported</option>
+                    ${headers.map((header, index) => `
+                        <option value="${index}"${mapping[field] === index ? ' selected' : ''}>${this.escapeHtml(header)}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `).join('');
+
+        this.updateImportPreview();
+    }
+
+    updateImportPreview() {
+        const { fileName, rows, mapping } = this.pendingImport;
+        this.importTitle.textContent = `Import ${fileName}`;
+
+        let mapped;
+        try {
+            mapped = CsvImporter.mapRows(rows, mapping);
+        } catch (error) {
+            this.pendingImport.entries = [];
+            this.importPreview.innerHTML = '';
+            this.importReport.innerHTML = `<p class="field-error">${this.escapeHtml(error.message)}</p>`;
+            this.confirmImportBtn.disabled = true;
+            this.confirmImportBtn.textContent = 'Import';
             return;
         }
 
-        navigator.clipboard.writeText(password).then(() => {
-            this.showToast('Password copied to clipboard!', 'success');
-        }).catch(() => {
-            this.showToast('Failed to copy password', 'error');
-        });
+        // Rate every password up front so the report covers the whole file, not just the preview
+        const entries = mapped.entries.map(entry => ({
+            ...entry,
+            strength: this.passwordGenerator.calculateStrength(entry.password, undefined,
+                [entry.site, entry.username].filter(Boolean)).strength
+        }));
+        this.pendingImport.entries = entries;
+        this.pendingImport.skipped = mapped.skipped;
+
+        const preview = entries.slice(0, UIManager.IMPORT_PREVIEW_ROWS);
+        this.importPreview.innerHTML = `
+            <thead>
+                <tr><th>Site</th><th>Username</th><th>Password</th><th>Tags</th><th>Strength</th></tr>
+            </thead>
+            <tbody>
+                ${preview.map(entry => `
+                    <tr>
+                        <td>${this.escapeHtml(entry.site || 'Untitled')}</td>
+                        <td>${this.escapeHtml(entry.username)}</td>
+                        <td class="batch-password">${'•'.repeat(Math.min(entry.password.length, 16))}</td>
+                        <td>${entry.tags.map(tag => `#${this.escapeHtml(tag.toLowerCase())}`).join(' ')}</td>
+                        <td><span class="history-strength strength-${entry.strength.toLowerCase().replace(' ', '-')}">${entry.strength}</span></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+
+        this.renderImportReport();
+        this.confirmImportBtn.disabled = entries.length === 0;
+        this.confirmImportBtn.textContent = `Import ${entries.length} ${entries.length === 1 ? 'Entry' : 'Entries'}`;
     }
 
-    handleClearHistory() {
-        if (confirm('Are you sure you want to clear your password history?')) {
-            this.userManager.clearPasswordHistory();
+    renderImportReport() {
+        const { entries, skipped } = this.pendingImport;
+        const user = this.userManager.getCurrentUser();
+        const { total, weak, reused } = CsvImporter.report(entries, (user && user.passwordHistory) || []);
+        const label = entry => this.escapeHtml([entry.site || 'Untitled', entry.username].filter(Boolean).join(' · '));
+
+        const more = entries.length > UIManager.IMPORT_PREVIEW_ROWS
+            ? ` (showing the first ${UIManager.IMPORT_PREVIEW_ROWS})`
+            : '';
+
+        this.importReport.innerHTML = `
+            <div>
+                <h4>Summary</h4>
+                <ul>
+                    <li>${total} password${total === 1 ? '' : 's'} rated${more}</li>
+                    ${skipped ? `<li>${skipped} row${skipped === 1 ? '' : 's'} without a password skipped</li>` : ''}
+                    <li>${weak.length} weak</li>
+                    <li>${reused.length} password${reused.length === 1 ? '' : 's'} used more than once</li>
+                </ul>
+            </div>
+            <div>
+                <h4>Weak</h4>
+                <ul>${weak.map(entry => `<li>${label(entry)}</li>`).join('') || '<li class="empty-hint">None</li>'}</ul>
+            </div>
+            <div>
+                <h4>Reused</h4>
+                <ul>${reused.map(group => `<li>${group.map(label).join(', ')}</li>`).join('') || '<li class="empty-hint">None</li>'}</ul>
+            </div>
+        `;
+    }
+
+    closeImportPanel() {
+        this.pendingImport = null;
+        this.importPanel.classList.add('hidden');
+        this.importMapping.innerHTML = '';
+        this.importPreview.innerHTML = '';
+        this.importReport.innerHTML = '';
+    }
+
+    async handleConfirmImport() {
+        const { entries } = this.pendingImport;
+        const user = this.userManager.getCurrentUser();
+        const limit = this.userManager.getHistoryLimit();
+
+        // Imported credentials shouldn't quietly push each other out of a history limit meant for generated ones.
+        // Deleting the oldest entries is its own question, and cancelling either one imports nothing.
+        if (limit && user.passwordHistory.length + entries.length > limit) {
+            if (confirm(`Your history keeps only ${limit} entries. Turn off the limit and keep every entry?`)) {
+                await this.userManager.setHistoryLimit(0);
+            } else if (!confirm(`Import anyway and delete your oldest entries to stay within ${limit}? ` +
+                '(favorites are kept)')) {
+                return;
+            }
+        }
+
+        try {
+            const { added, duplicates, removed } = await this.userManager.importHistoryEntries(entries);
+            this.closeImportPanel();
             this.renderPasswordHistory();
-            this.showToast('History cleared', 'success');
+            this.showToast(`Imported ${added} ${added === 1 ? 'entry' : 'entries'}` +
+                (duplicates ? ` (${duplicates} already saved)` : '') +
+                (removed ? `. ${removed} older ${removed === 1 ? 'entry was' : 'entries were'} deleted` : ''), 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
         }
     }
 
-    updateStrengthMeter(strength, score) {
-        const percentage = Math.min(score, 100);
-        this.strengthBar.style.width = `${percentage}%`;
-        this.strengthText.textContent = `Strength: ${strength}`;
+    renderAudit() {
+        const user = this.userManager.getCurrentUser();
+        const rotationDays = this.userManager.getRotationDays();
+        this.rotationDays.value = String(rotationDays);
 
-        // Remove all strength classes
-        this.strengthBar.classList.remove('strength-weak', 'strength-medium', 'strength-strong', 'strength-very-strong');
+        const { total, reused, weak, stale, score } = this.auditor.audit(
+            (user && user.passwordHistory) || [],
+            { rotationDays }
+        );
 
-        // Add appropriate class
-        if (strength === 'Very Strong') {
-            this.strengthBar.classList.add('strength-very-strong');
-        } else if (strength === 'Strong') {
-            this.strengthBar.classList.add('strength-strong');
-        } else if (strength === 'Medium') {
-            this.strengthBar.classList.add('strength-medium');
+        if (score === null) {
+            this.auditScore.textContent = '–';
+            this.auditScore.className = 'audit-score';
+            this.auditScoreLabel.textContent = 'No saved passwords to audit';
+            this.auditCounts.textContent = '';
         } else {
-            this.strengthBar.classList.add('strength-weak');
+            const label = PasswordAuditor.scoreLabel(score);
+            const scoreClass = { Excellent: 'very-strong', Good: 'strong', Fair: 'medium', Poor: 'weak' }[label];
+            this.auditScore.textContent = score;
+            this.auditScore.className = `audit-score strength-${scoreClass}`;
+            this.auditScoreLabel.textContent = `${label} overall security`;
+            this.auditCounts.textContent = `${total} saved · ${reused.length} reused ` +
+                `${reused.length === 1 ? 'password' : 'passwords'} · ${weak.length} weak · ${stale.length} due for rotation`;
         }
+
+        const entryRow = ({ entry }, detail) => `
+            <div class="audit-entry">
+                <span class="audit-entry-label">${this.escapeHtml(entry.site || 'Untitled')}${entry.username ? ` · ${this.escapeHtml(entry.username)}` : ''}${detail ? ` <span class="breakdown-bits">${detail}</span>` : ''}</span>
+                <button class="history-action" data-regenerate="${this.escapeHtml(entry.id)}" title="Replace with a new password">Regenerate</button>
+            </div>
+        `;
+        const none = '<li class="empty-hint">None</li>';
+
+        this.auditReused.innerHTML = reused.map(group => `
+            <li>
+                <span class="breakdown-bits">Used ${group.length} times</span>
+                ${group.map(item => entryRow(item)).join('')}
+            </li>
+        `).join('') || none;
+        this.auditWeak.innerHTML = weak.map(item => `<li>${entryRow(item, `${item.strength}, ${item.score}/100`)}</li>`).join('') || none;
+        this.auditStale.innerHTML = rotationDays
+            ? stale.map(item => `<li>${entryRow(item, `${item.ageDays} days old`)}</li>`).join('') || none
+            : '<li class="empty-hint">Rotation reminders are off</li>';
     }
 
-    renderPasswordHistory() {
-        const user = this.userManager.getCurrentUser();
+    async handleRotationDaysChange() {
+        try {
+            await this.userManager.setRotationDays(parseInt(this.rotationDays.value));
+            this.renderAudit();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
 
-        if (!user || !user.passwordHistory || user.passwordHistory.length === 0) {
-            this.historyList.innerHTML = '<p class="empty-state">No passwords generated yet</p>';
+    async handleRegenerateEntry(id) {
+        const entry = this.userManager.getHistoryEntry(id);
+        if (!entry) return;
+
+        const name = entry.site || 'this entry';
+        if (!confirm(`Replace the password for ${name}? Update it on the site right away, or you may be locked out.`)) {
             return;
         }
 
-        this.historyList.innerHTML = user.passwordHistory.map(item => {
-            const date = new Date(item.timestamp);
-            const timeStr = date.toLocaleString();
-            const strengthClass = `strength-${item.strength.toLowerCase().replace(' ', '-')}`;
+        try {
+            const { password, result } = await this.generateCheckedPassword(this.getGeneratorOptions());
+            await this.userManager.updateHistoryEntry(id, { password, strength: result.strength });
 
-            return `
-                <div class="history-item">
-                    <span class="history-password">${item.password}</span>
-                    <div class="history-meta">
-                        <span class="history-strength ${strengthClass}">${item.strength}</span>
-                        <span class="history-time">${timeStr}</span>
-                    </div>
-                </div>
-            `;
-        }).join('');
+            // Show it in the generator so it can be copied straight into the site's change-password form
+            this.generatedPassword.value = password;
+            this.setGeneratedRevealed(false);
+            this.updateStrengthMeter(result);
+            this.renderPasswordHistory();
+            this.showToast(`New password saved for ${name}`, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async handleHistoryLimitChange() {
+        const limit = parseInt(this.historyLimit.value);
+        const excess = this.userManager.countOverHistoryLimit(limit);
+
+        if (excess && !confirm(`This will delete your ${excess} oldest ${excess === 1 ? 'entry' : 'entries'} (favorites are kept). Continue?`)) {
+            this.historyLimit.value = String(this.userManager.getHistoryLimit());
+            return;
+        }
+
+        try {
+            const removed = await this.userManager.setHistoryLimit(limit);
+            this.renderPasswordHistory();
+            this.showToast(limit
+                ? `Keeping your ${limit} most recent entries${removed ? ` (${removed} removed)` : ''}`
+                : 'Keeping all entries', 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
     }
 
-    showToast(message, type = 'success') {
+    showToast(message, type = 'success', duration = 3000) {
         this.toast.textContent = message;
         this.toast.className = `toast ${type} show`;
+        delete this.toast.dataset.countdown;
 
-        setTimeout(() => {
+        // A newer toast gets its full duration instead of being hidden by an older timer
+        clearTimeout(this.toastTimer);
+        this.toastTimer = setTimeout(() => {
             this.toast.classList.remove('show');
-        }, 3000);
+        }, duration);
     }
 }
 
+UIManager.IMPORT_PREVIEW_ROWS = 5;
+UIManager.SESSION_CHECK_INTERVAL_MS = 10 * 1000;
+UIManager.ANALYZE_DELAY_MS = 300;
+
 // ========================================
 // INITIALIZE APP
 // ========================================
 
-document.addEventListener('DOMContentLoaded', () => {
-    const userManager = new UserManager();
+document.addEventListener('DOMContentLoaded', async () => {
     const passwordGenerator = new PasswordGenerator();
-    const uiManager = new UIManager(userManager, passwordGenerator);
+    const userManager = new UserManager({ passwordGenerator });
+    await userManager.init();
+    const breachChecker = new BreachChecker();
+    const uiManager = new UIManager(userManager, passwordGenerator, breachChecker);
 });
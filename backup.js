@@ -0,0 +1,102 @@
+// ========================================
+// ENCRYPTED BACKUPS
+// ========================================
+
+// A backup is a single JSON file holding one AES-GCM ciphertext. The key is
+// derived from a passphrase chosen at export time, independent of the account
+// password, so the file can be restored into any account on any machine.
+class BackupManager {
+    static async create(payload, passphrase, iterations = CryptoVault.DEFAULT_ITERATIONS) {
+        BackupManager.checkPassphrase(passphrase);
+
+        const salt = CryptoVault.generateSalt();
+        const vault = new CryptoVault(iterations);
+        await vault.unlock(passphrase, salt);
+        const { iv, data } = await vault.encrypt(payload);
+
+        return JSON.stringify({
+            format: 'securepass-backup',
+            version: 1,
+            createdAt: new Date().toISOString(),
+            kdf: { algorithm: 'PBKDF2-SHA256', salt, iterations },
+            cipher: 'AES-GCM',
+            iv,
+            data
+        }, null, 2);
+    }
+
+    static async open(text, passphrase) {
+        const envelope = BackupManager.parseEnvelope(text);
+
+        const vault = new CryptoVault(envelope.kdf.iterations);
+        await vault.unlock(passphrase, envelope.kdf.salt);
+
+        let payload;
+        try {
+            payload = await vault.decrypt(envelope);
+        } catch (error) {
+            throw new Error('Wrong passphrase, or the backup file is damaged');
+        }
+
+        BackupManager.validatePayload(payload);
+        return payload;
+    }
+
+    static parseEnvelope(text) {
+        let envelope;
+        try {
+            envelope = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Backup file is not valid JSON');
+        }
+
+        if (!envelope || envelope.format !== 'securepass-backup') {
+            throw new Error('Not a SecurePass backup file');
+        }
+
+        if (envelope.version !== 1) {
+            throw new Error(`Unsupported backup version ${envelope.version}`);
+        }
+
+        const { kdf } = envelope;
+        if (!kdf || kdf.algorithm !== 'PBKDF2-SHA256' || typeof kdf.salt !== 'string' ||
+            !Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > CryptoVault.MAX_ITERATIONS) {
+            throw new Error('Backup file has missing or unsupported key derivation settings');
+        }
+
+        if (envelope.cipher !== 'AES-GCM' || typeof envelope.iv !== 'string' || typeof envelope.data !== 'string') {
+            throw new Error('Backup file has missing or unsupported encryption settings');
+        }
+
+        return envelope;
+    }
+
+    // Runs after decryption, so a backup from a newer or broken build fails loudly instead of half-restoring
+    static validatePayload(payload) {
+        if (!payload || typeof payload !== 'object' || !payload.profile || typeof payload.profile !== 'object') {
+            throw new Error('Backup is missing the account profile');
+        }
+
+        if (!Array.isArray(payload.passwordHistory)) {
+            throw new Error('Backup is missing the password history');
+        }
+
+        payload.passwordHistory.forEach((entry, index) => {
+            if (!entry || typeof entry.password !== 'string' || !entry.password) {
+                throw new Error(`History entry ${index + 1} in the backup has no password`);
+            }
+        });
+
+        if (payload.profile.policies !== undefined && !Array.isArray(payload.profile.policies)) {
+            throw new Error('Backup policies must be a list');
+        }
+    }
+
+    static checkPassphrase(passphrase) {
+        if (!passphrase || passphrase.length < BackupManager.MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Backup passphrase must be at least ${BackupManager.MIN_PASSPHRASE_LENGTH} characters`);
+        }
+    }
+}
+
+BackupManager.MIN_PASSPHRASE_LENGTH = 12;
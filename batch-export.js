@@ -0,0 +1,70 @@
+// ========================================
+// BATCH EXPORT
+// ========================================
+
+// Formats a generated batch ({ password, strength, score, entropy } rows) for
+// provisioning scripts. JSON and text hold the passwords verbatim. CSV is what
+// gets opened in spreadsheets, so a field that would run as a formula there gets
+// a leading ' and has to have it stripped by scripts that read the CSV.
+
+const BATCH_EXPORT_FORMATS = {
+    csv: { extension: 'csv', type: 'text/csv' },
+    json: { extension: 'json', type: 'application/json' },
+    text: { extension: 'txt', type: 'text/plain' }
+};
+
+class BatchExporter {
+    static serialize(rows, format) {
+        switch (format) {
+            case 'csv':
+                return BatchExporter.toCSV(rows);
+            case 'json':
+                return BatchExporter.toJSON(rows);
+            case 'text':
+                return BatchExporter.toText(rows);
+            default:
+                throw new Error(`Unknown export format "${format}"`);
+        }
+    }
+
+    static toCSV(rows) {
+        const header = ['password', 'strength', 'score', 'entropy_bits'];
+        const lines = rows.map(row => [row.password, row.strength, row.score, row.entropy.toFixed(1)]
+            .map(BatchExporter.csvField)
+            .join(','));
+
+        // RFC 4180 line endings, so spreadsheet tools don't leave a stray \r on the last column
+        return [header.join(','), ...lines].join('\r\n') + '\r\n';
+    }
+
+    static toJSON(rows) {
+        return JSON.stringify({
+            format: 'securepass-batch',
+            version: 1,
+            generatedAt: new Date().toISOString(),
+            count: rows.length,
+            passwords: rows.map(({ password, strength, score, entropy }) => ({
+                password,
+                strength,
+                score,
+                entropy: Math.round(entropy * 10) / 10
+            }))
+        }, null, 2);
+    }
+
+    static toText(rows) {
+        return rows.map(row => row.password).join('\n') + '\n';
+    }
+
+    // Quotes every field, since generated passwords routinely contain commas and quotes
+    static csvField(value) {
+        let text = String(value);
+        if (BatchExporter.FORMULA_START.test(text)) {
+            text = `'${text}`;
+        }
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+}
+
+// What spreadsheets treat as the start of a formula
+BatchExporter.FORMULA_START = /^[=+\-@\t\r]/;
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// ========================================
+// TOTP CHECK
+// ========================================
+
+// Checks totp.js against the SHA-1 test vectors in RFC 6238, Appendix B, going
+// through the base32 secret an authenticator app would be given. Exits 1 when
+// any check fails.
+//
+//     bin/check-totp.mjs
+
+import { readFileSync } from 'node:fs';
+import { webcrypto } from 'node:crypto';
+import vm from 'node:vm';
+
+// The browser script, evaluated as it is
+const Totp = (() => {
+    const context = vm.createContext({ crypto: webcrypto });
+    vm.runInContext(readFileSync(new URL('../totp.js', import.meta.url), 'utf8'), context, { filename: 'totp.js' });
+    return vm.runInContext('Totp', context);
+})();
+
+// The RFC's SHA-1 key is the ASCII string "12345678901234567890"
+const SECRET = Totp.base32Encode(new TextEncoder().encode('12345678901234567890'));
+const DIGITS = 8;
+
+// Seconds since the epoch -> expected code
+const VECTORS = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+];
+
+let failures = 0;
+
+function check(name, passed, detail = '') {
+    if (!passed) failures++;
+    console.log(`${passed ? 'ok  ' : 'FAIL'} ${name}${detail ? ` (${detail})` : ''}`);
+}
+
+check('the RFC key encodes to its usual base32 secret', SECRET === 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', SECRET);
+
+for (const [seconds, expected] of VECTORS) {
+    const time = seconds * 1000;
+    const code = await Totp.generate(SECRET, { time, digits: DIGITS });
+    check(`code at ${seconds}s is ${expected}`, code === expected, `got ${code}`);
+
+    const counter = await Totp.verify(SECRET, expected, { time, digits: DIGITS, window: 0 });
+    check(`code at ${seconds}s verifies`, counter === Totp.counterAt(time), `matched counter ${counter}`);
+}
+
+console.log(failures ? `${failures} check${failures === 1 ? '' : 's'} failed` : 'All checks passed');
+process.exitCode = failures ? 1 : 0;
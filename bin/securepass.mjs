@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+// ========================================
+// SECUREPASS COMMAND LINE
+// ========================================
+
+// Password generation and strength checks for scripts and CI, using the same
+// code as the app (see securepass.mjs). Randomness comes from Node's WebCrypto.
+// Run `bin/securepass.mjs help` for usage.
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import {
+    PasswordGenerator,
+    PolicyManager,
+    PolicyParser,
+    BatchExporter,
+    SeededRandomSource,
+    BUILT_IN_POLICIES,
+    BATCH_EXPORT_FORMATS,
+    STRENGTH_LEVELS
+} from '../securepass.mjs';
+
+const USAGE = `Usage: securepass <command> [options]
+
+Commands:
+  generate               Generate passwords
+  strength [password]    Rate a password (reads stdin when no password is given)
+  policies               List generation policies
+  help                   Show this message
+
+Generate options:
+  -m, --mode <mode>        random, passphrase, pronounceable, pin or custom (default random)
+  -l, --length <n>         Password length (default 16, 6 for PINs, or the policy's maximum)
+  -n, --count <n>          How many unique passwords to generate (default 1)
+  -f, --format <format>    text, json or csv (default text). In CSV, passwords that
+                           start with = + - or @ get a leading ' for spreadsheets
+      --no-uppercase       Leave out uppercase letters
+      --no-lowercase       Leave out lowercase letters
+      --no-numbers         Leave out digits
+      --no-special         Leave out symbols
+      --exclude-similar    Leave out look-alikes such as O, 0, l, I and 1
+      --alphabet <chars>   Characters for --mode custom, or hex, base32, base58 or alphanumeric
+      --passphrase         Same as --mode passphrase
+      --words <n>          Words per passphrase (default 6)
+      --separator <text>   Between passphrase words (default "-")
+      --capitalization <style>
+                           lower, upper, title or random (default lower)
+      --add-digit          Append a digit to one passphrase word
+      --add-symbol         Append a symbol to one passphrase word
+      --wordlist <file>    Passphrase words, one per line (diceware files work)
+      --policy <name>      Follow a built-in policy or one from --policy-file
+      --policy-file <file> Policies exported from the app
+      --describe <text>    Requirements in words, e.g. "12 to 16 characters, no symbols"
+      --rules <rules>      Site password rules, e.g. "minlength: 12; required: lower, digit;"
+      --seed <seed>        Repeatable output for tests. Never use these passwords
+
+Strength options:
+  -f, --format <format>    text or json (default text)
+      --user-input <word>  A name, email or other detail to penalise (repeatable)
+      --min <level>        Exit with status 3 below Weak, Medium, Strong or Very Strong
+
+Policies options:
+  -f, --format <format>    text or json (json can be edited and passed back to --policy-file)
+      --policy-file <file> Include policies from this file
+
+Exit status: 0 on success, 1 on errors, 2 on bad usage, 3 when --min is not met.
+`;
+
+const COMMANDS = { generate, strength, policies, help };
+
+const CAPITALIZATION_STYLES = ['lower', 'upper', 'title', 'random'];
+
+function usageError(message) {
+    const error = new Error(message);
+    error.exitCode = 2;
+    return error;
+}
+
+function parseInteger(value, option, fallback) {
+    if (value === undefined) return fallback;
+    if (!/^\d+$/.test(value)) {
+        throw usageError(`${option} must be a whole number (got "${value}")`);
+    }
+    return parseInt(value, 10);
+}
+
+function pickFormat(value, formats, fallback) {
+    const format = value || fallback;
+    if (!formats.includes(format)) {
+        throw usageError(`--format must be one of ${formats.join(', ')} (got "${format}")`);
+    }
+    return format;
+}
+
+function write(text) {
+    process.stdout.write(text.endsWith('\n') ? text : text + '\n');
+}
+
+function loadPolicies(file) {
+    if (!file) return [];
+    return PolicyManager.parse(readFileSync(file, 'utf8'));
+}
+
+function findPolicy(name, file) {
+    const fromFile = loadPolicies(file);
+
+    if (!name) {
+        if (fromFile.length === 1) return fromFile[0];
+        throw usageError(`${file} holds ${fromFile.length} policies; pick one with --policy <name>`);
+    }
+
+    // As in the app, a policy from the file wins over a built-in with the same name
+    const wanted = name.trim().toLowerCase();
+    const policy = [...fromFile, ...BUILT_IN_POLICIES].find(candidate => candidate.name.toLowerCase() === wanted);
+    if (!policy) {
+        throw usageError(`Unknown policy "${name}". Run "securepass policies" to list them`);
+    }
+    return policy;
+}
+
+// Every phrase has to be understood; generating from part of a description would quietly ignore the rest
+function describedPolicy(text) {
+    const { policy, unparsed } = PolicyParser.parse(text);
+    if (unparsed.length) {
+        throw usageError(`--describe: couldn't understand ${unparsed.map(phrase => `"${phrase}"`).join(', ')}`);
+    }
+    return policy;
+}
+
+function generate(args) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            mode: { type: 'string', short: 'm' },
+            length: { type: 'string', short: 'l' },
+            count: { type: 'string', short: 'n' },
+            format: { type: 'string', short: 'f' },
+            'no-uppercase': { type: 'boolean' },
+            'no-lowercase': { type: 'boolean' },
+            'no-numbers': { type: 'boolean' },
+            'no-special': { type: 'boolean' },
+            'exclude-similar': { type: 'boolean' },
+            passphrase: { type: 'boolean' },
+            alphabet: { type: 'string' },
+            words: { type: 'string' },
+            separator: { type: 'string' },
+            capitalization: { type: 'string' },
+            'add-digit': { type: 'boolean' },
+            'add-symbol': { type: 'boolean' },
+            wordlist: { type: 'string' },
+            policy: { type: 'string' },
+            'policy-file': { type: 'string' },
+            rules: { type: 'string' },
+            describe: { type: 'string' },
+            seed: { type: 'string' }
+        }
+    });
+
+    const format = pickFormat(values.format, Object.keys(BATCH_EXPORT_FORMATS), 'text');
+    const count = parseInteger(values.count, '--count', 1);
+    const capitalization = values.capitalization || 'lower';
+    if (!CAPITALIZATION_STYLES.includes(capitalization)) {
+        throw usageError(`--capitalization must be one of ${CAPITALIZATION_STYLES.join(', ')}`);
+    }
+
+    const mode = values.mode || (values.passphrase ? 'passphrase' : 'random');
+    if (!PasswordGenerator.MODES.includes(mode)) {
+        throw usageError(`--mode must be one of ${PasswordGenerator.MODES.join(', ')}`);
+    }
+    if (mode === 'custom' && !values.alphabet) {
+        throw usageError('--mode custom needs --alphabet');
+    }
+
+    if (values.describe !== undefined && (values.policy || values['policy-file'])) {
+        throw usageError('Use either --describe or --policy, not both');
+    }
+    if (values.describe !== undefined && mode !== 'random') {
+        throw usageError('--describe always generates random characters; leave out --mode');
+    }
+
+    let policy = null;
+    if (values.describe !== undefined) {
+        policy = describedPolicy(values.describe);
+    } else if (values.policy || values['policy-file']) {
+        policy = findPolicy(values.policy, values['policy-file']);
+    }
+
+    if (values.seed) {
+        process.stderr.write('securepass: --seed makes the output predictable. Never use these passwords.\n');
+    }
+
+    const generator = new PasswordGenerator(values.seed ? { random: new SeededRandomSource(values.seed) } : {});
+    if (values.wordlist) {
+        generator.loadWordlist(readFileSync(values.wordlist, 'utf8'), values.wordlist);
+    }
+
+    // A described policy's maximum is often just the default one, so it starts from 16 like everything else
+    let defaultLength = mode === 'pin' ? 6 : 16;
+    if (values.describe !== undefined) {
+        defaultLength = Math.min(policy.maxLength, Math.max(policy.minLength, 16));
+    } else if (policy) {
+        defaultLength = policy.maxLength;
+    }
+    const length = parseInteger(values.length, '--length', defaultLength);
+    if (length < 1) {
+        throw usageError('--length must be at least 1');
+    }
+    // The generator would quietly move a length the policy doesn't allow into its range
+    if (policy) {
+        const shortest = Math.max(policy.minLength, PolicyManager.requiredLength(policy));
+        if (length < shortest || length > policy.maxLength) {
+            throw usageError(`--length must be between ${shortest} and ${policy.maxLength} for the "${policy.name}" policy`);
+        }
+    }
+
+    const rows = generator.generateBatch({
+        mode,
+        alphabet: PasswordGenerator.ALPHABETS[values.alphabet] || values.alphabet,
+        length,
+        includeUppercase: !values['no-uppercase'],
+        includeLowercase: !values['no-lowercase'],
+        includeNumbers: !values['no-numbers'],
+        includeSpecial: !values['no-special'],
+        excludeSimilar: Boolean(values['exclude-similar']),
+        wordCount: parseInteger(values.words, '--words', 6),
+        separator: values.separator === undefined ? '-' : values.separator,
+        capitalization,
+        injectDigit: Boolean(values['add-digit']),
+        injectSymbol: Boolean(values['add-symbol']),
+        policy,
+        passwordRules: values.rules || null
+    }, count);
+
+    write(BatchExporter.serialize(rows, format));
+}
+
+function strength(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', short: 'f' },
+            'user-input': { type: 'string', multiple: true },
+            min: { type: 'string' }
+        }
+    });
+
+    const format = pickFormat(values.format, ['text', 'json'], 'text');
+    if (values.min && !STRENGTH_LEVELS.includes(values.min)) {
+        throw usageError(`--min must be one of ${STRENGTH_LEVELS.join(', ')}`);
+    }
+    if (positionals.length > 1) {
+        throw usageError('Rate one password at a time (quote it if it contains spaces)');
+    }
+
+    // Reading from stdin keeps the password out of shell history and the process list
+    let password = positionals[0];
+    if (password === undefined || password === '-') {
+        if (process.stdin.isTTY) {
+            throw usageError('Pass the password as an argument or pipe it on stdin');
+        }
+        password = readFileSync(0, 'utf8').replace(/\r?\n$/, '');
+    }
+    if (!password) {
+        throw usageError('No password to rate');
+    }
+
+    const result = new PasswordGenerator().calculateStrength(password, undefined, values['user-input'] || []);
+
+    if (format === 'json') {
+        write(JSON.stringify({
+            strength: result.strength,
+            score: result.score,
+            entropy: Math.round(result.entropy * 10) / 10,
+            crackTime: {
+                online: result.crackTimeRanges.online.display,
+                offline: result.crackTimeRanges.offline.display
+            },
+            warnings: result.warnings,
+            suggestions: result.suggestions
+        }, null, 2));
+    } else {
+        const lines = [
+            `Strength:  ${result.strength} (${result.score}/100)`,
+            `Entropy:   ${result.entropy.toFixed(1)} bits`,
+            `Online:    ${result.crackTimeRanges.online.display}`,
+            `Offline:   ${result.crackTimeRanges.offline.display}`,
+            ...result.warnings.map(warning => `Warning:   ${warning}`),
+            ...result.suggestions.map(suggestion => `Tip:       ${suggestion}`)
+        ];
+        write(lines.join('\n'));
+    }
+
+    if (values.min && STRENGTH_LEVELS.indexOf(result.strength) < STRENGTH_LEVELS.indexOf(values.min)) {
+        return 3;
+    }
+    return 0;
+}
+
+function policies(args) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            format: { type: 'string', short: 'f' },
+            'policy-file': { type: 'string' }
+        }
+    });
+
+    const format = pickFormat(values.format, ['text', 'json'], 'text');
+    const fromFile = loadPolicies(values['policy-file']);
+    const names = new Set(fromFile.map(policy => policy.name.toLowerCase()));
+    const list = [...fromFile, ...BUILT_IN_POLICIES.filter(policy => !names.has(policy.name.toLowerCase()))];
+
+    if (format === 'json') {
+        write(PolicyManager.serialize(list));
+    } else {
+        write(list.map(policy => `${policy.name}: ${PolicyManager.describe(policy)}`).join('\n'));
+    }
+}
+
+function help() {
+    process.stdout.write(USAGE);
+}
+
+function main(argv) {
+    const [command = 'help', ...args] = argv;
+
+    try {
+        if (args.includes('--help') || args.includes('-h') || command === '--help' || command === '-h') {
+            help();
+            return;
+        }
+
+        const run = COMMANDS[command];
+        if (!run) {
+            throw usageError(`Unknown command "${command}"`);
+        }
+        process.exitCode = run(args) || 0;
+    } catch (error) {
+        const isUsage = error.exitCode === 2 || String(error.code).startsWith('ERR_PARSE_ARGS');
+        process.stderr.write(`securepass: ${error.message}\n`);
+        if (isUsage) process.stderr.write('Run "securepass help" for usage.\n');
+        process.exitCode = isUsage ? 2 : 1;
+    }
+}
+
+main(process.argv.slice(2));
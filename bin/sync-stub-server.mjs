@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+// ========================================
+// SYNC STUB SERVER
+// ========================================
+
+// A minimal server for the sync protocol described in sync-client.js, for
+// trying sync out and for testing. It only ever sees ciphertext. Records live
+// in memory, or in a JSON file with --data. Everything under one path prefix
+// belongs together, so http://localhost:8787/alice and .../bob are separate.
+//
+//     bin/sync-stub-server.mjs [--port 8787] [--token secret] [--data sync.json]
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { parseArgs } from 'node:util';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+// The app's ids are UUIDs; this leaves room for hand-made ones, but not for paths or control characters
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+const { values } = parseArgs({
+    options: {
+        port: { type: 'string', default: '8787' },
+        host: { type: 'string', default: '127.0.0.1' },
+        token: { type: 'string' },
+        data: { type: 'string' }
+    }
+});
+
+// prefix -> Map of id -> record. Maps, so whatever a client or the data file names a key stays just a key.
+const buckets = loadBuckets();
+
+function loadBuckets() {
+    const loaded = new Map();
+    if (values.data && existsSync(values.data)) {
+        Object.entries(JSON.parse(readFileSync(values.data, 'utf8'))).forEach(([prefix, records]) => {
+            loaded.set(prefix, new Map(Object.entries(records)));
+        });
+    }
+    return loaded;
+}
+
+function save() {
+    if (values.data) {
+        const data = Object.fromEntries([...buckets].map(([prefix, bucket]) => [prefix, Object.fromEntries(bucket)]));
+        writeFileSync(values.data, JSON.stringify(data, null, 2));
+    }
+}
+
+function send(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        // The app may be opened from any origin, including file://
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+    });
+    response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Record is too large'));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+async function handle(request, response) {
+    if (request.method === 'OPTIONS') {
+        send(response, 204);
+        return;
+    }
+
+    if (values.token && request.headers.authorization !== `Bearer ${values.token}`) {
+        send(response, 401, { error: 'Unauthorized' });
+        return;
+    }
+
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const match = pathname.match(/^(.*)\/records(?:\/([^/]+))?$/);
+    if (!match) {
+        send(response, 404, { error: 'Not found' });
+        return;
+    }
+
+    const prefix = match[1] || '/';
+    const id = match[2] === undefined ? null : decodeURIComponent(match[2]);
+    if (id !== null && !ID_PATTERN.test(id)) {
+        send(response, 400, { error: 'Record ids may only contain letters, digits, - and _' });
+        return;
+    }
+    const bucket = buckets.get(prefix) || new Map();
+
+    if (request.method === 'GET' && id === null) {
+        send(response, 200, { records: [...bucket.values()] });
+        return;
+    }
+
+    if (request.method === 'PUT' && id !== null) {
+        let record;
+        try {
+            record = JSON.parse(await readBody(request));
+        } catch (error) {
+            send(response, 400, { error: error.message });
+            return;
+        }
+
+        if (!record || record.id !== id || typeof record.updatedAt !== 'string') {
+            send(response, 400, { error: 'Record needs an id matching the URL and an updatedAt' });
+            return;
+        }
+
+        // Two devices pushing at once: the later modification wins here too
+        if (!bucket.has(id) || record.updatedAt >= bucket.get(id).updatedAt) {
+            bucket.set(id, record);
+            buckets.set(prefix, bucket);
+            save();
+        }
+        send(response, 200, bucket.get(id));
+        return;
+    }
+
+    send(response, 405, { error: 'Method not allowed' });
+}
+
+createServer((request, response) => {
+    handle(request, response).catch(error => send(response, 500, { error: error.message }));
+}).listen(Number(values.port), values.host, () => {
+    console.log(`Sync stub server listening on http://${values.host}:${values.port}/<name>`);
+});
@@ -0,0 +1,131 @@
+// ========================================
+// BREACH CHECKER
+// ========================================
+
+// Range providers answer the k-anonymity query used by Have I Been Pwned:
+// given the first five hex characters of a SHA-1 hash, return every known
+// "SUFFIX:COUNT" line under that prefix. Only the prefix ever leaves the checker.
+
+// Serves ranges from a dataset file imported into the browser
+class LocalRangeProvider {
+    constructor(ranges = {}) {
+        this.ranges = ranges;
+    }
+
+    static fromDataset(text) {
+        const ranges = {};
+        let count = 0;
+
+        text.split(/\r?\n/).forEach(line => {
+            const [hash, occurrences = '1'] = line.trim().split(':');
+            if (!/^[0-9a-fA-F]{40}$/.test(hash)) return;
+
+            const upper = hash.toUpperCase();
+            const prefix = upper.slice(0, 5);
+            ranges[prefix] = (ranges[prefix] || '') + `${upper.slice(5)}:${parseInt(occurrences) || 1}\n`;
+            count++;
+        });
+
+        if (count === 0) {
+            throw new Error('No SHA-1 hashes found. Expected one "HASH" or "HASH:COUNT" per line');
+        }
+
+        const provider = new LocalRangeProvider(ranges);
+        provider.size = count;
+        return provider;
+    }
+
+    async getRange(prefix) {
+        return this.ranges[prefix] || '';
+    }
+}
+
+// Queries a server speaking the Pwned Passwords range API, e.g. a local stand-in
+class HttpRangeProvider {
+    constructor(baseUrl) {
+        if (!/^https?:\/\//.test(baseUrl || '')) {
+            throw new Error('Range server URL must start with http:// or https://');
+        }
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    async getRange(prefix) {
+        const response = await fetch(`${this.baseUrl}/range/${prefix}`, {
+            headers: { 'Add-Padding': 'true' }
+        });
+
+        if (!response.ok) {
+            throw new Error(`Range server responded with ${response.status}`);
+        }
+
+        return response.text();
+    }
+}
+
+class BreachChecker {
+    constructor(provider = null) {
+        this.provider = provider;
+    }
+
+    setProvider(provider) {
+        this.provider = provider;
+    }
+
+    async check(password) {
+        if (!this.provider || !password) {
+            return { checked: false, found: false, count: 0 };
+        }
+
+        try {
+            const hash = await BreachChecker.sha1(password);
+            const range = await this.provider.getRange(hash.slice(0, 5));
+            const count = BreachChecker.parseRange(range).get(hash.slice(5)) || 0;
+
+            return { checked: true, found: count > 0, count };
+        } catch (error) {
+            return { checked: false, found: false, count: 0, error: error.message };
+        }
+    }
+
+    // Overrides a strength result when the password is known to be compromised
+    static annotate(result, breach) {
+        if (!breach.found) {
+            return { ...result, breach };
+        }
+
+        const warning = `Found ${breach.count.toLocaleString()} time${breach.count === 1 ? '' : 's'} in known data breaches`;
+        const warnings = [warning, ...result.warnings];
+
+        return {
+            ...result,
+            breach,
+            strength: 'Weak',
+            score: Math.min(result.score, 10),
+            warnings,
+            suggestions: ['Never use a password that has appeared in a breach', ...result.suggestions],
+            feedback: [...warnings, ...result.suggestions]
+        };
+    }
+
+    static async sha1(value) {
+        const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(value));
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('')
+            .toUpperCase();
+    }
+
+    static parseRange(text) {
+        const suffixes = new Map();
+
+        text.split(/\r?\n/).forEach(line => {
+            const [suffix, count] = line.trim().split(':');
+            // Padding entries carry a count of zero and must be ignored
+            if (suffix && parseInt(count) > 0) {
+                suffixes.set(suffix.toUpperCase(), parseInt(count));
+            }
+        });
+
+        return suffixes;
+    }
+}
@@ -0,0 +1,95 @@
+// ========================================
+// CLIPBOARD GUARD
+// ========================================
+
+// Copies secrets and wipes them again after a timeout. The clipboard is only
+// overwritten while it still holds what we put there, so anything the user
+// copied in the meantime is left alone.
+class ClipboardGuard {
+    constructor(clipboard = navigator.clipboard) {
+        this.clipboard = clipboard;
+        this.timer = null;
+        this.copied = null;
+        this.retry = null;
+    }
+
+    // onTick(secondsLeft) runs once a second; onClear(outcome) gets
+    // 'cleared', 'changed' (someone else wrote to the clipboard), 'unreadable', or
+    // 'deferred' followed by a second call once the page has focus again
+    async copy(text, seconds = 0, { onTick = () => {}, onClear = () => {} } = {}) {
+        this.cancel();
+        this.stopRetry();
+        await this.clipboard.writeText(text);
+        if (!seconds) return;
+
+        this.copied = text;
+        let remaining = seconds;
+        onTick(remaining);
+
+        this.timer = setInterval(async () => {
+            remaining--;
+            if (remaining > 0) {
+                onTick(remaining);
+                return;
+            }
+
+            this.cancel();
+            onClear(await this.clearIfUnchanged(text, onClear));
+        }, 1000);
+    }
+
+    // Wipes a pending copy right away, e.g. when the user logs out
+    async clearNow() {
+        const text = this.copied;
+        this.cancel();
+        return text === null ? null : this.clearIfUnchanged(text);
+    }
+
+    cancel() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.copied = null;
+    }
+
+    isPending() {
+        return this.timer !== null;
+    }
+
+    async clearIfUnchanged(text, onRetry = () => {}) {
+        try {
+            if (await this.clipboard.readText() !== text) {
+                return 'changed';
+            }
+            await this.clipboard.writeText('');
+        } catch (error) {
+            // Browsers refuse clipboard access while the page is in the background, so try again once it's back
+            if (!document.hasFocus()) {
+                this.retryOnFocus(async () => onRetry(await this.clearIfUnchanged(text, onRetry)));
+                return 'deferred';
+            }
+            // Reading needs a permission some browsers never grant; without it we can't tell whose text it is
+            return 'unreadable';
+        }
+
+        return 'cleared';
+    }
+
+    retryOnFocus(retry) {
+        this.stopRetry();
+        this.retry = () => {
+            if (document.visibilityState === 'hidden') return;
+            this.stopRetry();
+            retry();
+        };
+        window.addEventListener('focus', this.retry);
+        document.addEventListener('visibilitychange', this.retry);
+    }
+
+    // A newer copy replaces whatever a deferred clear was waiting to wipe
+    stopRetry() {
+        if (!this.retry) return;
+        window.removeEventListener('focus', this.retry);
+        document.removeEventListener('visibilitychange', this.retry);
+        this.retry = null;
+    }
+}
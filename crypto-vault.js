@@ -0,0 +1,101 @@
+// ========================================
+// CRYPTO VAULT
+// ========================================
+
+// Holds an AES-GCM key derived from the account password and uses it to
+// encrypt per-user secrets before they are stored.
+class CryptoVault {
+    constructor(iterations = CryptoVault.DEFAULT_ITERATIONS) {
+        this.iterations = iterations;
+        this.key = null;
+    }
+
+    async unlock(password, salt, iterations = this.iterations) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(password),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        this.key = await crypto.subtle.deriveKey(
+            {
+                name: 'PBKDF2',
+                salt: CryptoVault.fromBase64(salt),
+                iterations,
+                hash: 'SHA-256'
+            },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    lock() {
+        this.key = null;
+    }
+
+    isUnlocked() {
+        return this.key !== null;
+    }
+
+    async encrypt(value) {
+        if (!this.key) {
+            throw new Error('Vault is locked');
+        }
+
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const plaintext = new TextEncoder().encode(JSON.stringify(value));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, this.key, plaintext);
+
+        return {
+            iv: CryptoVault.toBase64(iv),
+            data: CryptoVault.toBase64(new Uint8Array(ciphertext))
+        };
+    }
+
+    async decrypt(payload) {
+        if (!this.key) {
+            throw new Error('Vault is locked');
+        }
+
+        try {
+            const plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: CryptoVault.fromBase64(payload.iv) },
+                this.key,
+                CryptoVault.fromBase64(payload.data)
+            );
+            return JSON.parse(new TextDecoder().decode(plaintext));
+        } catch (error) {
+            throw new Error('Unable to decrypt vault');
+        }
+    }
+
+    static generateSalt(bytes = 16) {
+        return CryptoVault.toBase64(crypto.getRandomValues(new Uint8Array(bytes)));
+    }
+
+    static toBase64(bytes) {
+        let binary = '';
+        // Build the string in chunks so large vaults don't overflow the call stack
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    static fromBase64(value) {
+        const binary = atob(value);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+CryptoVault.DEFAULT_ITERATIONS = 310000;
+// Iteration counts read from files or servers are capped, so a tampered one can't stall the page
+CryptoVault.MAX_ITERATIONS = CryptoVault.DEFAULT_ITERATIONS * 10;
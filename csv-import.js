@@ -0,0 +1,247 @@
+// ========================================
+// CSV IMPORT
+// ========================================
+
+// Reads the CSV exports of other password managers into history entries.
+// Each format lists, per entry field, the column names it is known to use;
+// headers are compared case-insensitively, so small variations between app
+// versions still map. The user can always correct the mapping in the preview.
+
+const IMPORT_FIELDS = ['site', 'url', 'username', 'password', 'notes', 'tags', 'favorite'];
+
+const IMPORT_FIELD_LABELS = {
+    site: 'Site / title',
+    url: 'URL',
+    username: 'Username',
+    password: 'Password',
+    notes: 'Notes',
+    tags: 'Tags / folder',
+    favorite: 'Favorite'
+};
+
+// Detection runs in order, so more specific formats come first
+const IMPORT_FORMATS = [
+    {
+        id: 'bitwarden',
+        name: 'Bitwarden',
+        detect: ['login_password'],
+        columns: {
+            site: ['name'],
+            url: ['login_uri'],
+            username: ['login_username'],
+            password: ['login_password'],
+            notes: ['notes'],
+            tags: ['folder'],
+            favorite: ['favorite']
+        }
+    },
+    {
+        // KeePassXC ("Group","Title",...) and KeePass 2 ("Account","Login Name",...)
+        id: 'keepass',
+        name: 'KeePass',
+        detect: [['group', 'account'], 'password'],
+        columns: {
+            site: ['title', 'account'],
+            url: ['url', 'web site'],
+            username: ['username', 'login name', 'user name'],
+            password: ['password'],
+            notes: ['notes', 'comments'],
+            tags: ['group']
+        }
+    },
+    {
+        id: 'chrome',
+        name: 'Chrome',
+        detect: ['name', 'url', 'username', 'password'],
+        columns: {
+            site: ['name'],
+            url: ['url'],
+            username: ['username'],
+            password: ['password'],
+            notes: ['note']
+        }
+    },
+    {
+        id: '1password',
+        name: '1Password',
+        detect: ['title', 'password'],
+        columns: {
+            site: ['title'],
+            url: ['url', 'website', 'urls'],
+            username: ['username'],
+            password: ['password'],
+            notes: ['notes', 'notesplain'],
+            tags: ['tags'],
+            favorite: ['favorite']
+        }
+    },
+    {
+        id: 'generic',
+        name: 'Other CSV',
+        detect: [],
+        columns: {
+            site: ['name', 'title', 'site', 'account'],
+            url: ['url', 'website', 'web site', 'uri', 'login_uri'],
+            username: ['username', 'login', 'user', 'email', 'login_username', 'login name'],
+            password: ['password', 'pass', 'login_password'],
+            notes: ['notes', 'note', 'comments', 'extra'],
+            tags: ['tags', 'folder', 'group', 'grouping'],
+            favorite: ['favorite', 'fav']
+        }
+    }
+];
+
+class CsvImporter {
+    // RFC 4180: quoted fields may contain commas, doubled quotes and line breaks
+    static parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        const input = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error('CSV file ends inside a quoted field');
+        }
+
+        if (field || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // Drop blank lines
+        return rows.filter(cells => cells.some(cell => cell.trim()));
+    }
+
+    static read(text) {
+        const [headers, ...rows] = CsvImporter.parseCsv(text);
+        if (!headers || rows.length === 0) {
+            throw new Error('CSV file has no entries');
+        }
+
+        const format = CsvImporter.detectFormat(headers);
+        return { headers, rows, format, mapping: CsvImporter.guessMapping(headers, format) };
+    }
+
+    static detectFormat(headers) {
+        const names = headers.map(CsvImporter.normalizeHeader);
+        return IMPORT_FORMATS.find(format => format.detect.every(required =>
+            (Array.isArray(required) ? required : [required]).some(name => names.includes(name))
+        ));
+    }
+
+    static getFormat(id) {
+        return IMPORT_FORMATS.find(format => format.id === id) || null;
+    }
+
+    // Column index per field, or -1 when the file has no such column
+    static guessMapping(headers, format) {
+        const names = headers.map(CsvImporter.normalizeHeader);
+        const mapping = {};
+
+        IMPORT_FIELDS.forEach(field => {
+            const candidates = format.columns[field] || [];
+            const match = candidates.find(name => names.includes(name));
+            mapping[field] = match ? names.indexOf(match) : -1;
+        });
+
+        return mapping;
+    }
+
+    // Turns rows into history entry fields; rows without a password (cards, secure notes) are skipped
+    static mapRows(rows, mapping) {
+        if (mapping.password === -1) {
+            throw new Error('Choose which column holds the password');
+        }
+
+        const cell = (row, field) => mapping[field] === -1 ? '' : (row[mapping[field]] || '').trim();
+        const entries = [];
+        let skipped = 0;
+
+        rows.forEach(row => {
+            // Passwords are taken verbatim; only the labels around them are trimmed
+            const password = row[mapping.password] || '';
+            if (!password) {
+                skipped++;
+                return;
+            }
+
+            const url = cell(row, 'url');
+            const site = cell(row, 'site') || url;
+            const notes = [site !== url && url ? `URL: ${url}` : '', cell(row, 'notes')].filter(Boolean).join('\n');
+
+            entries.push({
+                site,
+                username: cell(row, 'username'),
+                password,
+                notes,
+                tags: CsvImporter.parseTags(cell(row, 'tags')),
+                favorite: CsvImporter.isTruthy(cell(row, 'favorite'))
+            });
+        });
+
+        return { entries, skipped };
+    }
+
+    // Flags weak passwords and every password used by more than one entry,
+    // including entries already in the vault
+    static report(entries, existing = []) {
+        const weak = entries.filter(entry => entry.strength === 'Weak');
+
+        // An entry saved earlier for the same site and username is the same credential, not reuse
+        const others = existing.filter(saved => !entries.some(entry => entry.password === saved.password &&
+            entry.site === saved.site && entry.username === saved.username));
+
+        const byPassword = new Map();
+        [...others, ...entries].forEach(entry => {
+            byPassword.set(entry.password, [...(byPassword.get(entry.password) || []), entry]);
+        });
+
+        const reused = [...byPassword.values()]
+            .filter(group => group.length > 1 && group.some(entry => entries.includes(entry)));
+
+        return { total: entries.length, weak, reused };
+    }
+
+    static parseTags(value) {
+        // KeePass groups are paths like "Root/Work/Email"; the innermost group is the useful tag
+        const parts = value.split(/[,;]/).map(tag => tag.split(/[/\\]/).pop().trim());
+        return parts.filter(tag => tag && tag.toLowerCase() !== 'root');
+    }
+
+    static isTruthy(value) {
+        return ['1', 'true', 'yes', 'y', 'x'].includes(value.toLowerCase());
+    }
+
+    static normalizeHeader(header) {
+        return header.trim().toLowerCase();
+    }
+}
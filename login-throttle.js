@@ -0,0 +1,110 @@
+// ========================================
+// LOGIN THROTTLE
+// ========================================
+
+// Counts failed sign-ins per account (or per typed identifier when no account
+// matches, so unknown names are slowed down exactly like real ones). The first
+// few failures are free; after that each attempt waits twice as long as the
+// last, and too many in a row lock sign-in for a while. This slows guessing
+// through the app; the slow password hash is what protects the stored data.
+class LoginThrottle {
+    constructor(storage = localStorage, options = {}) {
+        this.storage = storage;
+        this.freeAttempts = options.freeAttempts || LoginThrottle.FREE_ATTEMPTS;
+        this.lockoutThreshold = options.lockoutThreshold || LoginThrottle.LOCKOUT_THRESHOLD;
+        this.lockoutMs = options.lockoutMs || LoginThrottle.LOCKOUT_MS;
+    }
+
+    // Throws while the key has to wait; the error carries `retryAfter` in milliseconds
+    assertAllowed(key, now = Date.now()) {
+        const wait = this.waitFor(key, now);
+        if (wait.ms <= 0) return;
+
+        const error = new Error(wait.locked
+            ? `Too many failed attempts. Sign-in is locked for ${LoginThrottle.describeWait(wait.ms)}`
+            : `Too many failed attempts. Try again in ${LoginThrottle.describeWait(wait.ms)}`);
+        error.retryAfter = wait.ms;
+        throw error;
+    }
+
+    waitFor(key, now = Date.now()) {
+        const record = this.load()[key];
+        if (!record) return { ms: 0, locked: false };
+
+        if (record.lockedUntil > now) {
+            return { ms: record.lockedUntil - now, locked: true };
+        }
+
+        return { ms: Math.max(0, record.lastFailureAt + this.delayAfter(record.failures) - now), locked: false };
+    }
+
+    // Returns the updated record; `lockedUntil` is set when this failure started a lockout
+    recordFailure(key, now = Date.now()) {
+        const records = this.load();
+        const record = records[key] && !(records[key].lockedUntil > now)
+            ? records[key]
+            : { failures: 0, lockedUntil: 0 };
+
+        record.failures++;
+        record.lastFailureAt = now;
+
+        if (record.failures >= this.lockoutThreshold) {
+            // The count starts over once the lockout ends
+            record.failures = 0;
+            record.lockedUntil = now + this.lockoutMs;
+        }
+
+        records[key] = record;
+        this.save(records, now);
+        return record;
+    }
+
+    reset(key) {
+        const records = this.load();
+        delete records[key];
+        this.save(records);
+    }
+
+    delayAfter(failures) {
+        if (failures < this.freeAttempts) return 0;
+        return Math.min(LoginThrottle.MAX_DELAY_MS, LoginThrottle.BASE_DELAY_MS * 2 ** (failures - this.freeAttempts));
+    }
+
+    load() {
+        try {
+            return JSON.parse(this.storage.getItem(LoginThrottle.STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // Drops records nobody has touched for a day, so the store doesn't grow with every typo
+    save(records, now = Date.now()) {
+        Object.keys(records).forEach(key => {
+            const record = records[key];
+            if (record.lockedUntil <= now && now - record.lastFailureAt > LoginThrottle.FORGET_AFTER_MS) {
+                delete records[key];
+            }
+        });
+        this.storage.setItem(LoginThrottle.STORAGE_KEY, JSON.stringify(records));
+    }
+
+    static keyFor(user, identifier) {
+        return user ? `user:${user.id}` : `name:${String(identifier || '').trim().toLowerCase()}`;
+    }
+
+    static describeWait(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        if (seconds < 60) return `${seconds} ${seconds === 1 ? 'second' : 'seconds'}`;
+        const minutes = Math.ceil(seconds / 60);
+        return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`;
+    }
+}
+
+LoginThrottle.STORAGE_KEY = 'loginAttempts';
+LoginThrottle.FREE_ATTEMPTS = 3;
+LoginThrottle.BASE_DELAY_MS = 1000;
+LoginThrottle.MAX_DELAY_MS = 60 * 1000;
+LoginThrottle.LOCKOUT_THRESHOLD = 10;
+LoginThrottle.LOCKOUT_MS = 15 * 60 * 1000;
+LoginThrottle.FORGET_AFTER_MS = 24 * 60 * 60 * 1000;
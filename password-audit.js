@@ -0,0 +1,86 @@
+// ========================================
+// PASSWORD AUDIT
+// ========================================
+
+// Reviews saved entries for reuse, weakness and age. Ratings come from the
+// generator's calculateStrength and are cached per credential, so re-running
+// the audit after every change only rates what is new.
+class PasswordAuditor {
+    constructor(passwordGenerator) {
+        this.passwordGenerator = passwordGenerator;
+        this.ratings = new Map();
+    }
+
+    rate(entry) {
+        const key = JSON.stringify([entry.password, entry.site, entry.username]);
+        if (!this.ratings.has(key)) {
+            const { score, strength } = this.passwordGenerator.calculateStrength(
+                entry.password, undefined, [entry.site, entry.username].filter(Boolean));
+            this.ratings.set(key, { score, strength });
+        }
+        return this.ratings.get(key);
+    }
+
+    // The cache is keyed by the passwords themselves, so it goes when the vault locks
+    clear() {
+        this.ratings.clear();
+    }
+
+    audit(entries, { rotationDays = 0, now = Date.now() } = {}) {
+        const rated = entries.map(entry => {
+            const ageDays = Math.floor((now - new Date(entry.timestamp).getTime()) / 86400000);
+            return { entry, ...this.rate(entry), ageDays };
+        });
+
+        const byPassword = new Map();
+        rated.forEach(item => {
+            byPassword.set(item.entry.password, [...(byPassword.get(item.entry.password) || []), item]);
+        });
+        const reused = [...byPassword.values()]
+            .filter(group => group.length > 1)
+            .sort((a, b) => b.length - a.length);
+        const reusedEntries = new Set(reused.flat().map(item => item.entry));
+
+        const weak = rated
+            .filter(item => item.score < PasswordAuditor.WEAK_SCORE)
+            .sort((a, b) => a.score - b.score);
+
+        const stale = rotationDays
+            ? rated.filter(item => item.ageDays >= rotationDays).sort((a, b) => b.ageDays - a.ageDays)
+            : [];
+        const staleEntries = new Set(stale.map(item => item.entry));
+
+        return {
+            total: rated.length,
+            reused,
+            weak,
+            stale,
+            score: PasswordAuditor.overallScore(rated, reusedEntries, staleEntries)
+        };
+    }
+
+    // Average of each entry's strength score, halved for reuse and cut by a
+    // fifth when overdue for rotation: reuse hurts more than age
+    static overallScore(rated, reusedEntries, staleEntries) {
+        if (rated.length === 0) return null;
+
+        const total = rated.reduce((sum, item) => {
+            let score = item.score;
+            if (reusedEntries.has(item.entry)) score *= 0.5;
+            if (staleEntries.has(item.entry)) score *= 0.8;
+            return sum + score;
+        }, 0);
+
+        return Math.round(total / rated.length);
+    }
+
+    static scoreLabel(score) {
+        if (score >= 80) return 'Excellent';
+        if (score >= 60) return 'Good';
+        if (score >= 40) return 'Fair';
+        return 'Poor';
+    }
+}
+
+// Entries scoring below "Strong" in calculateStrength are reported as weak
+PasswordAuditor.WEAK_SCORE = 60;
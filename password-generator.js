@@ -0,0 +1,610 @@
+// ========================================
+// PASSWORD GENERATOR
+// ========================================
+
+// Keep this file free of DOM access: securepass.mjs loads it unchanged for
+// Node scripts and the command-line tool.
+class PasswordGenerator {
+    // Pass { random: new SeededRandomSource(seed) } to make output reproducible in tests
+    constructor(options = {}) {
+        this.random = options.random || new CryptoRandomSource();
+        this.charsets = {
+            uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+            lowercase: 'abcdefghijklmnopqrstuvwxyz',
+            numbers: '0123456789',
+            special: '!@#$%^&*()-_=+[]{}|;:,.<>?',
+            similar: 'O0lI1'
+        };
+        this.estimator = new StrengthEstimator();
+        this.resetWordlist();
+    }
+
+    generate(options) {
+        const {
+            length = 16,
+            includeUppercase = true,
+            includeLowercase = true,
+            includeNumbers = true,
+            includeSpecial = true,
+            excludeSimilar = false,
+            policy = null,
+            passwordRules = null
+        } = options;
+
+        // Site rules describe exactly what the site accepts, so they win over everything else
+        if (passwordRules) {
+            const rules = typeof passwordRules === 'string' ? PasswordRules.parse(passwordRules) : passwordRules;
+            return this.generateFromRules(rules, length);
+        }
+
+        const mode = PasswordGenerator.resolveMode(options);
+        switch (mode) {
+            case 'passphrase':
+                return this.generatePassphrase(options);
+            case 'pronounceable':
+                return this.generatePronounceable(length, { includeUppercase, includeNumbers, includeSpecial, excludeSimilar });
+            case 'pin':
+                return this.generatePin(length);
+            case 'custom':
+                return this.generateFromAlphabet(options.alphabet, length);
+            case 'random':
+                break;
+            default:
+                throw new Error(`Unknown generation mode "${mode}"`);
+        }
+
+        if (policy) {
+            return this.generateFromPolicy(policy, length);
+        }
+
+        // Validate at least one character type
+        if (!includeUppercase && !includeLowercase && !includeNumbers && !includeSpecial) {
+            throw new Error('At least one character type must be selected');
+        }
+
+        // Pass the resolved flags on, so callers can leave out the ones they don't change
+        return this.generateRandom(length, {
+            includeUppercase, includeLowercase, includeNumbers, includeSpecial, excludeSimilar
+        });
+    }
+
+    generateRandom(length, options) {
+        const classes = [];
+
+        if (options.includeUppercase) classes.push(this.charsets.uppercase);
+        if (options.includeLowercase) classes.push(this.charsets.lowercase);
+        if (options.includeNumbers) classes.push(this.charsets.numbers);
+        if (options.includeSpecial) classes.push(this.charsets.special);
+
+        // Remove similar characters if requested
+        const required = classes.map(charset => options.excludeSimilar
+            ? charset.split('').filter(char => !this.charsets.similar.includes(char)).join('')
+            : charset);
+
+        // At least one character from each selected type, and nothing else
+        return this.generateFromRules({
+            required: required.map(chars => PasswordRules.union(chars, '')),
+            allowed: '',
+            maxConsecutive: null,
+            minLength: null,
+            maxLength: null
+        }, length);
+    }
+
+    generateFromRules(rules, length = 16) {
+        const min = Math.max(rules.minLength || 1, rules.required.length);
+        const max = rules.maxLength || Math.max(min, length);
+        const size = Math.min(max, Math.max(min, length));
+        const pool = PasswordRules.pool(rules);
+
+        // Positions are reshuffled only in the rare case a tiny alphabet paints
+        // itself into a corner against max-consecutive
+        for (let attempt = 0; attempt < PasswordGenerator.MAX_RULE_ATTEMPTS; attempt++) {
+            const password = this.buildFromRules(rules, pool, size);
+            if (password !== null) {
+                if (PasswordRules.check(password, rules).length) {
+                    throw new Error('Generated password does not satisfy the rules');
+                }
+                return password;
+            }
+        }
+
+        throw new Error('Could not satisfy these password rules. Try allowing more characters or a higher max-consecutive');
+    }
+
+    buildFromRules(rules, pool, size) {
+        // Give every requirement its own random position
+        const positions = this.shuffle([...Array(size).keys()]);
+        const requiredAt = new Array(size).fill(null);
+        rules.required.forEach((chars, index) => {
+            requiredAt[positions[index]] = chars;
+        });
+
+        const chars = [];
+        const limit = rules.maxConsecutive || Infinity;
+        const trailingRun = char => {
+            let run = 0;
+            while (run < chars.length && chars[chars.length - 1 - run] === char) run++;
+            return run;
+        };
+
+        for (let i = 0; i < size; i++) {
+            const next = requiredAt[i + 1];
+
+            const candidates = (requiredAt[i] || pool).split('').filter(char => {
+                const run = trailingRun(char) + 1;
+                if (run > limit) return false;
+                // Don't use up the run a single-character requirement right after us needs
+                return !(next && next.length === 1 && next === char && run + 1 > limit);
+            });
+
+            if (candidates.length === 0) return null;
+            chars.push(candidates[this.randomIndex(candidates.length)]);
+        }
+
+        return chars.join('');
+    }
+
+    generateFromPolicy(policy, length = policy.maxLength) {
+        const pools = this.policyPools(policy);
+        const size = Math.min(policy.maxLength, Math.max(policy.minLength, length));
+        const required = {};
+        POLICY_CLASSES.forEach(name => {
+            required[name] = policy.classes[name].min;
+        });
+
+        // A fixed first character counts towards its class's minimum. When the minimums already
+        // fill the password, it has to come from a class that has one, or it would add a character.
+        let first = '';
+        if (policy.startsWith) {
+            let starts = policy.startsWith.filter(name => pools[name]);
+            const requiredTotal = POLICY_CLASSES.reduce((sum, name) => sum + required[name], 0);
+            const absorbing = starts.filter(name => required[name] > 0);
+            if (requiredTotal >= size && absorbing.length) starts = absorbing;
+
+            const startPool = starts.map(name => pools[name]).join('');
+            first = startPool[this.randomIndex(startPool.length)];
+            const name = starts.find(candidate => pools[candidate].includes(first));
+            required[name] = Math.max(0, required[name] - 1);
+        }
+
+        // Place the required characters first, fill the rest from every allowed class, then shuffle
+        const chars = [];
+        POLICY_CLASSES.forEach(name => {
+            for (let i = 0; i < required[name]; i++) {
+                chars.push(pools[name][this.randomIndex(pools[name].length)]);
+            }
+        });
+
+        const pool = Object.values(pools).join('');
+        while (chars.length + first.length < size) {
+            chars.push(pool[this.randomIndex(pool.length)]);
+        }
+
+        const password = first + this.shuffle(chars).join('');
+        if (password.length > policy.maxLength) {
+            throw new Error(`Policy "${policy.name}" requires more characters than its maximum length`);
+        }
+        return password;
+    }
+
+    policyPools(policy) {
+        const pools = {};
+
+        POLICY_CLASSES.forEach(name => {
+            const rule = policy.classes[name];
+            if (!rule.allowed) return;
+
+            const pool = (rule.chars || this.charsets[name]).split('').filter(char =>
+                !policy.forbiddenChars.includes(char) &&
+                !(policy.excludeSimilar && this.charsets.similar.includes(char))
+            );
+
+            if (pool.length === 0) {
+                if (rule.min > 0) {
+                    throw new Error(`Policy "${policy.name}" forbids every allowed ${POLICY_CLASS_LABELS[name]} character`);
+                }
+                return;
+            }
+
+            pools[name] = [...new Set(pool)].join('');
+        });
+
+        if (Object.keys(pools).length === 0) {
+            throw new Error(`Policy "${policy.name}" leaves no characters to choose from`);
+        }
+
+        if (policy.startsWith && !policy.startsWith.some(name => pools[name])) {
+            throw new Error(`Policy "${policy.name}" forbids every character it may start with`);
+        }
+
+        return pools;
+    }
+
+    // Fisher-Yates shuffle using the unbiased random index
+    shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = this.randomIndex(i + 1);
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+
+    generatePassphrase(options) {
+        const {
+            wordCount = 6,
+            separator = '-',
+            capitalization = 'lower',
+            injectDigit = false,
+            injectSymbol = false
+        } = options;
+
+        if (!Number.isInteger(wordCount) || wordCount < 1) {
+            throw new Error('Word count must be a positive whole number');
+        }
+
+        const words = [];
+        for (let i = 0; i < wordCount; i++) {
+            const word = this.wordlist[this.randomIndex(this.wordlist.length)];
+            words.push(this.capitalizeWord(word, capitalization));
+        }
+
+        // Injected characters are appended to a random word so separators stay intact
+        if (injectDigit) {
+            const target = this.randomIndex(words.length);
+            words[target] += this.charsets.numbers[this.randomIndex(this.charsets.numbers.length)];
+        }
+
+        if (injectSymbol) {
+            const target = this.randomIndex(words.length);
+            words[target] += this.charsets.special[this.randomIndex(this.charsets.special.length)];
+        }
+
+        return words.join(separator);
+    }
+
+    capitalizeWord(word, style) {
+        switch (style) {
+            case 'upper':
+                return word.toUpperCase();
+            case 'title':
+                return word.charAt(0).toUpperCase() + word.slice(1);
+            case 'random':
+                // One coin flip per word, counted in calculatePassphraseEntropy
+                return this.randomIndex(2) ? word.charAt(0).toUpperCase() + word.slice(1) : word;
+            default:
+                return word;
+        }
+    }
+
+    // Alternating consonants and vowels, read as syllables ("ba", "ko", and "rit" at an odd
+    // length). Capitals start random syllables; a digit and a symbol each go after a random one.
+    generatePronounceable(length = 16, options = {}) {
+        const { includeUppercase = true, includeNumbers = true, includeSpecial = true, excludeSimilar = false } = options;
+        const pools = this.pronounceablePools(excludeSimilar);
+        const letters = PasswordGenerator.countPronounceableLetters(length, options);
+        const pick = pool => pool[this.randomIndex(pool.length)];
+
+        const syllables = [];
+        for (let i = 0; i < Math.floor(letters / 2); i++) {
+            const consonant = pick(pools.consonants);
+            syllables.push((includeUppercase && this.randomIndex(2) ? consonant.toUpperCase() : consonant) + pick(pools.vowels));
+        }
+        if (letters % 2) {
+            syllables[syllables.length - 1] += pick(pools.consonants);
+        }
+
+        if (includeNumbers) {
+            syllables[this.randomIndex(syllables.length)] += pick(pools.numbers);
+        }
+        if (includeSpecial) {
+            syllables[this.randomIndex(syllables.length)] += pick(pools.special);
+        }
+
+        return syllables.join('');
+    }
+
+    calculatePronounceableEntropy(length = 16, options = {}) {
+        const { includeUppercase = true, includeNumbers = true, includeSpecial = true, excludeSimilar = false } = options;
+        const pools = this.pronounceablePools(excludeSimilar);
+        const letters = PasswordGenerator.countPronounceableLetters(length, options);
+        const syllables = Math.floor(letters / 2);
+
+        let entropy = Math.ceil(letters / 2) * Math.log2(pools.consonants.length) +
+            syllables * Math.log2(pools.vowels.length);
+
+        if (includeUppercase) entropy += syllables;
+        if (includeNumbers) entropy += Math.log2(pools.numbers.length) + Math.log2(syllables);
+        if (includeSpecial) entropy += Math.log2(pools.special.length) + Math.log2(syllables);
+
+        return entropy;
+    }
+
+    pronounceablePools(excludeSimilar) {
+        const keep = chars => excludeSimilar
+            ? chars.split('').filter(char => !this.charsets.similar.includes(char)).join('')
+            : chars;
+
+        return {
+            consonants: keep(PasswordGenerator.SYLLABLE_CONSONANTS),
+            vowels: PasswordGenerator.SYLLABLE_VOWELS,
+            numbers: keep(this.charsets.numbers),
+            special: this.charsets.special
+        };
+    }
+
+    // Digits only, drawn again whenever they form a pattern people pick on purpose (see isWeakPin)
+    generatePin(length = 6) {
+        PasswordGenerator.checkPinLength(length);
+
+        for (let attempt = 0; attempt < PasswordGenerator.MAX_RULE_ATTEMPTS; attempt++) {
+            const pin = Array.from({ length }, () => this.charsets.numbers[this.randomIndex(10)]).join('');
+            if (!PasswordGenerator.isWeakPin(pin)) return pin;
+        }
+
+        throw new Error('Could not generate a PIN without a weak pattern');
+    }
+
+    // Every character drawn uniformly from the given ones, e.g. hex or base32 for API keys
+    generateFromAlphabet(alphabet, length = 16) {
+        const chars = PasswordGenerator.parseAlphabet(alphabet);
+        if (!Number.isInteger(length) || length < 1) {
+            throw new Error('Length must be a positive whole number');
+        }
+
+        return Array.from({ length }, () => chars[this.randomIndex(chars.length)]).join('');
+    }
+
+    // Bits of entropy for the modes that know theirs exactly, or undefined where the estimator
+    // should judge the password on its own
+    calculateKnownEntropy(options) {
+        if (options.passwordRules) return undefined;
+
+        const length = options.length === undefined ? 16 : options.length;
+        switch (PasswordGenerator.resolveMode(options)) {
+            case 'passphrase':
+                return this.calculatePassphraseEntropy(options);
+            case 'pronounceable':
+                return this.calculatePronounceableEntropy(length, options);
+            case 'pin':
+                return PasswordGenerator.calculatePinEntropy(length);
+            case 'custom':
+                return length * Math.log2(PasswordGenerator.parseAlphabet(options.alphabet).length);
+            default:
+                return undefined;
+        }
+    }
+
+    calculatePassphraseEntropy(options) {
+        const {
+            wordCount = 6,
+            capitalization = 'lower',
+            injectDigit = false,
+            injectSymbol = false
+        } = options;
+
+        let entropy = wordCount * Math.log2(this.wordlist.length);
+
+        if (capitalization === 'random') entropy += wordCount;
+        if (injectDigit) entropy += Math.log2(this.charsets.numbers.length) + Math.log2(wordCount);
+        if (injectSymbol) entropy += Math.log2(this.charsets.special.length) + Math.log2(wordCount);
+
+        return entropy;
+    }
+
+    loadWordlist(text, name = 'Custom wordlist') {
+        // Accepts one word per line, including diceware files that prefix each word with its dice roll
+        const words = [...new Set(
+            text.split(/\r?\n/)
+                .map(line => line.trim().split(/\s+/).pop())
+                .filter(Boolean)
+        )];
+
+        if (words.length < PasswordGenerator.MIN_WORDLIST_SIZE) {
+            throw new Error(`Wordlist needs at least ${PasswordGenerator.MIN_WORDLIST_SIZE} unique words (found ${words.length})`);
+        }
+
+        this.wordlist = words;
+        this.wordlistName = name;
+        return words.length;
+    }
+
+    resetWordlist() {
+        this.wordlist = EFF_LARGE_WORDLIST;
+        this.wordlistName = 'EFF large wordlist';
+    }
+
+    // Unique passwords for provisioning. isAvailable lets the caller reject
+    // passwords it already knows about, e.g. ones in the user's history.
+    generateBatch(options, count, isAvailable = () => true) {
+        if (!Number.isInteger(count) || count < 1 || count > PasswordGenerator.MAX_BATCH_SIZE) {
+            throw new Error(`Batch size must be between 1 and ${PasswordGenerator.MAX_BATCH_SIZE}`);
+        }
+
+        const knownEntropy = this.calculateKnownEntropy(options);
+        const seen = new Set();
+        const rows = [];
+
+        for (let attempt = 0; attempt < count * 10 && rows.length < count; attempt++) {
+            const password = this.generate(options);
+            if (seen.has(password) || !isAvailable(password)) continue;
+
+            seen.add(password);
+            const { strength, score, entropy } = this.calculateStrength(password, knownEntropy);
+            rows.push({ password, strength, score, entropy });
+        }
+
+        if (rows.length < count) {
+            throw new Error(`Only ${rows.length} of ${count} passwords were unique. Try longer or different options.`);
+        }
+
+        return rows;
+    }
+
+    setRandomSource(random) {
+        this.random = random;
+    }
+
+    // Uniform integer in [0, max) without modulo bias: values from the
+    // incomplete top bucket are rejected and drawn again
+    randomIndex(max) {
+        if (!Number.isInteger(max) || max < 1 || max > 0x100000000) {
+            throw new Error(`Random index bound must be a whole number from 1 to 2^32 (got ${max})`);
+        }
+
+        const limit = Math.floor(0x100000000 / max) * max;
+        let value;
+        do {
+            value = this.random.nextUint32();
+        } while (value >= limit);
+        return value % max;
+    }
+
+    calculateStrength(password, knownEntropy, userInputs = []) {
+        let estimate = this.estimator.estimate(password, userInputs);
+
+        // Generators that know their own entropy pass it in; patterns found in the output can only lower it
+        if (knownEntropy !== undefined && knownEntropy < estimate.entropy) {
+            estimate = this.estimator.buildResult(password, knownEntropy, estimate.matches, estimate);
+        }
+
+        // One point per bit of estimated entropy, capped at 100
+        const score = Math.min(100, Math.round(estimate.entropy));
+
+        // Determine strength level
+        let strength = '';
+        if (score >= 80) strength = 'Very Strong';
+        else if (score >= 60) strength = 'Strong';
+        else if (score >= 40) strength = 'Medium';
+        else strength = 'Weak';
+
+        return { strength, score, ...estimate };
+    }
+
+    // passphraseMode is how the passphrase mode was asked for before there were other modes
+    static resolveMode(options) {
+        return options.mode || (options.passphraseMode ? 'passphrase' : 'random');
+    }
+
+    // Length less the appended digit and symbol; at least one syllable has to remain
+    static countPronounceableLetters(length, { includeNumbers = true, includeSpecial = true } = {}) {
+        const letters = length - (includeNumbers ? 1 : 0) - (includeSpecial ? 1 : 0);
+        if (!Number.isInteger(length) || letters < 2) {
+            throw new Error('Length is too short for a pronounceable password');
+        }
+        return letters;
+    }
+
+    static checkPinLength(length) {
+        if (!Number.isInteger(length) || length < PasswordGenerator.PIN_MIN_LENGTH || length > PasswordGenerator.PIN_MAX_LENGTH) {
+            throw new Error(`PIN length must be between ${PasswordGenerator.PIN_MIN_LENGTH} and ${PasswordGenerator.PIN_MAX_LENGTH}`);
+        }
+    }
+
+    // A short block repeated (1111, 1212, 123123), a run (1234, 7890, 6543) or a date (0412, 19850412)
+    static isWeakPin(pin) {
+        return PasswordGenerator.hasShortPeriod(pin) || PasswordGenerator.pinPatterns(pin.length).has(pin);
+    }
+
+    // Whether the string repeats with a period of at most half its length
+    static hasShortPeriod(value) {
+        for (let period = 1; period <= value.length / 2; period++) {
+            let repeats = true;
+            for (let i = period; i < value.length && repeats; i++) {
+                repeats = value[i] === value[i - period];
+            }
+            if (repeats) return true;
+        }
+        return false;
+    }
+
+    // Runs and dates of the given length; repeated blocks are too many to list and are checked directly
+    static pinPatterns(length) {
+        const cache = PasswordGenerator.pinPatternCache;
+        if (cache.has(length)) return cache.get(length);
+
+        const patterns = new Set();
+        for (let start = 0; start < 10; start++) {
+            patterns.add(Array.from({ length }, (_, i) => (start + i) % 10).join(''));
+            patterns.add(Array.from({ length }, (_, i) => (start - i + 10 * length) % 10).join(''));
+        }
+
+        const formats = PasswordGenerator.PIN_DATE_FORMATS[length] || [];
+        const pad = value => String(value).padStart(2, '0');
+        for (let year = PasswordGenerator.PIN_FIRST_YEAR; formats.length && year <= PasswordGenerator.PIN_LAST_YEAR; year++) {
+            for (let month = 1; month <= 12; month++) {
+                // Day 0 of the next month is this month's last; February always gets its 29th
+                const days = month === 2 ? 29 : new Date(Date.UTC(2001, month, 0)).getUTCDate();
+                for (let day = 1; day <= days; day++) {
+                    formats.forEach(format => patterns.add(format
+                        .replace('YYYY', String(year))
+                        .replace('YY', pad(year % 100))
+                        .replace('MM', pad(month))
+                        .replace('DD', pad(day))));
+                }
+            }
+        }
+
+        cache.set(length, patterns);
+        return patterns;
+    }
+
+    // log2 of how many PINs of this length generatePin can return
+    static calculatePinEntropy(length) {
+        PasswordGenerator.checkPinLength(length);
+        return Math.log2(10 ** length - PasswordGenerator.countWeakPins(length));
+    }
+
+    static countWeakPins(length) {
+        // A string that repeats with a period of at most half its length has exactly one smallest such
+        // period (Fine and Wilf), and is that many leading digits repeated. Those leading digits can't
+        // themselves be a repeat, so each string is counted once by summing the primitive blocks.
+        const primitive = [];
+        let count = 0;
+        for (let period = 1; period <= length / 2; period++) {
+            primitive[period] = 10 ** period;
+            for (let divisor = 1; divisor < period; divisor++) {
+                if (period % divisor === 0) primitive[period] -= primitive[divisor];
+            }
+            count += primitive[period];
+        }
+
+        PasswordGenerator.pinPatterns(length).forEach(pin => {
+            if (!PasswordGenerator.hasShortPeriod(pin)) count++;
+        });
+        return count;
+    }
+
+    // Unique characters in the order given. Whitespace is dropped, so a pasted list can be spaced out.
+    static parseAlphabet(alphabet) {
+        const chars = [...new Set([...String(alphabet || '')].filter(char => !/\s/.test(char)))];
+        if (chars.length < 2) {
+            throw new Error('The custom alphabet needs at least 2 different characters');
+        }
+        return chars;
+    }
+}
+
+PasswordGenerator.MIN_WORDLIST_SIZE = 100;
+PasswordGenerator.MAX_RULE_ATTEMPTS = 100;
+PasswordGenerator.MAX_BATCH_SIZE = 500;
+PasswordGenerator.MODES = ['random', 'passphrase', 'pronounceable', 'pin', 'custom'];
+// Consonants and vowels that read the same in most languages; 4 and about 2.3 bits each
+PasswordGenerator.SYLLABLE_CONSONANTS = 'bdfghjklmnprstvz';
+PasswordGenerator.SYLLABLE_VOWELS = 'aeiou';
+PasswordGenerator.PIN_MIN_LENGTH = 4;
+PasswordGenerator.PIN_MAX_LENGTH = 12;
+PasswordGenerator.PIN_FIRST_YEAR = 1920;
+PasswordGenerator.PIN_LAST_YEAR = 2039;
+PasswordGenerator.PIN_DATE_FORMATS = {
+    4: ['DDMM', 'MMDD', 'YYYY'],
+    6: ['DDMMYY', 'MMDDYY', 'YYMMDD'],
+    8: ['DDMMYYYY', 'MMDDYYYY', 'YYYYMMDD']
+};
+PasswordGenerator.pinPatternCache = new Map();
+PasswordGenerator.ALPHABETS = {
+    hex: '0123456789abcdef',
+    base32: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567',
+    base58: '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz',
+    alphanumeric: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789'
+};
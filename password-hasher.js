@@ -0,0 +1,96 @@
+// ========================================
+// PASSWORD HASHER
+// ========================================
+
+// Salted PBKDF2 hashes for account passwords. Records are versioned so the
+// parameters can be raised later without locking anyone out.
+class PasswordHasher {
+    constructor(iterations = PasswordHasher.DEFAULT_ITERATIONS) {
+        this.iterations = iterations;
+    }
+
+    async hash(password, salt = CryptoVault.generateSalt()) {
+        const bits = await this.derive(password, salt, this.iterations);
+
+        return {
+            version: PasswordHasher.VERSION,
+            algorithm: 'PBKDF2-SHA256',
+            iterations: this.iterations,
+            salt,
+            hash: CryptoVault.toBase64(bits)
+        };
+    }
+
+    async verify(password, stored) {
+        if (this.isLegacy(stored)) {
+            return PasswordHasher.constantTimeEqual(
+                new TextEncoder().encode(PasswordHasher.legacyHash(password)),
+                new TextEncoder().encode(stored)
+            );
+        }
+
+        if (stored.version !== PasswordHasher.VERSION) {
+            throw new Error('Unsupported password hash version');
+        }
+
+        const bits = await this.derive(password, stored.salt, stored.iterations);
+        return PasswordHasher.constantTimeEqual(bits, CryptoVault.fromBase64(stored.hash));
+    }
+
+    isLegacy(stored) {
+        return typeof stored === 'string';
+    }
+
+    needsRehash(stored) {
+        return this.isLegacy(stored) ||
+            stored.version !== PasswordHasher.VERSION ||
+            stored.iterations < this.iterations;
+    }
+
+    async derive(password, salt, iterations) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(password),
+            'PBKDF2',
+            false,
+            ['deriveBits']
+        );
+
+        const bits = await crypto.subtle.deriveBits(
+            {
+                name: 'PBKDF2',
+                salt: CryptoVault.fromBase64(salt),
+                iterations,
+                hash: 'SHA-256'
+            },
+            baseKey,
+            256
+        );
+
+        return new Uint8Array(bits);
+    }
+
+    // Compares every byte regardless of where the first mismatch is
+    static constantTimeEqual(a, b) {
+        let diff = a.length ^ b.length;
+        const length = Math.max(a.length, b.length);
+        for (let i = 0; i < length; i++) {
+            diff |= (a[i] || 0) ^ (b[i] || 0);
+        }
+        return diff === 0;
+    }
+
+    // The original 32-bit base-36 hash; only used to verify accounts created before salting
+    static legacyHash(password) {
+        let hash = 0;
+        for (let i = 0; i < password.length; i++) {
+            const char = password.charCodeAt(i);
+            hash = ((hash << 5) - hash) + char;
+            hash = hash & hash;
+        }
+        return hash.toString(36);
+    }
+}
+
+PasswordHasher.VERSION = 1;
+PasswordHasher.DEFAULT_ITERATIONS = 310000;
@@ -0,0 +1,236 @@
+// ========================================
+// PASSWORD RULES
+// ========================================
+
+// Parser for the `passwordrules` attribute syntax sites use to publish their
+// constraints, e.g. "minlength: 12; required: upper; required: digit; allowed: [-!];"
+// https://developer.apple.com/password-rules/
+
+const ASCII_PRINTABLE = Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)).join('');
+
+const RULE_CHARACTER_CLASSES = {
+    upper: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    lower: 'abcdefghijklmnopqrstuvwxyz',
+    digit: '0123456789',
+    special: '-~!@#$%^&*_+=`|(){}[:;"\'<>,.? ]',
+    'ascii-printable': ASCII_PRINTABLE,
+    // We only generate ASCII, which is a valid subset of what "unicode" allows
+    unicode: ASCII_PRINTABLE
+};
+
+class PasswordRules {
+    static parse(text) {
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new Error('Password rules are empty');
+        }
+
+        const rules = {
+            required: [],
+            allowed: '',
+            maxConsecutive: null,
+            minLength: null,
+            maxLength: null
+        };
+
+        PasswordRules.split(text, ';').forEach((rule, index) => {
+            const position = `rule ${index + 1} ("${rule}")`;
+            const colon = rule.indexOf(':');
+            if (colon === -1) {
+                throw new Error(`Expected "property: value" in ${position}`);
+            }
+
+            const property = rule.slice(0, colon).trim().toLowerCase();
+            const value = rule.slice(colon + 1).trim();
+
+            switch (property) {
+                case 'required': {
+                    const chars = PasswordRules.parseClasses(value, position);
+                    // A requirement that is already listed adds nothing
+                    if (!rules.required.includes(chars)) rules.required.push(chars);
+                    break;
+                }
+                case 'allowed':
+                    rules.allowed = PasswordRules.union(rules.allowed, PasswordRules.parseClasses(value, position));
+                    break;
+                case 'max-consecutive':
+                    rules.maxConsecutive = PasswordRules.mostRestrictive(
+                        rules.maxConsecutive, PasswordRules.parseInteger(value, property, position), Math.min);
+                    break;
+                case 'minlength':
+                    rules.minLength = PasswordRules.mostRestrictive(
+                        rules.minLength, PasswordRules.parseInteger(value, property, position), Math.max);
+                    break;
+                case 'maxlength':
+                    rules.maxLength = PasswordRules.mostRestrictive(
+                        rules.maxLength, PasswordRules.parseInteger(value, property, position), Math.min);
+                    break;
+                default:
+                    throw new Error(`Unknown property "${property}" in ${position}. ` +
+                        'Expected required, allowed, max-consecutive, minlength or maxlength');
+            }
+        });
+
+        PasswordRules.validate(rules);
+        return rules;
+    }
+
+    static validate(rules) {
+        if (rules.minLength !== null && rules.maxLength !== null && rules.minLength > rules.maxLength) {
+            throw new Error(`minlength (${rules.minLength}) is greater than maxlength (${rules.maxLength})`);
+        }
+
+        if (rules.maxLength !== null && rules.required.length > rules.maxLength) {
+            throw new Error(`${rules.required.length} required character classes don't fit in maxlength ${rules.maxLength}`);
+        }
+
+        const pool = PasswordRules.pool(rules);
+        const shortest = Math.max(rules.minLength || 1, rules.required.length);
+        if (pool.length === 1 && rules.maxConsecutive !== null && rules.maxConsecutive < shortest) {
+            throw new Error(`Only "${pool}" is allowed, so max-consecutive ${rules.maxConsecutive} can't be met`);
+        }
+    }
+
+    // Every character a generated password may use
+    static pool(rules) {
+        const pool = rules.required.reduce((all, chars) => PasswordRules.union(all, chars), rules.allowed);
+        return pool || ASCII_PRINTABLE;
+    }
+
+    // Returns the list of rules the password breaks (empty when it satisfies all of them)
+    static check(password, rules) {
+        const violations = [];
+        const pool = PasswordRules.pool(rules);
+
+        if (rules.minLength !== null && password.length < rules.minLength) {
+            violations.push(`Shorter than ${rules.minLength} characters`);
+        }
+        if (rules.maxLength !== null && password.length > rules.maxLength) {
+            violations.push(`Longer than ${rules.maxLength} characters`);
+        }
+
+        rules.required.forEach(chars => {
+            if (!password.split('').some(char => chars.includes(char))) {
+                violations.push(`Missing a required character from ${PasswordRules.describeClass(chars)}`);
+            }
+        });
+
+        const disallowed = [...new Set(password.split('').filter(char => !pool.includes(char)))];
+        if (disallowed.length) {
+            violations.push(`Uses characters that aren't allowed: ${disallowed.join(' ')}`);
+        }
+
+        if (rules.maxConsecutive !== null) {
+            const run = new RegExp(`(.)\\1{${rules.maxConsecutive}}`).exec(password);
+            if (run) {
+                violations.push(`More than ${rules.maxConsecutive} "${run[1]}" in a row`);
+            }
+        }
+
+        return violations;
+    }
+
+    static describe(rules) {
+        const parts = [];
+
+        if (rules.minLength !== null || rules.maxLength !== null) {
+            if (rules.minLength !== null && rules.maxLength !== null) {
+                parts.push(`${rules.minLength}–${rules.maxLength} chars`);
+            } else if (rules.minLength !== null) {
+                parts.push(`at least ${rules.minLength} chars`);
+            } else {
+                parts.push(`at most ${rules.maxLength} chars`);
+            }
+        }
+
+        if (rules.required.length) {
+            parts.push(`requires ${rules.required.map(chars => PasswordRules.describeClass(chars)).join(', ')}`);
+        }
+        if (rules.allowed) {
+            parts.push(`allows ${PasswordRules.describeClass(PasswordRules.pool(rules))}`);
+        }
+        if (rules.maxConsecutive !== null) {
+            parts.push(`max ${rules.maxConsecutive} in a row`);
+        }
+
+        return parts.join(' · ');
+    }
+
+    static describeClass(chars) {
+        const named = Object.entries(RULE_CHARACTER_CLASSES)
+            .find(([name, set]) => name !== 'unicode' && PasswordRules.union(set, '') === chars);
+        return named ? named[0] : `[${chars}]`;
+    }
+
+    // ---- Parsing helpers ----
+
+    // Splits on a delimiter, ignoring delimiters inside [custom] classes
+    static split(text, delimiter) {
+        const parts = [];
+        let current = '';
+        let inClass = false;
+
+        for (const char of text) {
+            if (char === '[' && !inClass) inClass = true;
+            else if (char === ']' && inClass) inClass = false;
+
+            if (char === delimiter && !inClass) {
+                parts.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+
+        if (inClass) {
+            throw new Error(`Unterminated custom character class in "${text.trim()}"`);
+        }
+
+        parts.push(current);
+        return parts.map(part => part.trim()).filter(Boolean);
+    }
+
+    static parseClasses(value, position) {
+        const names = PasswordRules.split(value, ',');
+        if (names.length === 0) {
+            throw new Error(`Expected at least one character class in ${position}`);
+        }
+
+        return names.reduce((chars, name) => {
+            if (name.startsWith('[')) {
+                if (!name.endsWith(']') || name.length < 3) {
+                    throw new Error(`Malformed custom character class "${name}" in ${position}`);
+                }
+
+                const custom = name.slice(1, -1);
+                const invalid = custom.split('').find(char => !ASCII_PRINTABLE.includes(char));
+                if (invalid) {
+                    throw new Error(`Custom character class "${name}" in ${position} contains a non-printable character`);
+                }
+                return PasswordRules.union(chars, custom);
+            }
+
+            const set = RULE_CHARACTER_CLASSES[name.toLowerCase()];
+            if (!set) {
+                throw new Error(`Unknown character class "${name}" in ${position}. ` +
+                    'Expected upper, lower, digit, special, ascii-printable, unicode or [characters]');
+            }
+            return PasswordRules.union(chars, set);
+        }, '');
+    }
+
+    static parseInteger(value, property, position) {
+        if (!/^\d+$/.test(value) || parseInt(value) < 1) {
+            throw new Error(`${property} must be a positive whole number in ${position}`);
+        }
+        return parseInt(value);
+    }
+
+    static mostRestrictive(current, value, pick) {
+        return current === null ? value : pick(current, value);
+    }
+
+    // Union in canonical ASCII order, so equal sets compare equal as strings
+    static union(a, b) {
+        return [...new Set(a + b)].sort().join('');
+    }
+}
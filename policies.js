@@ -0,0 +1,248 @@
+// ========================================
+// GENERATION POLICIES
+// ========================================
+
+const POLICY_CLASSES = ['uppercase', 'lowercase', 'numbers', 'special'];
+
+const POLICY_CLASS_LABELS = {
+    uppercase: 'uppercase',
+    lowercase: 'lowercase',
+    numbers: 'digits',
+    special: 'symbols'
+};
+
+// How PolicyManager.describe names the first character of a policy with startsWith
+const POLICY_START_LABELS = {
+    uppercase: 'an uppercase letter',
+    lowercase: 'a lowercase letter',
+    numbers: 'a digit',
+    special: 'a symbol'
+};
+
+// Presets everyone gets; saved policies with the same name take precedence
+const BUILT_IN_POLICIES = [
+    {
+        name: 'Maximum Security',
+        minLength: 18,
+        maxLength: 18,
+        classes: {
+            uppercase: { allowed: true, min: 1 },
+            lowercase: { allowed: true, min: 1 },
+            numbers: { allowed: true, min: 1 },
+            special: { allowed: true, min: 1 }
+        },
+        forbiddenChars: '',
+        excludeSimilar: true
+    },
+    {
+        name: 'Bank',
+        minLength: 12,
+        maxLength: 16,
+        classes: {
+            uppercase: { allowed: true, min: 1 },
+            lowercase: { allowed: true, min: 1 },
+            numbers: { allowed: true, min: 1 },
+            special: { allowed: true, min: 1, chars: '!@#' }
+        },
+        forbiddenChars: '',
+        excludeSimilar: false
+    },
+    {
+        name: 'AWS root',
+        minLength: 24,
+        maxLength: 64,
+        classes: {
+            uppercase: { allowed: true, min: 1 },
+            lowercase: { allowed: true, min: 1 },
+            numbers: { allowed: true, min: 1 },
+            special: { allowed: true, min: 1, chars: '!@#$%^&*()_+-=[]{}|' }
+        },
+        forbiddenChars: '',
+        excludeSimilar: false
+    },
+    {
+        // Easy to type on a TV remote or phone keyboard
+        name: 'Wi-Fi',
+        minLength: 20,
+        maxLength: 63,
+        classes: {
+            uppercase: { allowed: true, min: 1 },
+            lowercase: { allowed: true, min: 1 },
+            numbers: { allowed: true, min: 2 },
+            special: { allowed: false, min: 0 }
+        },
+        forbiddenChars: '',
+        excludeSimilar: true
+    }
+];
+
+class PolicyManager {
+    // Fills in defaults so partially written policy files still load
+    static normalize(input) {
+        if (!input || typeof input !== 'object') {
+            throw new Error('Policy must be an object');
+        }
+
+        const classes = {};
+        POLICY_CLASSES.forEach(name => {
+            const rule = (input.classes && input.classes[name]) || {};
+            classes[name] = {
+                allowed: rule.allowed !== false,
+                min: parseInt(rule.min) || 0
+            };
+            if (typeof rule.chars === 'string' && rule.chars) {
+                classes[name].chars = rule.chars;
+            }
+        });
+
+        const policy = {
+            name: String(input.name || '').trim(),
+            minLength: parseInt(input.minLength),
+            maxLength: parseInt(input.maxLength),
+            classes,
+            forbiddenChars: String(input.forbiddenChars || ''),
+            excludeSimilar: Boolean(input.excludeSimilar)
+        };
+
+        // The classes the first character may come from; left out when it can be anything
+        const startsWith = Array.isArray(input.startsWith)
+            ? POLICY_CLASSES.filter(name => input.startsWith.includes(name))
+            : [];
+        if (startsWith.length) {
+            policy.startsWith = startsWith;
+        }
+
+        return policy;
+    }
+
+    static create(input) {
+        const policy = PolicyManager.normalize(input);
+        PolicyManager.validate(policy);
+        return policy;
+    }
+
+    static validate(policy) {
+        if (!policy.name) {
+            throw new Error('Policy needs a name');
+        }
+
+        if (!Number.isInteger(policy.minLength) || !Number.isInteger(policy.maxLength)) {
+            throw new Error(`Policy "${policy.name}": minimum and maximum length are required`);
+        }
+
+        if (policy.minLength < 4 || policy.maxLength > 128 || policy.minLength > policy.maxLength) {
+            throw new Error(`Policy "${policy.name}": length must be between 4 and 128, with minimum ≤ maximum`);
+        }
+
+        const allowed = POLICY_CLASSES.filter(name => policy.classes[name].allowed);
+        if (allowed.length === 0) {
+            throw new Error(`Policy "${policy.name}": at least one character type must be allowed`);
+        }
+
+        POLICY_CLASSES.forEach(name => {
+            const rule = policy.classes[name];
+            if (rule.min < 0) {
+                throw new Error(`Policy "${policy.name}": required ${POLICY_CLASS_LABELS[name]} cannot be negative`);
+            }
+            if (rule.min > 0 && !rule.allowed) {
+                throw new Error(`Policy "${policy.name}": ${POLICY_CLASS_LABELS[name]} are required but not allowed`);
+            }
+        });
+
+        if (policy.startsWith && !policy.startsWith.some(name => policy.classes[name].allowed)) {
+            throw new Error(`Policy "${policy.name}": must start with ${PolicyManager.describeStart(policy.startsWith)}, ` +
+                'but those characters aren\'t allowed');
+        }
+
+        const required = PolicyManager.requiredLength(policy);
+        if (required > policy.maxLength) {
+            throw new Error(`Policy "${policy.name}": requires ${required} characters but allows at most ${policy.maxLength}`);
+        }
+    }
+
+    // How many characters the minimums take up. The generator takes the first character from a class
+    // with a minimum when the minimums fill the password, so it only needs a place of its own when none
+    // of the classes it may come from has one.
+    static requiredLength(policy) {
+        const startsOutsideMinimums = policy.startsWith && policy.startsWith.every(name => policy.classes[name].min === 0);
+        return POLICY_CLASSES.reduce((sum, name) => sum + policy.classes[name].min, startsOutsideMinimums ? 1 : 0);
+    }
+
+    static fromOptions(name, options) {
+        const length = parseInt(options.length) || 16;
+        const rule = enabled => ({ allowed: Boolean(enabled), min: enabled ? 1 : 0 });
+
+        return PolicyManager.normalize({
+            name,
+            minLength: length,
+            maxLength: length,
+            classes: {
+                uppercase: rule(options.includeUppercase),
+                lowercase: rule(options.includeLowercase),
+                numbers: rule(options.includeNumbers),
+                special: rule(options.includeSpecial)
+            },
+            forbiddenChars: '',
+            excludeSimilar: options.excludeSimilar
+        });
+    }
+
+    static describe(policy) {
+        const length = policy.minLength === policy.maxLength
+            ? `${policy.maxLength} chars`
+            : `${policy.minLength}–${policy.maxLength} chars`;
+
+        const classes = POLICY_CLASSES
+            .filter(name => policy.classes[name].allowed)
+            .map(name => {
+                const rule = policy.classes[name];
+                const label = rule.chars ? `${POLICY_CLASS_LABELS[name]} (${rule.chars})` : POLICY_CLASS_LABELS[name];
+                return rule.min > 1 ? `${rule.min}+ ${label}` : label;
+            });
+
+        const parts = [length, classes.join(', ')];
+        if (policy.forbiddenChars) {
+            // A forbidden space would otherwise be invisible
+            const visible = policy.forbiddenChars.replace(/ /g, '');
+            const spaces = visible.length < policy.forbiddenChars.length ? 'spaces' : '';
+            parts.push(`never ${[visible, spaces].filter(Boolean).join(' or ')}`);
+        }
+        if (policy.excludeSimilar) parts.push('no look-alikes');
+        if (policy.startsWith) parts.push(`starts with ${PolicyManager.describeStart(policy.startsWith)}`);
+        return parts.join(' · ');
+    }
+
+    static describeStart(classes) {
+        const letters = classes.includes('uppercase') && classes.includes('lowercase');
+        const labels = classes
+            .filter(name => !(letters && (name === 'uppercase' || name === 'lowercase')))
+            .map(name => POLICY_START_LABELS[name]);
+        return (letters ? ['a letter', ...labels] : labels).join(' or ');
+    }
+
+    static serialize(policies) {
+        return JSON.stringify({
+            format: 'securepass-policies',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            policies
+        }, null, 2);
+    }
+
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Policy file is not valid JSON');
+        }
+
+        if (!data || typeof data !== 'object') {
+            throw new Error('Policy file must hold a policy or a list of policies');
+        }
+
+        // Accept our export format, a bare array, or a single policy object
+        const list = Array.isArray(data) ? data : (Array.isArray(data.policies) ? data.policies : [data]);
+        return list.map(policy => PolicyManager.create(policy));
+    }
+}
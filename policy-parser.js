@@ -0,0 +1,443 @@
+// ========================================
+// POLICY DESCRIPTIONS
+// ========================================
+
+// Turns requirements written in plain English into a generation policy, e.g.
+// "14 to 18 characters, at least 2 digits, no quotes or backslashes, must start
+// with a letter". It's a fixed list of patterns, run in the page: nothing is
+// sent anywhere. Every pattern that matches takes its phrase out of the text,
+// and whatever is left over that isn't a filler word is reported back, so the
+// user can see exactly which parts of the description were ignored.
+class PolicyParser {
+    // Returns { policy, understood, unparsed }: understood lists the phrases that
+    // shaped the policy as { phrase, meaning }, and unparsed the phrases that
+    // didn't, both in the order they appear. Throws when the policy is impossible.
+    static parse(text) {
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new Error('Describe the password you need');
+        }
+
+        const state = {
+            minLength: null,
+            maxLength: null,
+            allowed: {},
+            min: {},
+            specialChars: '',
+            forbiddenChars: '',
+            excludeSimilar: false,
+            startsWith: null,
+            notStartsWith: []
+        };
+        const understood = [];
+        const unsupported = [];
+
+        // Matched phrases are blanked out with a character no pattern accepts, keeping
+        // every offset in `rest` the same as in the original text
+        let rest = text;
+        PolicyParser.matchers().forEach(({ pattern, apply }) => {
+            rest = rest.replace(pattern, (phrase, ...args) => {
+                const index = args[args.length - 2];
+                const meaning = apply(state, ...args.slice(0, -2));
+                (meaning ? understood : unsupported).push({ index, phrase: phrase.trim(), meaning });
+                return PolicyParser.BLANK.repeat(phrase.length);
+            });
+        });
+
+        const unparsed = [...unsupported, ...PolicyParser.leftovers(rest, text)]
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.phrase);
+
+        return {
+            policy: PolicyManager.create(PolicyParser.toPolicy(state)),
+            understood: understood
+                .sort((a, b) => a.index - b.index)
+                .map(({ phrase, meaning }) => ({ phrase, meaning })),
+            unparsed
+        };
+    }
+
+    static toPolicy(state) {
+        const classes = {};
+        POLICY_CLASSES.forEach(name => {
+            const allowed = state.allowed[name] !== false;
+            // Like the generator's checkboxes, every allowed class appears at least once unless told otherwise
+            const min = state.min[name] === undefined ? (allowed ? 1 : 0) : state.min[name];
+            classes[name] = { allowed, min };
+        });
+        if (state.specialChars) {
+            classes.special.chars = state.specialChars;
+        }
+
+        // "Mustn't start with a digit" leaves whatever else the password may contain
+        let startsWith = (state.startsWith || (state.notStartsWith.length ? POLICY_CLASSES : []))
+            .filter(name => !state.notStartsWith.includes(name));
+        if ((state.startsWith || state.notStartsWith.length) && startsWith.length === 0) {
+            throw new Error('The description rules out every character the password could start with');
+        }
+        // Classes forbidden elsewhere drop out, unless none would be left; PolicyManager reports that
+        const possible = startsWith.filter(name => classes[name].allowed);
+        if (possible.length) startsWith = possible;
+
+        let { minLength, maxLength } = state;
+        if (minLength === null) {
+            minLength = maxLength === null
+                ? PolicyParser.DEFAULT_MIN_LENGTH
+                : Math.min(PolicyParser.DEFAULT_MIN_LENGTH, maxLength);
+        }
+        if (maxLength === null) {
+            maxLength = Math.max(PolicyParser.DEFAULT_MAX_LENGTH, minLength);
+        }
+
+        return {
+            name: PolicyParser.POLICY_NAME,
+            minLength,
+            maxLength,
+            classes,
+            forbiddenChars: state.forbiddenChars,
+            excludeSimilar: state.excludeSimilar,
+            startsWith
+        };
+    }
+
+    // The stretches of text no pattern matched, unless they're only filler words and the
+    // punctuation that joins clauses. Any other character, such as a symbol a list
+    // pattern didn't take, is reported.
+    static leftovers(rest, text) {
+        const found = [];
+        const segment = new RegExp(`[^${PolicyParser.BLANK},;.\\n]+`, 'g');
+        let match;
+
+        while ((match = segment.exec(rest)) !== null) {
+            const meaningful = match[0].split(/\s+/)
+                .map(word => word.replace(PolicyParser.JOINING_PUNCTUATION, '').toLowerCase())
+                .filter(word => word && !PolicyParser.FILLER_WORDS.includes(word));
+            if (meaningful.length === 0) continue;
+
+            const raw = text.slice(match.index, match.index + match[0].length);
+            const phrase = raw
+                .replace(PolicyParser.EDGE_CONNECTORS, '')
+                .replace(/^[\s"'“”]+|[\s!?:"'“”]+$/g, '');
+            found.push({ index: match.index, phrase: phrase || raw.trim() });
+        }
+
+        return found;
+    }
+
+    // ---- Patterns ----
+
+    // Built once: the order matters, since a phrase taken by an earlier pattern
+    // is no longer there for a later, looser one
+    static matchers() {
+        if (PolicyParser.cachedMatchers) return PolicyParser.cachedMatchers;
+
+        const number = `(\\d+|${Object.keys(PolicyParser.NUMBER_WORDS).join('|')})`;
+        const count = `(\\d+|${Object.keys(PolicyParser.NUMBER_WORDS).join('|')}|a single|an?)`;
+        const unit = '(?:characters?|chars?)(?:\\s+(?:long|in length))?';
+        const range = `(?:between\\s+|from\\s+)?${number}\\s*(?:to|-|–|—|and)\\s*${number}`;
+        const lengthIs = '(?:password\\s+)?length\\s*(?:of|:|=|is|must be|should be)?\\s*';
+        const classWord = `(?:${PolicyParser.CLASS_WORDS.map(word => word.pattern).join('|')})`;
+        const classList = `(${classWord}(?:\\s*(?:,\\s*(?:and\\s+)?|and\\s+|[&+]\\s*)${classWord})*)`;
+        // A list of start classes needs its "or", so "a letter, digits required" stops at the comma
+        const choice = `(?:an?\\s+)?${classWord}`;
+        const classChoice = `(${choice}(?:(?:\\s*,\\s*${choice})*\\s*,?\\s+or\\s+${choice})?)`;
+        const charItem = `(?:${PolicyParser.CHARACTER_ITEM})`;
+        const item = `(?:${PolicyParser.QUOTED}|${classWord}|${charItem})`;
+        const itemList = `(${item}(?:${PolicyParser.CONNECTOR}${item})*)`;
+        const charList = `(${charItem}(?:${PolicyParser.CONNECTOR}${charItem})*)`;
+        const symbols = '(?:symbols?|special\\s+(?:characters?|chars?))';
+        const negated = "(?:must not|mustn't|can(?:not|'t| not)|should(?:n't| not)|may not|(?:do|does)(?:n't| not)|never)";
+        const forbidVerb = `(?:no|without|never|avoid(?:ing)?|exclud(?:e|es|ing)|disallow|forbid|${negated}\\s+(?:contain|include|use|have))`;
+
+        const n = PolicyParser.parseNumber;
+        const setLength = (state, min, max) => {
+            if (min !== null) state.minLength = Math.max(state.minLength || 0, min);
+            if (max !== null) state.maxLength = state.maxLength === null ? max : Math.min(state.maxLength, max);
+        };
+        const atLeast = (state, amount, classes) => {
+            const name = PolicyParser.countedClass(classes);
+            state.min[name] = Math.max(state.min[name] || 0, amount);
+            return name;
+        };
+        const forbid = (state, list) => {
+            const { classes, chars } = PolicyParser.items(list);
+            classes.forEach(name => {
+                state.allowed[name] = false;
+                state.min[name] = 0;
+            });
+            state.forbiddenChars = PasswordRules.union(state.forbiddenChars, chars);
+            return 'no ' + [
+                classes.length ? PolicyParser.nouns(classes).join(' or ') : '',
+                chars ? PolicyParser.describeChars(chars) : ''
+            ].filter(Boolean).join(', ');
+        };
+        const startWith = (state, list) => {
+            state.startsWith = PolicyParser.classesIn(list);
+            return `starts with ${PolicyManager.describeStart(state.startsWith)}`;
+        };
+        const notStartWith = (state, list) => {
+            const classes = PolicyParser.classesIn(list);
+            state.notStartsWith = [...new Set([...state.notStartsWith, ...classes])];
+            return `doesn't start with ${PolicyManager.describeStart(classes)}`;
+        };
+        const limitSymbols = (state, list) => {
+            state.specialChars = PasswordRules.union(state.specialChars, PolicyParser.items(list).chars);
+            return `symbols limited to ${PolicyParser.describeChars(state.specialChars)}`;
+        };
+        const only = (state, list) => {
+            const classes = PolicyParser.classesIn(list);
+            POLICY_CLASSES.forEach(name => {
+                state.allowed[name] = classes.includes(name);
+                if (!classes.includes(name)) state.min[name] = 0;
+            });
+            return `only ${PolicyParser.nouns(classes).join(', ')}`;
+        };
+        // Factories, since "more than 8" and "fewer than 8" are off by one from the number they name
+        const lengthAtLeast = (offset = 0) => (state, value) => {
+            setLength(state, n(value) + offset, null);
+            return `at least ${n(value) + offset} characters`;
+        };
+        const lengthAtMost = (offset = 0) => (state, value) => {
+            setLength(state, null, n(value) + offset);
+            return `at most ${n(value) + offset} characters`;
+        };
+        const exactLength = (state, value) => {
+            setLength(state, n(value), n(value));
+            return `exactly ${n(value)} characters`;
+        };
+        const lengthRange = (state, from, to) => {
+            const [min, max] = [n(from), n(to)].sort((a, b) => a - b);
+            setLength(state, min, max);
+            return `${min}–${max} characters`;
+        };
+        const requireAll = (state, list) => {
+            const classes = PolicyParser.requiredClasses(list);
+            classes.forEach(name => atLeast(state, 1, [name]));
+            return `requires ${PolicyParser.nouns(classes).join(', ')}`;
+        };
+
+        const matchers = [
+            // What the first character may be
+            [`\\b${negated}\\s+(?:start|begin)\\s+with\\s+${classChoice}`, notStartWith],
+            [`\\bfirst\\s+(?:character|char)\\s+${negated}\\s+be\\s+${classChoice}`, notStartWith],
+            [`\\b(?:(?:must|should|has to|needs? to)\\s+)?(?:start(?:s|ing)?|begin(?:s|ning)?)\\s+with\\s+${classChoice}`, startWith],
+            [`\\bfirst\\s+(?:character|char)\\s+(?:must be|should be|has to be|is)\\s+${classChoice}`, startWith],
+
+            // Look-alikes
+            [`\\b(?:no|without|avoid(?:ing)?|exclud(?:e|es|ing)|never use)\\s+(?:any\\s+)?` +
+                '(?:ambiguous|similar|look[\\s-]?alikes?|confusable|easily confused)' +
+                '(?:[\\s-]+looking)?(?:\\s+(?:characters?|chars?|letters?))?', state => {
+                state.excludeSimilar = true;
+                return 'no look-alikes';
+            }],
+
+            // Which symbols may be used
+            [`\\b${symbols}\\s+(?:are\\s+|must be\\s+)?(?:limited to|restricted to|only|one of|from)\\s*:?\\s*${charList}`, limitSymbols],
+            [`\\b(?:only|allowed)\\s+${symbols}\\s*(?:are\\s*)?:?\\s*${charList}`, limitSymbols],
+            [`\\bonly\\s+${charList}\\s+(?:as|for)\\s+${symbols}`, limitSymbols],
+
+            // Which classes may be used at all
+            [`\\b(?:only|just|nothing but)\\s+${classList}(?:\\s+(?:allowed|permitted))?`, only],
+            [`\\b${classList}\\s+only\\b`, only],
+            [`\\b${forbidVerb}\\s+(?:any\\s+|the\\s+)?${itemList}`, forbid],
+            [`\\b${itemList}\\s+(?:are\\s+|is\\s+)?(?:not allowed|not permitted|forbidden|prohibited|disallowed|banned)`, forbid],
+
+            // Length
+            [`\\b${range}\\s*${unit}`, lengthRange],
+            [`\\b${lengthIs}${range}(?:\\s*${unit})?`, lengthRange],
+            [`\\b(?:at least|minimum(?: of)?|min\\.?|no (?:fewer|less) than|not (?:fewer|less) than)\\s*${number}\\s*${unit}`, lengthAtLeast()],
+            [`\\b${number}\\s*(?:(?:\\+|or more)\\s*${unit}|${unit}\\s*(?:or more|minimum|min\\.?|at least))`, lengthAtLeast()],
+            [`\\b(?:min(?:imum)?\\.?\\s+length|length\\s+(?:of\\s+)?at least)\\s*(?:of|:|=|is)?\\s*${number}(?:\\s*${unit})?`, lengthAtLeast()],
+            [`\\b(?:at most|maximum(?: of)?|max\\.?|no more than|not more than|up to)\\s*${number}\\s*${unit}`, lengthAtMost()],
+            [`\\b${number}\\s*${unit}\\s*(?:or (?:fewer|less)|max(?:imum)?\\.?|at most)`, lengthAtMost()],
+            [`\\b(?:max(?:imum)?\\.?\\s+length|length\\s+(?:of\\s+)?at most)\\s*(?:of|:|=|is)?\\s*${number}(?:\\s*${unit})?`, lengthAtMost()],
+            // After "no more than", which it would otherwise take half of
+            [`\\b(?:more than|over|longer than)\\s*${number}\\s*${unit}`, lengthAtLeast(1)],
+            [`\\b(?:fewer than|less than|under|shorter than)\\s*${number}\\s*${unit}`, lengthAtMost(-1)],
+            [`\\b(?:exactly\\s+)?${number}[\\s-]*${unit}`, exactLength],
+            [`\\b${lengthIs}(?:exactly\\s+)?${number}`, exactLength],
+
+            // How many of each class. Policies have no upper limit per class, so those are reported as not understood
+            [`\\b(?:at most|no more than|not more than|up to|maximum(?: of)?|max\\.?|fewer than|less than)\\s*${count}\\s+${classWord}`, () => null],
+            [`\\b(?:(?:at least|minimum(?: of)?|min\\.?|no (?:fewer|less) than)\\s*)?${count}\\s*(?:\\+|or more)?\\s*(${classWord})`, (state, amount, word) => {
+                const name = atLeast(state, n(amount), PolicyParser.classesIn(word));
+                return `at least ${n(amount)} ${PolicyParser.nouns([name], n(amount))[0]}`;
+            }],
+            [`\\b(?:contains?|containing|includes?|including|ha(?:s|ve|ving)|uses?|using|with|requires?|needs?|(?:a )?mix of)\\s*:?\\s+` +
+                `(?:(?:some|both)\\s+)?${classList}`, requireAll],
+            [`\\b${classList}\\s+(?:are\\s+|is\\s+)?(?:required|mandatory|needed)`, requireAll],
+            [`\\b${classList}\\s+(?:are\\s+|is\\s+)?(allowed|permitted|ok|okay|fine|optional)\\b`, (state, list, how) => {
+                const classes = PolicyParser.classesIn(list);
+                classes.forEach(name => {
+                    state.allowed[name] = true;
+                    if (how.toLowerCase() === 'optional') state.min[name] = 0;
+                });
+                return `${how.toLowerCase() === 'optional' ? 'optional' : 'allows'} ${PolicyParser.nouns(classes).join(', ')}`;
+            }]
+        ];
+
+        PolicyParser.cachedMatchers = matchers.map(([source, apply]) => ({ pattern: new RegExp(source, 'gi'), apply }));
+        return PolicyParser.cachedMatchers;
+    }
+
+    // ---- Reading matched phrases ----
+
+    static parseNumber(text) {
+        const word = text.toLowerCase();
+        if (/^\d+$/.test(word)) return parseInt(word, 10);
+        if (word === 'a' || word === 'an' || word === 'a single') return 1;
+        return PolicyParser.NUMBER_WORDS[word];
+    }
+
+    // Every class a list of class words names, in canonical order
+    static classesIn(text) {
+        const named = new Set();
+        const pattern = new RegExp(PolicyParser.CLASS_WORDS.map(word => `(${word.pattern})`).join('|'), 'gi');
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const index = match.slice(1).findIndex(group => group !== undefined);
+            PolicyParser.CLASS_WORDS[index].classes.forEach(name => named.add(name));
+        }
+        return POLICY_CLASSES.filter(name => named.has(name));
+    }
+
+    // "Letters" is satisfied by either case, so it only needs one of them; "mixed case" needs both
+    static requiredClasses(text) {
+        const required = new Set();
+        PolicyParser.splitWords(text).forEach(word => {
+            const classes = PolicyParser.classesIn(word);
+            const either = PolicyParser.CLASS_WORDS.find(entry => new RegExp(`^(?:${entry.pattern})$`, 'i').test(word)).either;
+            (either ? [PolicyParser.countedClass(classes)] : classes).forEach(name => required.add(name));
+        });
+        return POLICY_CLASSES.filter(name => required.has(name));
+    }
+
+    static splitWords(text) {
+        const pattern = new RegExp(PolicyParser.CLASS_WORDS.map(word => word.pattern).join('|'), 'gi');
+        return text.match(pattern) || [];
+    }
+
+    // A count of "letters" or "alphanumerics" goes to lowercase, which always satisfies it
+    static countedClass(classes) {
+        return classes.length > 1 && classes.includes('lowercase') ? 'lowercase' : classes[0];
+    }
+
+    // Splits a list of class words, character names and literal characters
+    static items(text) {
+        const item = new RegExp(`(?:^\\s*|${PolicyParser.CONNECTOR})` +
+            `(${PolicyParser.QUOTED}|(?:${PolicyParser.CLASS_WORDS.map(word => word.pattern).join('|')})|(?:${PolicyParser.CHARACTER_ITEM}))`, 'gi');
+        const classes = new Set();
+        let chars = '';
+        let match;
+
+        while ((match = item.exec(text)) !== null) {
+            const value = match[1];
+            const quoted = /^(["'“])(.+)["'”]$/.exec(value);
+            const named = PolicyParser.CHARACTER_NAMES.find(([pattern]) => new RegExp(`^(?:${pattern})$`, 'i').test(value));
+
+            if (quoted) {
+                chars += quoted[2];
+            } else if (named) {
+                chars += named[1];
+            } else if (PolicyParser.classesIn(value).length) {
+                PolicyParser.classesIn(value).forEach(name => classes.add(name));
+            } else {
+                chars += value.replace(/\s+/g, '');
+            }
+        }
+
+        return { classes: POLICY_CLASSES.filter(name => classes.has(name)), chars: PasswordRules.union(chars, '') };
+    }
+
+    static nouns(classes, amount = 2) {
+        return classes.map(name => PolicyParser.CLASS_NOUNS[name][amount === 1 ? 0 : 1]);
+    }
+
+    static describeChars(chars) {
+        return [...chars].map(char => (char === ' ' ? 'spaces' : char)).join(' ');
+    }
+}
+
+PolicyParser.POLICY_NAME = 'Description';
+PolicyParser.DEFAULT_MIN_LENGTH = 8;
+PolicyParser.DEFAULT_MAX_LENGTH = 64;
+// Stands in for matched phrases; no pattern accepts it
+PolicyParser.BLANK = '\u0000';
+
+PolicyParser.NUMBER_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+    nine: 9, ten: 10, eleven: 11, twelve: 12, fifteen: 15, sixteen: 16, twenty: 20
+};
+
+// Checked in order, so longer names come before the shorter ones inside them.
+// `either` marks words any one of whose classes will do
+PolicyParser.CLASS_WORDS = [
+    { pattern: '(?:non[\\s-]?alphanumeric|special)(?:\\s+(?:characters?|chars?))?|symbols?|punctuation(?:\\s+marks?)?', classes: ['special'] },
+    { pattern: 'alphanumerics?(?:\\s+(?:characters?|chars?))?', classes: ['uppercase', 'lowercase', 'numbers'], either: true },
+    { pattern: '(?:upper[\\s-]?case|capital)(?:\\s+(?:letters?|characters?|chars?))?|capitals', classes: ['uppercase'] },
+    { pattern: 'lower[\\s-]?case(?:\\s+(?:letters?|characters?|chars?))?|small\\s+letters?', classes: ['lowercase'] },
+    { pattern: 'mixed[\\s-]?case(?:\\s+letters?)?|both\\s+cases', classes: ['uppercase', 'lowercase'] },
+    { pattern: '(?:digits?|numbers?|numerals?|numeric)(?:\\s+(?:characters?|chars?))?', classes: ['numbers'] },
+    { pattern: 'letters?|alphabetic(?:\\s+(?:characters?|chars?))?', classes: ['uppercase', 'lowercase'], either: true }
+].map(word => ({ ...word, pattern: `\\b(?:${word.pattern})\\b` }));
+
+PolicyParser.CLASS_NOUNS = {
+    uppercase: ['uppercase letter', 'uppercase letters'],
+    lowercase: ['lowercase letter', 'lowercase letters'],
+    numbers: ['digit', 'digits'],
+    special: ['symbol', 'symbols']
+};
+
+// Names people use for single characters or small groups of them
+PolicyParser.CHARACTER_NAMES = [
+    ['double\\s+quot(?:es?|ation\\s+marks?)', '"'],
+    ['single\\s+quot(?:es?|ation\\s+marks?)|apostrophes?', '\''],
+    ['quot(?:es?|ation\\s+marks?)', '\'"'],
+    ['backticks?|back\\s?quotes?|grave\\s+accents?', '`'],
+    ['back\\s?slash(?:es)?', '\\'],
+    ['(?:forward\\s+)?slash(?:es)?', '/'],
+    ['spaces?|whitespace|blanks?', ' '],
+    ['square\\s+brackets?', '[]'],
+    ['curly\\s+(?:brackets?|braces?)|braces?', '{}'],
+    ['angle\\s+brackets?', '<>'],
+    ['parenthes[ei]s|parens?|round\\s+brackets?', '()'],
+    ['brackets?', '()[]{}<>'],
+    ['ampersands?', '&'],
+    ['dollar(?:\\s+signs?|s)?', '$'],
+    ['percent(?:age)?(?:\\s+signs?)?', '%'],
+    ['hash(?:es|\\s+signs?)?|pound\\s+signs?|hashtags?', '#'],
+    ['at\\s+signs?', '@'],
+    ['exclamation\\s+(?:marks?|points?)', '!'],
+    ['question\\s+marks?', '?'],
+    ['asterisks?|stars?', '*'],
+    ['underscores?', '_'],
+    ['hyphens?|dashes?|minus(?:\\s+signs?)?', '-'],
+    ['plus(?:es|\\s+signs?)?', '+'],
+    ['equals?(?:\\s+signs?)?', '='],
+    ['pipes?|vertical\\s+bars?', '|'],
+    ['tildes?', '~'],
+    ['carets?', '^'],
+    ['semicolons?', ';'],
+    ['colons?', ':'],
+    ['commas?', ','],
+    ['periods?|dots?|full\\s+stops?', '.']
+];
+
+// A named character, or literal ones written together or apart, such as !@# or ! @ #
+// (a sentence's closing period isn't one of them)
+PolicyParser.LITERAL_CHARACTERS = `[^\\sA-Za-z0-9${PolicyParser.BLANK}]+?(?=[.,;]?(?:\\s|$))`;
+PolicyParser.CHARACTER_ITEM = `\\b(?:${PolicyParser.CHARACTER_NAMES.map(([pattern]) => pattern).join('|')})\\b` +
+    `|${PolicyParser.LITERAL_CHARACTERS}(?:[ \\t]+${PolicyParser.LITERAL_CHARACTERS})*`;
+PolicyParser.QUOTED = '"[^"\\n]+"|\'[^\'\\n]+\'|“[^”\\n]+”';
+PolicyParser.CONNECTOR = '\\s*(?:,\\s*(?:(?:or|and|nor)\\s+)?|(?:or|and|nor)\\s+|&\\s*)';
+
+// Words that carry no requirement of their own when nothing else is left around them
+PolicyParser.FILLER_WORDS = [
+    'a', 'an', 'and', 'also', 'any', 'are', 'be', 'both', 'but', 'can', 'contain', 'contains', 'have',
+    'has', 'i', 'include', 'includes', 'is', 'it', 'its', 'must', 'my', 'need', 'needs', 'or', 'password',
+    'passwords', 'please', 'plus', 'should', 'the', 'then', 'to', 'use', 'uses', 'want', 'will', 'with'
+];
+// Stripped from the ends of leftover words; they join or wrap clauses but ask for nothing
+PolicyParser.JOINING_PUNCTUATION = /^[-–—:()"'“”]+|[-–—:()"'“”]+$/g;
+PolicyParser.EDGE_CONNECTORS = /^(?:\s*\b(?:and|or|but|also|plus|then|nor)\b)+|(?:\b(?:and|or|but|also|plus|then|nor)\b\s*)+$/gi;
+PolicyParser.cachedMatchers = null;
@@ -0,0 +1,366 @@
+// ========================================
+// QR CODE
+// ========================================
+
+// Minimal QR encoder (ISO/IEC 18004) for showing otpauth:// URIs without a
+// network round trip. Byte mode and error correction level M only, which
+// covers any URI an authenticator app will accept.
+class QrCode {
+    // Returns { size, modules } where modules[y][x] is true for a dark module
+    static encode(text) {
+        const data = new TextEncoder().encode(text);
+        const version = QrCode.chooseVersion(data.length);
+        const codewords = QrCode.addErrorCorrection(QrCode.encodeData(data, version), version);
+
+        const qr = new QrCode(version);
+        qr.drawFunctionPatterns();
+        qr.drawCodewords(codewords);
+
+        // Keep the mask that leaves the fewest scanner-confusing patterns
+        let best = null;
+        for (let mask = 0; mask < 8; mask++) {
+            qr.applyMask(mask);
+            qr.drawFormatBits(mask);
+            const penalty = qr.penalty();
+            if (!best || penalty < best.penalty) {
+                best = { mask, penalty };
+            }
+            qr.applyMask(mask);
+        }
+
+        qr.applyMask(best.mask);
+        qr.drawFormatBits(best.mask);
+        return { size: qr.size, modules: qr.modules };
+    }
+
+    // Scalable markup with a light border of `margin` modules, as the spec requires for scanning
+    static toSvg({ size, modules }, margin = 4) {
+        const extent = size + margin * 2;
+        let path = '';
+        modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (dark) path += `M${x + margin},${y + margin}h1v1h-1z`;
+        }));
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${extent} ${extent}" ` +
+            `shape-rendering="crispEdges" role="img"><rect width="100%" height="100%" fill="#fff"/>` +
+            `<path d="${path}" fill="#000"/></svg>`;
+    }
+
+    static chooseVersion(length) {
+        for (let version = 1; version <= 40; version++) {
+            const countBits = version < 10 ? 8 : 16;
+            if (4 + countBits + length * 8 <= QrCode.dataCodewords(version) * 8) {
+                return version;
+            }
+        }
+        throw new Error('Text is too long for a QR code');
+    }
+
+    static encodeData(data, version) {
+        const bits = [];
+        const push = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        push(0b0100, 4);
+        push(data.length, version < 10 ? 8 : 16);
+        data.forEach(byte => push(byte, 8));
+
+        const capacity = QrCode.dataCodewords(version) * 8;
+        push(0, Math.min(4, capacity - bits.length));
+        push(0, (8 - bits.length % 8) % 8);
+
+        const bytes = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            bytes.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        for (let pad = 0xec; bytes.length < capacity / 8; pad ^= 0xec ^ 0x11) {
+            bytes.push(pad);
+        }
+
+        return bytes;
+    }
+
+    // Splits data into blocks, appends Reed-Solomon codewords to each and interleaves them
+    static addErrorCorrection(data, version) {
+        const numBlocks = QrCode.ERROR_CORRECTION_BLOCKS[version];
+        const eccLength = QrCode.ECC_CODEWORDS_PER_BLOCK[version];
+        const rawCodewords = Math.floor(QrCode.rawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+        const divisor = QrCode.reedSolomonDivisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < numBlocks; i++) {
+            const length = shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1);
+            const block = data.slice(offset, offset + length);
+            offset += length;
+            const ecc = QrCode.reedSolomonRemainder(block, divisor);
+            // Short blocks get a placeholder so every block lines up when interleaving
+            if (i < numShortBlocks) block.push(0);
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLength - eccLength || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+
+        return result;
+    }
+
+    static reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = QrCode.gfMultiply(result[j], root);
+                if (j + 1 < degree) result[j] ^= result[j + 1];
+            }
+            root = QrCode.gfMultiply(root, 0x02);
+        }
+
+        return result;
+    }
+
+    static reedSolomonRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= QrCode.gfMultiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+    static gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11d);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    static rawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    static dataCodewords(version) {
+        return Math.floor(QrCode.rawDataModules(version) / 8) -
+            QrCode.ECC_CODEWORDS_PER_BLOCK[version] * QrCode.ERROR_CORRECTION_BLOCKS[version];
+    }
+
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    setFunctionModule(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        for (let i = 0; i < this.size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        this.drawFinderPattern(3, 3);
+        this.drawFinderPattern(this.size - 4, 3);
+        this.drawFinderPattern(3, this.size - 4);
+
+        const positions = this.alignmentPositions();
+        const last = positions.length - 1;
+        positions.forEach((x, i) => positions.forEach((y, j) => {
+            // The three corners already hold finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            this.drawAlignmentPattern(x, y);
+        }));
+
+        // Reserve the format areas now; the real bits are drawn once the mask is known
+        this.drawFormatBits(0);
+        this.drawVersionBits();
+    }
+
+    drawFinderPattern(cx, cy) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || x >= this.size || y < 0 || y >= this.size) continue;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                this.setFunctionModule(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    }
+
+    drawAlignmentPattern(cx, cy) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunctionModule(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    alignmentPositions() {
+        if (this.version === 1) return [];
+
+        const numAlign = Math.floor(this.version / 7) + 2;
+        const step = this.version === 32 ? 26
+            : Math.ceil((this.version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+        const positions = [6];
+        for (let position = this.size - 7; positions.length < numAlign; position -= step) {
+            positions.splice(1, 0, position);
+        }
+        return positions;
+    }
+
+    drawFormatBits(mask) {
+        // Level M is 00, followed by the mask number and a BCH(15,5) code
+        const data = mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) === 1;
+
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, bit(i));
+        this.setFunctionModule(8, 7, bit(6));
+        this.setFunctionModule(8, 8, bit(7));
+        this.setFunctionModule(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunctionModule(this.size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(8, this.size - 15 + i, bit(i));
+        this.setFunctionModule(8, this.size - 8, true);
+    }
+
+    drawVersionBits() {
+        if (this.version < 7) return;
+
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        }
+        const bits = (this.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(a, b, dark);
+            this.setFunctionModule(b, a, dark);
+        }
+    }
+
+    // Places bits in two-module columns, zigzagging up and down from the bottom right
+    drawCodewords(codewords) {
+        let i = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < this.size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vertical : vertical;
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    // XOR is its own inverse, so applying a mask twice removes it again
+    applyMask(mask) {
+        const condition = QrCode.MASKS[mask];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && condition(x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    penalty() {
+        const { size, modules } = this;
+        const columns = modules.map((row, x) => modules.map(r => r[x]));
+        const lines = [...modules, ...columns];
+        let result = 0;
+
+        // Runs of five or more modules of the same color
+        lines.forEach(line => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                    continue;
+                }
+                if (run >= 5) result += run - 2;
+                run = 1;
+            }
+        });
+
+        // 2x2 blocks of one color
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const dark = modules[y][x];
+                if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) {
+                    result += 3;
+                }
+            }
+        }
+
+        // Patterns that look like a finder: 1:1:3:1:1 dark/light with four light modules on one side
+        lines.forEach(line => {
+            const text = line.map(dark => dark ? '1' : '0').join('');
+            result += 40 * ((text.match(/(?=10111010000)/g) || []).length +
+                (text.match(/(?=00001011101)/g) || []).length);
+        });
+
+        // Balance of dark and light modules
+        const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+        result += 10 * Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size));
+
+        return result;
+    }
+}
+
+QrCode.MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+// Per version (index 0 unused), for error correction level M
+QrCode.ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26,
+    26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+QrCode.ERROR_CORRECTION_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17,
+    17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
@@ -0,0 +1,73 @@
+// ========================================
+// RANDOM SOURCES
+// ========================================
+
+// PasswordGenerator draws all of its randomness through a source with a single
+// method, nextUint32(), returning a uniformly distributed 32-bit unsigned integer.
+// The crypto source is the only one that should ever produce real passwords;
+// the seeded source exists so tests and distribution checks can replay a run.
+
+class CryptoRandomSource {
+    constructor(bufferSize = CryptoRandomSource.BUFFER_SIZE) {
+        this.buffer = new Uint32Array(bufferSize);
+        this.offset = bufferSize;
+    }
+
+    nextUint32() {
+        // Refilling in batches keeps getRandomValues calls off the per-character path
+        if (this.offset >= this.buffer.length) {
+            crypto.getRandomValues(this.buffer);
+            this.offset = 0;
+        }
+        return this.buffer[this.offset++];
+    }
+}
+
+CryptoRandomSource.BUFFER_SIZE = 256;
+
+// xoshiro128** seeded through splitmix32. Fast and well distributed, but NOT
+// cryptographically secure: never use it for passwords anyone will rely on.
+class SeededRandomSource {
+    constructor(seed = 0) {
+        let state = typeof seed === 'string' ? SeededRandomSource.hashSeed(seed) : seed >>> 0;
+
+        const splitmix32 = () => {
+            state = (state + 0x9e3779b9) >>> 0;
+            let z = state;
+            z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+            z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+            return (z ^ (z >>> 16)) >>> 0;
+        };
+
+        this.state = new Uint32Array([splitmix32(), splitmix32(), splitmix32(), splitmix32()]);
+    }
+
+    nextUint32() {
+        const s = this.state;
+        const result = Math.imul(SeededRandomSource.rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+        const t = s[1] << 9;
+
+        s[2] ^= s[0];
+        s[3] ^= s[1];
+        s[1] ^= s[2];
+        s[0] ^= s[3];
+        s[2] ^= t;
+        s[3] = SeededRandomSource.rotl(s[3], 11);
+
+        return result;
+    }
+
+    static rotl(value, bits) {
+        return ((value << bits) | (value >>> (32 - bits))) >>> 0;
+    }
+
+    // FNV-1a, so readable seeds like "test-run-1" can be used
+    static hashSeed(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
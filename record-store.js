@@ -0,0 +1,146 @@
+// ========================================
+// RECORD STORAGE
+// ========================================
+
+// Account records (profile, password hash and encrypted vault) and shared
+// collections are kept in stores of records keyed by id, with four async methods:
+//
+//     loadAll()     every record
+//     get(id)       one record, or null
+//     put(record)   insert or replace one record, matched by id
+//     delete(id)    remove one record
+//
+// IndexedDB is the default: it writes only the record that changed and isn't
+// held to localStorage's few-megabyte quota. localStorage remains for browsers
+// where IndexedDB can't be opened, such as some private browsing modes.
+
+class IndexedDbRecordStore {
+    constructor(db, name) {
+        this.db = db;
+        this.name = name;
+    }
+
+    // One connection serves every store
+    static openDatabase(name = IndexedDbRecordStore.DATABASE_NAME) {
+        if (!IndexedDbRecordStore.connections[name]) {
+            IndexedDbRecordStore.connections[name] = new Promise((resolve, reject) => {
+                const request = indexedDB.open(name, IndexedDbRecordStore.DATABASE_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    IndexedDbRecordStore.STORE_NAMES
+                        .filter(store => !db.objectStoreNames.contains(store))
+                        .forEach(store => db.createObjectStore(store, { keyPath: 'id' }));
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('The database is in use by an older version of the app in another tab'));
+            });
+            // A failed open shouldn't stick for the rest of the page's life
+            IndexedDbRecordStore.connections[name].catch(() => {
+                delete IndexedDbRecordStore.connections[name];
+            });
+        }
+        return IndexedDbRecordStore.connections[name];
+    }
+
+    loadAll() {
+        return this.transaction('readonly', store => store.getAll());
+    }
+
+    async get(id) {
+        return (await this.transaction('readonly', store => store.get(id))) || null;
+    }
+
+    put(record) {
+        return this.transaction('readwrite', store => store.put(record));
+    }
+
+    delete(id) {
+        return this.transaction('readwrite', store => store.delete(id));
+    }
+
+    // Resolves once the transaction commits, not just when the request succeeds,
+    // so a write that resolves has really been stored
+    transaction(mode, action) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.name, mode);
+            const request = action(transaction.objectStore(this.name));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = transaction.onabort = () => {
+                reject(transaction.error || new Error('Could not save to the browser database'));
+            };
+        });
+    }
+}
+
+IndexedDbRecordStore.DATABASE_NAME = 'securepass';
+IndexedDbRecordStore.DATABASE_VERSION = 2;
+IndexedDbRecordStore.STORE_NAMES = ['users', 'sharedCollections'];
+IndexedDbRecordStore.connections = {};
+
+// Every record in one JSON array under the store's name; 'users' is the format older builds wrote
+class LocalStorageRecordStore {
+    constructor(name, storage = localStorage) {
+        this.name = name;
+        this.storage = storage;
+    }
+
+    async loadAll() {
+        return this.read();
+    }
+
+    async get(id) {
+        return this.read().find(record => record.id === id) || null;
+    }
+
+    async put(record) {
+        const records = this.read();
+        const index = records.findIndex(existing => existing.id === record.id);
+        if (index === -1) {
+            records.push(record);
+        } else {
+            records[index] = record;
+        }
+        this.write(records);
+    }
+
+    async delete(id) {
+        this.write(this.read().filter(record => record.id !== id));
+    }
+
+    read() {
+        const records = this.storage.getItem(this.name);
+        return records ? JSON.parse(records) : [];
+    }
+
+    write(records) {
+        this.storage.setItem(this.name, JSON.stringify(records));
+    }
+}
+
+class RecordStore {
+    // IndexedDB when it opens, localStorage otherwise. Records an older build
+    // left in localStorage move into IndexedDB the first time it's used.
+    static async open(name, storage = localStorage) {
+        const fallback = new LocalStorageRecordStore(name, storage);
+
+        let store;
+        try {
+            if (typeof indexedDB === 'undefined') return fallback;
+            store = new IndexedDbRecordStore(await IndexedDbRecordStore.openDatabase(), name);
+        } catch (error) {
+            return fallback;
+        }
+
+        const leftBehind = fallback.read();
+        if (leftBehind.length) {
+            const existing = new Set((await store.loadAll()).map(record => record.id));
+            for (const record of leftBehind.filter(record => !existing.has(record.id))) {
+                await store.put(record);
+            }
+            storage.removeItem(name);
+        }
+
+        return store;
+    }
+}
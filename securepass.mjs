@@ -0,0 +1,72 @@
+// ========================================
+// HEADLESS LIBRARY (Node)
+// ========================================
+
+// The generator and strength estimator for scripts and CI jobs, without the page:
+//
+//     import { PasswordGenerator } from './securepass.mjs';
+//     const generator = new PasswordGenerator();
+//     generator.generate({ length: 20, includeSpecial: false });
+//
+// The browser scripts are the single source of truth. They are evaluated here
+// unchanged, inside one function scope so their top-level names don't leak
+// into the importing program, with Node's WebCrypto standing in for the
+// browser's `crypto`. Only files without DOM access belong in SOURCES.
+
+import { readFileSync } from 'node:fs';
+import { webcrypto } from 'node:crypto';
+import vm from 'node:vm';
+
+const SOURCES = [
+    'wordlist-eff.js',
+    'strength-estimator.js',
+    'policies.js',
+    'password-rules.js',
+    'policy-parser.js',
+    'random-source.js',
+    'batch-export.js',
+    'password-generator.js'
+];
+
+const EXPORTS = [
+    'PasswordGenerator',
+    'StrengthEstimator',
+    'PasswordRules',
+    'PolicyManager',
+    'PolicyParser',
+    'BatchExporter',
+    'CryptoRandomSource',
+    'SeededRandomSource',
+    'EFF_LARGE_WORDLIST',
+    'BUILT_IN_POLICIES',
+    'POLICY_CLASSES',
+    'BATCH_EXPORT_FORMATS'
+];
+
+function load() {
+    const body = SOURCES
+        .map(file => readFileSync(new URL(file, import.meta.url), 'utf8'))
+        .join('\n;\n');
+    const factory = vm.runInThisContext(
+        `(function (crypto) {\n${body}\nreturn { ${EXPORTS.join(', ')} };\n})`,
+        { filename: new URL('securepass.mjs', import.meta.url).pathname });
+    return factory(webcrypto);
+}
+
+export const {
+    PasswordGenerator,
+    StrengthEstimator,
+    PasswordRules,
+    PolicyManager,
+    PolicyParser,
+    BatchExporter,
+    CryptoRandomSource,
+    SeededRandomSource,
+    EFF_LARGE_WORDLIST,
+    BUILT_IN_POLICIES,
+    POLICY_CLASSES,
+    BATCH_EXPORT_FORMATS
+} = load();
+
+// Same levels, lowest first, as PasswordGenerator.calculateStrength reports
+export const STRENGTH_LEVELS = ['Weak', 'Medium', 'Strong', 'Very Strong'];
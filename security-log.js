@@ -0,0 +1,84 @@
+// ========================================
+// SECURITY LOG
+// ========================================
+
+// What each event type reads as in the log
+const SECURITY_EVENTS = {
+    login: 'Signed in',
+    login_failed: 'Failed sign-in',
+    lockout: 'Sign-in locked',
+    logout: 'Signed out',
+    unlock: 'Unlocked session',
+    password_changed: 'Password changed',
+    profile_updated: 'Profile updated',
+    two_factor_enabled: 'Two-factor authentication turned on',
+    two_factor_disabled: 'Two-factor authentication turned off',
+    recovery_codes_regenerated: 'New recovery codes created',
+    history_cleared: 'History cleared',
+    export: 'Data exported',
+    import: 'Passwords imported',
+    backup_restored: 'Backup restored',
+    sync_enabled: 'Sync turned on',
+    sync_disabled: 'Sync turned off',
+    collection_created: 'Shared collection created',
+    collection_deleted: 'Shared collection deleted',
+    credential_shared: 'Password shared',
+    member_revoked: 'Collection member removed',
+    contact_added: 'Sharing contact added',
+    collection_exported: 'Shared collection exported',
+    collection_imported: 'Shared collection imported'
+};
+
+// Per-user record of sign-ins and sensitive actions. It sits outside the
+// encrypted vault on purpose: failed sign-ins happen before anyone can open
+// it. Entries hold only the event type, time and a short detail, never secrets.
+class SecurityLog {
+    constructor(storage = localStorage) {
+        this.storage = storage;
+        this.onAdd = null;
+    }
+
+    add(userId, type, detail = '', now = new Date()) {
+        if (!SECURITY_EVENTS[type]) {
+            throw new Error(`Unknown security event "${type}"`);
+        }
+
+        const logs = this.load();
+        const events = logs[userId] || [];
+        events.unshift({ type, detail, at: now.toISOString() });
+        logs[userId] = events.slice(0, SecurityLog.MAX_EVENTS);
+        this.save(logs);
+
+        if (this.onAdd) this.onAdd(userId, type);
+    }
+
+    // Newest first
+    list(userId) {
+        return this.load()[userId] || [];
+    }
+
+    remove(userId) {
+        const logs = this.load();
+        delete logs[userId];
+        this.save(logs);
+    }
+
+    load() {
+        try {
+            return JSON.parse(this.storage.getItem(SecurityLog.STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    save(logs) {
+        this.storage.setItem(SecurityLog.STORAGE_KEY, JSON.stringify(logs));
+    }
+
+    static describe(event) {
+        return SECURITY_EVENTS[event.type] || event.type;
+    }
+}
+
+SecurityLog.STORAGE_KEY = 'securityLog';
+SecurityLog.MAX_EVENTS = 200;
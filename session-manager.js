@@ -0,0 +1,95 @@
+// ========================================
+// SESSION MANAGER
+// ========================================
+
+// The persisted session record only says who is signed in and until when.
+// It never holds the password hash, the vault or its key: after a reload or
+// an idle lock the vault stays encrypted until the password is entered again.
+class SessionManager {
+    constructor(storage = localStorage, options = {}) {
+        this.storage = storage;
+        this.ttl = options.ttl || SessionManager.DEFAULT_TTL_MS;
+        this.idleTimeout = options.idleTimeout || SessionManager.DEFAULT_IDLE_TIMEOUT_MS;
+        this.lastSaved = 0;
+    }
+
+    start(user, now = Date.now()) {
+        const session = {
+            token: CryptoVault.toBase64(crypto.getRandomValues(new Uint8Array(32))),
+            userId: user.id,
+            username: user.username,
+            createdAt: now,
+            expiresAt: now + this.ttl,
+            lastActiveAt: now
+        };
+
+        this.save(session);
+        return session;
+    }
+
+    // The stored session, or null once it has expired
+    get(now = Date.now()) {
+        const stored = this.storage.getItem(SessionManager.STORAGE_KEY);
+        if (!stored) return null;
+
+        let session;
+        try {
+            session = JSON.parse(stored);
+        } catch (error) {
+            this.end();
+            return null;
+        }
+
+        if (!session || !session.token || this.isExpired(session, now)) {
+            this.end();
+            return null;
+        }
+
+        return session;
+    }
+
+    // 'none', 'expired', 'idle' or 'active'
+    status(token, now = Date.now()) {
+        const stored = this.storage.getItem(SessionManager.STORAGE_KEY);
+        const session = this.get(now);
+
+        if (!session) return stored ? 'expired' : 'none';
+        // Signing in elsewhere in this browser replaces the session this tab was using
+        if (token && session.token !== token) return 'none';
+        if (now - session.lastActiveAt >= this.idleTimeout) return 'idle';
+        return 'active';
+    }
+
+    // Activity arrives on every keypress and mouse move, so only write it back now and then
+    touch(now = Date.now(), force = false) {
+        const session = this.get(now);
+        if (!session || (!force && now - this.lastSaved < SessionManager.TOUCH_INTERVAL_MS)) return;
+
+        session.lastActiveAt = now;
+        this.save(session);
+    }
+
+    // Keeps the record in step with profile changes such as a new username
+    update(changes) {
+        const session = this.get();
+        if (session) this.save({ ...session, ...changes });
+    }
+
+    isExpired(session, now = Date.now()) {
+        return now >= session.expiresAt;
+    }
+
+    end() {
+        this.storage.removeItem(SessionManager.STORAGE_KEY);
+    }
+
+    save(session) {
+        this.storage.setItem(SessionManager.STORAGE_KEY, JSON.stringify(session));
+        this.lastSaved = session.lastActiveAt;
+    }
+}
+
+SessionManager.STORAGE_KEY = 'session';
+SessionManager.DEFAULT_TTL_MS = 12 * 60 * 60 * 1000;
+SessionManager.DEFAULT_IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+SessionManager.TOUCH_INTERVAL_MS = 15 * 1000;
@@ -0,0 +1,131 @@
+// ========================================
+// SHARE CRYPTO
+// ========================================
+
+// Public-key encryption for shared collections. Every account has a P-256
+// ECDH key pair: the public half sits in the profile where other accounts can
+// read it, the private half only in the account's vault.
+//
+// A collection's entries are encrypted with AES-GCM under a random collection
+// key. The owner hands that key to each member by encrypting it under a key
+// only the two of them can compute: ECDH between the owner's private key and
+// the member's public key (or the other way round), passed through HKDF.
+// Every ciphertext is bound to where it belongs through the GCM additional
+// data, so one can't be moved to another collection, member or entry.
+//
+// Accounts in other browsers are known from their share card, which carries
+// the public key. Its fingerprint lets two people check, over the phone say,
+// that nobody swapped the card on its way.
+class ShareCrypto {
+    // Resolves to { publicKey, privateKey }: SPKI and PKCS #8, base64 encoded
+    static async generateKeyPair() {
+        const pair = await crypto.subtle.generateKey(ShareCrypto.CURVE, true, ['deriveBits']);
+        const [publicKey, privateKey] = await Promise.all([
+            crypto.subtle.exportKey('spki', pair.publicKey),
+            crypto.subtle.exportKey('pkcs8', pair.privateKey)
+        ]);
+
+        return {
+            publicKey: CryptoVault.toBase64(new Uint8Array(publicKey)),
+            privateKey: CryptoVault.toBase64(new Uint8Array(privateKey))
+        };
+    }
+
+    // Throws unless `publicKey` is a P-256 public key in the form generateKeyPair exports
+    static async checkPublicKey(publicKey) {
+        try {
+            await crypto.subtle.importKey('spki', CryptoVault.fromBase64(publicKey), ShareCrypto.CURVE, false, []);
+        } catch (error) {
+            throw new Error('That share card doesn\'t hold a valid public key');
+        }
+    }
+
+    // The first 80 bits of the key's SHA-256, as five groups of four hex digits
+    static async fingerprint(publicKey) {
+        const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', CryptoVault.fromBase64(publicKey)));
+        const hex = [...digest.slice(0, 10)].map(byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+        return hex.match(/.{4}/g).join(' ');
+    }
+
+    static generateCollectionKey() {
+        return CryptoVault.generateSalt(32);
+    }
+
+    // `context` names the collection, member and key version the wrapped key is for
+    static async wrapKey(collectionKey, privateKey, publicKey, context) {
+        const salt = CryptoVault.generateSalt();
+        const wrappingKey = await ShareCrypto.deriveWrappingKey(privateKey, publicKey, salt, context);
+        return { salt, ...await ShareCrypto.seal(wrappingKey, CryptoVault.fromBase64(collectionKey), context) };
+    }
+
+    // Either side can unwrap: the owner with its private key and the member's public key, or the reverse
+    static async unwrapKey(wrapped, privateKey, publicKey, context) {
+        const wrappingKey = await ShareCrypto.deriveWrappingKey(privateKey, publicKey, wrapped.salt, context);
+        return CryptoVault.toBase64(await ShareCrypto.open(wrappingKey, wrapped, context));
+    }
+
+    static async encrypt(value, collectionKey, context) {
+        const key = await ShareCrypto.importCollectionKey(collectionKey);
+        return ShareCrypto.seal(key, new TextEncoder().encode(JSON.stringify(value)), context);
+    }
+
+    static async decrypt(payload, collectionKey, context) {
+        const key = await ShareCrypto.importCollectionKey(collectionKey);
+        return JSON.parse(new TextDecoder().decode(await ShareCrypto.open(key, payload, context)));
+    }
+
+    static async deriveWrappingKey(privateKey, publicKey, salt, context) {
+        const [ownKey, otherKey] = await Promise.all([
+            crypto.subtle.importKey('pkcs8', CryptoVault.fromBase64(privateKey), ShareCrypto.CURVE, false, ['deriveBits']),
+            crypto.subtle.importKey('spki', CryptoVault.fromBase64(publicKey), ShareCrypto.CURVE, false, [])
+        ]);
+
+        const secret = await crypto.subtle.deriveBits({ name: 'ECDH', public: otherKey }, ownKey, 256);
+        const baseKey = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: CryptoVault.fromBase64(salt),
+                info: new TextEncoder().encode(`${ShareCrypto.INFO}:${context}`)
+            },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    static importCollectionKey(collectionKey) {
+        return crypto.subtle.importKey('raw', CryptoVault.fromBase64(collectionKey), 'AES-GCM', false, ['encrypt', 'decrypt']);
+    }
+
+    static async seal(key, plaintext, context) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(context) },
+            key,
+            plaintext
+        );
+
+        return {
+            iv: CryptoVault.toBase64(iv),
+            data: CryptoVault.toBase64(new Uint8Array(ciphertext))
+        };
+    }
+
+    static async open(key, payload, context) {
+        try {
+            return new Uint8Array(await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: CryptoVault.fromBase64(payload.iv), additionalData: new TextEncoder().encode(context) },
+                key,
+                CryptoVault.fromBase64(payload.data)
+            ));
+        } catch (error) {
+            throw new Error('Unable to decrypt shared data');
+        }
+    }
+}
+
+ShareCrypto.CURVE = { name: 'ECDH', namedCurve: 'P-256' };
+ShareCrypto.INFO = 'securepass-share-v1';
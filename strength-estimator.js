@@ -0,0 +1,704 @@
+// ========================================
+// STRENGTH ESTIMATOR
+// ========================================
+
+// Most common leaked passwords, in rank order. Anything on this list is among
+// the first guesses of every cracking tool.
+const COMMON_PASSWORDS = [
+    '123456', 'password', '12345678', 'qwerty', '123456789', '12345', '1234', '111111',
+    '1234567', 'dragon', '123123', 'baseball', 'abc123', 'football', 'monkey', 'letmein',
+    '696969', 'shadow', 'master', '666666', 'qwertyuiop', '123321', 'mustang', '1234567890',
+    'michael', '654321', 'superman', '1qaz2wsx', '7777777', '121212', '000000', 'qazwsx',
+    '123qwe', 'killer', 'trustno1', 'jordan', 'jennifer', 'zxcvbnm', 'asdfgh', 'hunter',
+    'buster', 'soccer', 'harley', 'batman', 'andrew', 'tigger', 'sunshine', 'iloveyou',
+    '2000', 'charlie', 'robert', 'thomas', 'hockey', 'ranger', 'daniel', 'starwars',
+    'klaster', '112233', 'george', 'computer', 'michelle', 'jessica', 'pepper', '1111',
+    'zxcvbn', '555555', '11111111', '131313', 'freedom', '777777', 'pass', 'maggie',
+    '159753', 'aaaaaa', 'ginger', 'princess', 'joshua', 'cheese', 'amanda', 'summer',
+    'love', 'ashley', 'nicole', 'chelsea', 'biteme', 'matthew', 'access', 'yankees',
+    '987654321', 'dallas', 'austin', 'thunder', 'taylor', 'matrix', 'welcome', 'admin',
+    'login', 'passw0rd', 'hello', 'secret', 'flower', 'lovely', 'whatever', 'qwerty123',
+    'password1', 'password123', 'football1', 'baseball1', 'welcome1', 'abcdef', 'abcd1234',
+    'q1w2e3r4', 'q1w2e3r4t5', 'zaq12wsx', 'asdfghjkl', 'qwe123', 'a123456', 'iloveyou1',
+    'monkey1', 'dragon1', 'master1', 'shadow1', 'sunshine1', 'princess1', 'letmein1',
+    'starwars1', 'administrator', 'root', 'toor', 'guest', 'changeme', 'default', 'test',
+    'test123', 'temp', 'temp123', 'p@ssw0rd', 'p@ssword', 'pa$$word', 'pass123', 'mypassword',
+    'loveme', 'babygirl', 'lovers', 'friends', 'butterfly', 'purple', 'angel', 'jordan23',
+    'liverpool', 'arsenal', 'chocolate', 'samsung', 'google', 'internet', 'apple', 'orange',
+    'banana', 'cookie', 'silver', 'golden', 'diamond', 'hannah', 'jasmine', 'qwertyui'
+];
+
+// Characters people commonly swap in for letters
+const L33T_TABLE = {
+    a: ['4', '@'],
+    b: ['8'],
+    c: ['(', '{', '[', '<'],
+    e: ['3'],
+    g: ['6', '9'],
+    i: ['1', '!', '|'],
+    l: ['1', '|', '7'],
+    o: ['0'],
+    s: ['$', '5'],
+    t: ['+', '7'],
+    x: ['%'],
+    z: ['2']
+};
+
+// QWERTY rows, padded so that a key's upper neighbours sit at the same
+// index and the one after it in the row above
+const KEYBOARD_ROWS = [
+    ['`1234567890-=', '~!@#$%^&*()_+'],
+    [' qwertyuiop[]\\', ' QWERTYUIOP{}|'],
+    [' asdfghjkl;\'', ' ASDFGHJKL:"'],
+    [' zxcvbnm,./', ' ZXCVBNM<>?']
+];
+
+// Guess rates per second for the attack scenarios we report on
+const ATTACK_SCENARIOS = {
+    onlineThrottled: { label: 'Online attack, rate limited', rate: 100 / 3600 },
+    onlineUnthrottled: { label: 'Online attack, no rate limit', rate: 10 },
+    offlineSlowHash: { label: 'Offline attack, slow hash', rate: 1e4 },
+    offlineFastHash: { label: 'Offline attack, fast hash', rate: 1e10 }
+};
+
+class StrengthEstimator {
+    constructor(options = {}) {
+        this.referenceYear = options.referenceYear || new Date().getFullYear();
+        this.dictionaries = [
+            this.buildDictionary('common password', COMMON_PASSWORDS, true),
+            this.buildDictionary('english word', options.wordlist || EFF_LARGE_WORDLIST, false)
+        ];
+        this.keyboard = this.buildKeyboardGraph();
+        this.l33tReverse = {};
+        Object.entries(L33T_TABLE).forEach(([letter, subs]) => {
+            subs.forEach(sub => {
+                this.l33tReverse[sub] = this.l33tReverse[sub] || [];
+                this.l33tReverse[sub].push(letter);
+            });
+        });
+    }
+
+    buildDictionary(name, words, ranked) {
+        const entries = new Map();
+        let maxLength = 0;
+
+        words.forEach((word, index) => {
+            const key = word.toLowerCase();
+            if (!entries.has(key)) {
+                // Unranked lists give every word the same odds: one pick out of the whole list
+                entries.set(key, ranked ? index + 1 : words.length);
+                maxLength = Math.max(maxLength, key.length);
+            }
+        });
+
+        return { name, entries, maxLength, minLength: ranked ? 3 : 4 };
+    }
+
+    buildKeyboardGraph() {
+        const positions = {};
+        KEYBOARD_ROWS.forEach(([plain, shifted], row) => {
+            for (let col = 0; col < plain.length; col++) {
+                if (plain[col] !== ' ') positions[plain[col]] = { row, col, shifted: false };
+                if (shifted[col] !== ' ') positions[shifted[col]] = { row, col, shifted: true };
+            }
+        });
+        return positions;
+    }
+
+    // ---- Public API ----
+
+    estimate(password, userInputs = []) {
+        if (!password) {
+            return this.buildResult('', 0, [], { warnings: [], suggestions: [] });
+        }
+
+        // Matching grows quickly with length, so pasted essays would stall the page. Anything this long
+        // is already off the scale, and the characters past the cut can only make it stronger.
+        password = password.slice(0, StrengthEstimator.MAX_LENGTH);
+
+        const matches = this.findMatches(password, userInputs);
+        const { bits, sequence } = this.mostGuessableSequence(password, matches);
+
+        return this.buildResult(password, bits, sequence, this.buildFeedback(password, bits, sequence));
+    }
+
+    buildResult(password, bits, sequence, { warnings, suggestions }) {
+        const guessesLog10 = bits * Math.log10(2);
+        const crackTimes = {};
+
+        Object.entries(ATTACK_SCENARIOS).forEach(([key, scenario]) => {
+            const seconds = Math.pow(10, guessesLog10 - Math.log10(scenario.rate));
+            crackTimes[key] = {
+                label: scenario.label,
+                seconds,
+                display: StrengthEstimator.formatDuration(seconds)
+            };
+        });
+
+        return {
+            entropy: bits,
+            guesses: Math.pow(2, bits),
+            guessesLog10,
+            crackTimes,
+            crackTimeRanges: {
+                online: this.formatRange(crackTimes.onlineUnthrottled, crackTimes.onlineThrottled),
+                offline: this.formatRange(crackTimes.offlineFastHash, crackTimes.offlineSlowHash)
+            },
+            matches: sequence,
+            warnings,
+            suggestions,
+            feedback: [...warnings, ...suggestions]
+        };
+    }
+
+    formatRange(fastest, slowest) {
+        return {
+            minSeconds: fastest.seconds,
+            maxSeconds: slowest.seconds,
+            display: fastest.display === slowest.display
+                ? fastest.display
+                : `${fastest.display} – ${slowest.display}`
+        };
+    }
+
+    // ---- Matching ----
+
+    findMatches(password, userInputs) {
+        const userDictionary = this.buildDictionary(
+            'personal detail',
+            userInputs.filter(Boolean).map(input => String(input).toLowerCase()),
+            true
+        );
+
+        return [
+            ...this.dictionaryMatches(password, [...this.dictionaries, userDictionary]),
+            ...this.reversedMatches(password),
+            ...this.l33tMatches(password),
+            ...this.spatialMatches(password),
+            ...this.repeatMatches(password),
+            ...this.sequenceMatches(password),
+            ...this.dateMatches(password)
+        ];
+    }
+
+    dictionaryMatches(password, dictionaries = this.dictionaries) {
+        const lower = password.toLowerCase();
+        const matches = [];
+
+        dictionaries.forEach(dictionary => {
+            for (let i = 0; i < lower.length; i++) {
+                const maxEnd = Math.min(lower.length, i + dictionary.maxLength);
+                for (let j = i + dictionary.minLength; j <= maxEnd; j++) {
+                    const word = lower.slice(i, j);
+                    const rank = dictionary.entries.get(word);
+                    if (rank === undefined) continue;
+
+                    const token = password.slice(i, j);
+                    matches.push({
+                        pattern: 'dictionary',
+                        i,
+                        j: j - 1,
+                        token,
+                        word,
+                        rank,
+                        dictionary: dictionary.name,
+                        bits: Math.log2(rank * this.uppercaseVariations(token))
+                    });
+                }
+            }
+        });
+
+        return matches;
+    }
+
+    reversedMatches(password) {
+        const reversed = password.split('').reverse().join('');
+        const length = password.length;
+
+        return this.dictionaryMatches(reversed)
+            .filter(match => match.token.length >= 4)
+            .map(match => ({
+                ...match,
+                i: length - 1 - match.j,
+                j: length - 1 - match.i,
+                token: match.token.split('').reverse().join(''),
+                reversed: true,
+                bits: match.bits + 1
+            }));
+    }
+
+    l33tMatches(password) {
+        const matches = [];
+        const maxLength = Math.max(...this.dictionaries.map(d => d.maxLength));
+
+        for (let i = 0; i < password.length; i++) {
+            for (let j = i + 3; j <= Math.min(password.length, i + maxLength); j++) {
+                const token = password.slice(i, j);
+                if (!token.split('').some(char => this.l33tReverse[char])) continue;
+
+                this.unl33tCandidates(token.toLowerCase()).forEach(({ word, subs }) => {
+                    this.dictionaries.forEach(dictionary => {
+                        const rank = dictionary.entries.get(word);
+                        if (rank === undefined || word.length < dictionary.minLength) return;
+
+                        matches.push({
+                            pattern: 'dictionary',
+                            i,
+                            j: j - 1,
+                            token,
+                            word,
+                            rank,
+                            dictionary: dictionary.name,
+                            l33t: true,
+                            subs,
+                            bits: Math.log2(rank * this.uppercaseVariations(token) * this.l33tVariations(token, subs))
+                        });
+                    });
+                });
+            }
+        }
+
+        return matches;
+    }
+
+    unl33tCandidates(token) {
+        // Expand ambiguous substitutions ('1' could be 'i' or 'l'), capped to keep this cheap
+        let candidates = [{ word: '', subs: {} }];
+
+        for (const char of token) {
+            const letters = this.l33tReverse[char];
+            if (!letters) {
+                candidates.forEach(candidate => { candidate.word += char; });
+                continue;
+            }
+
+            candidates = candidates.flatMap(candidate => letters.map(letter => ({
+                word: candidate.word + letter,
+                subs: { ...candidate.subs, [char]: letter }
+            }))).slice(0, 16);
+        }
+
+        return candidates;
+    }
+
+    spatialMatches(password) {
+        const matches = [];
+        let i = 0;
+
+        while (i < password.length - 2) {
+            let j = i;
+            let turns = 0;
+            let lastDirection = null;
+
+            while (j + 1 < password.length) {
+                const direction = this.keyboardDirection(password[j], password[j + 1]);
+                if (direction === null) break;
+                if (direction !== lastDirection) turns++;
+                lastDirection = direction;
+                j++;
+            }
+
+            if (j - i >= 2) {
+                const token = password.slice(i, j + 1);
+                matches.push({
+                    pattern: 'spatial',
+                    i,
+                    j,
+                    token,
+                    turns,
+                    bits: Math.log2(this.spatialGuesses(token, turns))
+                });
+                i = j;
+            } else {
+                i++;
+            }
+        }
+
+        return matches;
+    }
+
+    keyboardDirection(from, to) {
+        const a = this.keyboard[from];
+        const b = this.keyboard[to];
+        if (!a || !b) return null;
+
+        const dRow = b.row - a.row;
+        const dCol = b.col - a.col;
+        const neighbours = ['0,-1', '0,1', '-1,0', '-1,1', '1,-1', '1,0'];
+        const direction = neighbours.indexOf(`${dRow},${dCol}`);
+        return direction === -1 ? null : direction;
+    }
+
+    spatialGuesses(token, turns) {
+        const positions = Object.keys(this.keyboard).length;
+        const averageDegree = 4.6;
+        let guesses = 0;
+
+        for (let length = 2; length <= token.length; length++) {
+            for (let t = 1; t <= Math.min(turns, length - 1); t++) {
+                guesses += StrengthEstimator.nCk(length - 1, t - 1) * positions * Math.pow(averageDegree, t);
+            }
+        }
+
+        const shifted = token.split('').filter(char => this.keyboard[char].shifted).length;
+        return guesses * this.caseVariations(shifted, token.length - shifted);
+    }
+
+    repeatMatches(password) {
+        const matches = [];
+        const greedy = /(.+)\1+/g;
+        let result;
+
+        while ((result = greedy.exec(password)) !== null) {
+            const token = result[0];
+            if (token.length < 3) continue;
+
+            const base = /^(.+?)\1+$/.exec(token)[1];
+            const repeatCount = token.length / base.length;
+            const baseBits = this.estimate(base).entropy;
+
+            matches.push({
+                pattern: 'repeat',
+                i: result.index,
+                j: result.index + token.length - 1,
+                token,
+                base,
+                repeatCount,
+                bits: baseBits + Math.log2(repeatCount)
+            });
+        }
+
+        return matches;
+    }
+
+    sequenceMatches(password) {
+        const matches = [];
+        const classOf = char => {
+            if (/[a-z]/.test(char)) return 'lower';
+            if (/[A-Z]/.test(char)) return 'upper';
+            if (/[0-9]/.test(char)) return 'digits';
+            return null;
+        };
+
+        let i = 0;
+        while (i < password.length - 2) {
+            const delta = password.charCodeAt(i + 1) - password.charCodeAt(i);
+            const kind = classOf(password[i]);
+            let j = i + 1;
+
+            if (kind && delta !== 0 && Math.abs(delta) <= 5) {
+                while (j + 1 < password.length &&
+                    classOf(password[j + 1]) === kind &&
+                    password.charCodeAt(j + 1) - password.charCodeAt(j) === delta) {
+                    j++;
+                }
+            }
+
+            if (j - i >= 2 && classOf(password[j]) === kind) {
+                const token = password.slice(i, j + 1);
+                let base = kind === 'digits' ? 10 : 26;
+                if ('aAzZ019'.includes(token[0])) base = 4;
+                if (delta < 0) base *= 2;
+
+                matches.push({
+                    pattern: 'sequence',
+                    i,
+                    j,
+                    token,
+                    ascending: delta > 0,
+                    bits: Math.log2(base * token.length)
+                });
+                i = j;
+            } else {
+                i++;
+            }
+        }
+
+        return matches;
+    }
+
+    dateMatches(password) {
+        const matches = [];
+
+        // Dates written with a separator, e.g. 4/7/1999 or 1999-07-04
+        const separated = /(\d{1,4})([\s/\\_.-])(\d{1,2})\2(\d{1,4})/g;
+        let result;
+        while ((result = separated.exec(password)) !== null) {
+            const date = this.parseDate([result[1], result[3], result[4]]);
+            if (date) {
+                matches.push(this.dateMatch(password, result.index, result[0].length, date, true));
+            }
+        }
+
+        // Run-together digits, e.g. 040799 or 19990704
+        for (let i = 0; i < password.length; i++) {
+            for (let length = 4; length <= 8 && i + length <= password.length; length++) {
+                const token = password.slice(i, i + length);
+                if (!/^\d+$/.test(token)) break;
+
+                const date = this.splitDigits(token);
+                if (date) {
+                    matches.push(this.dateMatch(password, i, length, date, false));
+                }
+            }
+        }
+
+        // Bare years
+        const years = /(19|20)\d\d/g;
+        while ((result = years.exec(password)) !== null) {
+            const year = parseInt(result[0]);
+            matches.push({
+                pattern: 'year',
+                i: result.index,
+                j: result.index + 3,
+                token: result[0],
+                year,
+                bits: Math.log2(this.yearSpace(year))
+            });
+        }
+
+        return matches;
+    }
+
+    dateMatch(password, start, length, date, separated) {
+        return {
+            pattern: 'date',
+            i: start,
+            j: start + length - 1,
+            token: password.slice(start, start + length),
+            ...date,
+            bits: Math.log2(365 * this.yearSpace(date.year) * (separated ? 4 : 1))
+        };
+    }
+
+    splitDigits(token) {
+        for (let a = 1; a < token.length - 1; a++) {
+            for (let b = a + 1; b < token.length; b++) {
+                const date = this.parseDate([token.slice(0, a), token.slice(a, b), token.slice(b)]);
+                if (date) return date;
+            }
+        }
+        return null;
+    }
+
+    parseDate(parts) {
+        if (parts.some(part => part.length > 4 || part.length === 3)) return null;
+
+        // Try the year at either end, and both day/month orders for the rest
+        const orders = [[0, 1, 2], [0, 2, 1], [2, 0, 1], [2, 1, 0]];
+        for (const [y, m, d] of orders) {
+            let year = parseInt(parts[y]);
+            const month = parseInt(parts[m]);
+            const day = parseInt(parts[d]);
+
+            if (parts[y].length === 2) year += year > 50 ? 1900 : 2000;
+            else if (parts[y].length !== 4) continue;
+
+            if (year < 1900 || year > this.referenceYear + 20) continue;
+            if (month >= 1 && month <= 12 && day >= 1 && day <= 31) {
+                return { year, month, day };
+            }
+        }
+        return null;
+    }
+
+    yearSpace(year) {
+        return Math.max(Math.abs(year - this.referenceYear), 20);
+    }
+
+    // ---- Scoring ----
+
+    mostGuessableSequence(password, matches) {
+        const cardinality = this.bruteforceCardinality(password);
+        const bruteforceBits = Math.log2(cardinality);
+        const n = password.length;
+
+        // best[k] is the cheapest way to guess the first k characters
+        const best = [{ bits: 0, match: null, from: 0 }];
+
+        for (let k = 1; k <= n; k++) {
+            best[k] = { bits: best[k - 1].bits + bruteforceBits, match: null, from: k - 1 };
+
+            matches.forEach(match => {
+                if (match.j !== k - 1) return;
+
+                // A pattern that is only part of the password still costs the attacker something
+                const bits = match.token.length === n
+                    ? match.bits
+                    : Math.max(match.bits, Math.log2(StrengthEstimator.MIN_SUBMATCH_GUESSES));
+                const total = best[match.i].bits + bits;
+
+                if (total < best[k].bits) {
+                    best[k] = { bits: total, match: { ...match, bits }, from: match.i };
+                }
+            });
+        }
+
+        const sequence = [];
+        let k = n;
+        while (k > 0) {
+            const step = best[k];
+            if (step.match) {
+                sequence.unshift(step.match);
+            } else if (sequence[0] && sequence[0].pattern === 'bruteforce') {
+                sequence[0].i = step.from;
+                sequence[0].token = password.slice(step.from, sequence[0].j + 1);
+                sequence[0].bits += bruteforceBits;
+            } else {
+                sequence.unshift({
+                    pattern: 'bruteforce',
+                    i: step.from,
+                    j: k - 1,
+                    token: password[k - 1],
+                    bits: bruteforceBits
+                });
+            }
+            k = step.from;
+        }
+
+        return { bits: best[n].bits, sequence };
+    }
+
+    bruteforceCardinality(password) {
+        let cardinality = 0;
+        if (/[a-z]/.test(password)) cardinality += 26;
+        if (/[A-Z]/.test(password)) cardinality += 26;
+        if (/[0-9]/.test(password)) cardinality += 10;
+        if (/[^a-zA-Z0-9]/.test(password)) cardinality += 33;
+        return cardinality;
+    }
+
+    uppercaseVariations(token) {
+        if (token === token.toLowerCase()) return 1;
+
+        // Capitalizing the first or last letter, or all of them, is what everyone does
+        const letters = token.replace(/[^a-zA-Z]/g, '');
+        if (/^[A-Z][^A-Z]*$/.test(letters) || /^[^A-Z]*[A-Z]$/.test(letters) || letters === letters.toUpperCase()) {
+            return 2;
+        }
+
+        const upper = (letters.match(/[A-Z]/g) || []).length;
+        return this.caseVariations(upper, letters.length - upper);
+    }
+
+    l33tVariations(token, subs) {
+        let variations = 1;
+        const lower = token.toLowerCase();
+
+        Object.entries(subs).forEach(([sub, letter]) => {
+            const substituted = lower.split('').filter(char => char === sub).length;
+            const plain = lower.split('').filter(char => char === letter).length;
+            variations *= this.caseVariations(substituted, plain);
+        });
+
+        return variations;
+    }
+
+    caseVariations(changed, unchanged) {
+        if (changed === 0) return 1;
+        if (unchanged === 0) return 2;
+
+        let variations = 0;
+        for (let k = 1; k <= Math.min(changed, unchanged); k++) {
+            variations += StrengthEstimator.nCk(changed + unchanged, k);
+        }
+        return variations;
+    }
+
+    // ---- Feedback ----
+
+    buildFeedback(password, bits, sequence) {
+        const warnings = [];
+        const suggestions = [];
+
+        // Strong passwords don't need advice, even if they happen to contain a word
+        if (bits >= StrengthEstimator.STRONG_BITS) return { warnings, suggestions };
+
+        const add = message => {
+            if (!warnings.includes(message)) warnings.push(message);
+        };
+        const suggest = message => {
+            if (!suggestions.includes(message)) suggestions.push(message);
+        };
+
+        sequence.forEach(match => {
+            switch (match.pattern) {
+                case 'dictionary':
+                    if (match.dictionary === 'common password') {
+                        add(`"${match.token}" is one of the most common passwords`);
+                    } else if (match.dictionary === 'personal detail') {
+                        add(`Avoid using your own details like "${match.token}"`);
+                    } else if (match.token.length === password.length) {
+                        add('A single dictionary word is easy to guess');
+                    } else {
+                        add(`"${match.token}" is a dictionary word`);
+                    }
+                    if (match.l33t) add('Predictable substitutions like "@" for "a" don\'t help much');
+                    if (match.reversed) add('Reversed words aren\'t much harder to guess');
+                    if (/^[A-Z][^A-Z]+$/.test(match.token)) add('Capitalizing only the first letter doesn\'t help much');
+                    break;
+                case 'spatial':
+                    add(`"${match.token}" is a keyboard pattern`);
+                    break;
+                case 'repeat':
+                    add(`Repeats like "${match.token}" are easy to guess`);
+                    break;
+                case 'sequence':
+                    add(`Sequences like "${match.token}" are easy to guess`);
+                    break;
+                case 'date':
+                case 'year':
+                    add(`Dates and years like "${match.token}" are easy to guess`);
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        if (password.length < 12) suggest('Use at least 12 characters (16 or more is better)');
+        if (this.bruteforceCardinality(password) <= 26) suggest('Mix in uppercase letters, numbers and symbols, or make it longer');
+        if (sequence.some(match => match.pattern !== 'bruteforce')) {
+            suggest('Add a few more random words or characters that don\'t follow a pattern');
+        }
+        if (suggestions.length === 0) suggest('Make it longer: every extra random character multiplies the guesses needed');
+
+        return { warnings, suggestions };
+    }
+
+    // ---- Helpers ----
+
+    static nCk(n, k) {
+        if (k > n) return 0;
+        let result = 1;
+        for (let i = 1; i <= k; i++) {
+            result = result * (n - k + i) / i;
+        }
+        return result;
+    }
+
+    static formatDuration(seconds) {
+        const units = [
+            ['year', 60 * 60 * 24 * 365],
+            ['month', 60 * 60 * 24 * 31],
+            ['day', 60 * 60 * 24],
+            ['hour', 60 * 60],
+            ['minute', 60],
+            ['second', 1]
+        ];
+
+        if (seconds < 1) return 'less than a second';
+        if (seconds >= units[0][1] * 100) return 'centuries';
+
+        for (const [unit, size] of units) {
+            if (seconds >= size) {
+                const value = Math.round(seconds / size);
+                return `${value} ${unit}${value === 1 ? '' : 's'}`;
+            }
+        }
+        return 'less than a second';
+    }
+}
+
+StrengthEstimator.MIN_SUBMATCH_GUESSES = 50;
+StrengthEstimator.MAX_LENGTH = 100;
+StrengthEstimator.STRONG_BITS = 60;
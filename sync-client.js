@@ -0,0 +1,185 @@
+// ========================================
+// ENCRYPTED SYNC
+// ========================================
+
+// Keeps password history in step across browsers through a small REST service
+// the user runs themselves (bin/sync-stub-server.mjs is a minimal one):
+//
+//     GET <url>/records        -> { "records": [record, ...] }
+//     PUT <url>/records/<id>   <- record
+//
+// A record is { id, updatedAt, deleted, kdf: { salt, iterations }, iv, data }.
+// Each history entry is its own record, encrypted in the browser under a key
+// derived from the sync passphrase, so the server only sees ids, modification
+// times and ciphertext. Deleted entries travel as encrypted tombstones, so the
+// server can't forge a deletion either. For every entry the copy modified last
+// wins, wherever it came from.
+class SyncClient {
+    constructor({ url, token = '', passphrase, salt, iterations = CryptoVault.DEFAULT_ITERATIONS }, options = {}) {
+        this.url = SyncClient.normalizeUrl(url);
+        this.token = token;
+        this.passphrase = passphrase;
+        this.salt = salt;
+        this.iterations = iterations;
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+        // Other devices encrypt under their own salt; each derived key is kept for the session
+        this.vaults = new Map();
+    }
+
+    // `history` is the local entries and `deleted` maps ids of deleted entries to when they were
+    // deleted. Resolves to { pulled, pushed }: the server copies that are newer than the local
+    // ones, as { id, updatedAt, deleted, entry }, and how many local copies were sent.
+    async sync(history, deleted) {
+        const records = await this.pull();
+        const plan = SyncClient.plan(history, deleted, records);
+
+        // Never push under a passphrase that can't read what's already there,
+        // or the two devices would end up unable to read each other's entries
+        if (records.length && plan.pull.length === 0) {
+            await this.decryptRecord(records[0]);
+        }
+
+        const pulled = await Promise.all(plan.pull.map(async record => {
+            const payload = await this.decryptRecord(record);
+            return {
+                id: record.id,
+                updatedAt: record.updatedAt,
+                deleted: Boolean(record.deleted),
+                entry: record.deleted ? null : payload
+            };
+        }));
+
+        await Promise.all(plan.push.map(async item => this.push(await this.encryptItem(item))));
+
+        return { pulled, pushed: plan.push.length };
+    }
+
+    // Decides which side's copy of each entry is newer; ties need nothing doing
+    static plan(history, deleted, records) {
+        const local = new Map();
+        Object.entries(deleted).forEach(([id, deletedAt]) => {
+            local.set(id, { id, updatedAt: deletedAt, deleted: true });
+        });
+        history.forEach(entry => {
+            local.set(entry.id, { id: entry.id, updatedAt: entry.updatedAt, deleted: false, entry });
+        });
+
+        const remote = new Map(records.map(record => [record.id, record]));
+        const push = [...local.values()].filter(item => {
+            const record = remote.get(item.id);
+            return !record || item.updatedAt > record.updatedAt;
+        });
+        const pull = records.filter(record => {
+            const item = local.get(record.id);
+            return !item || record.updatedAt > item.updatedAt;
+        });
+
+        return { push, pull };
+    }
+
+    async pull() {
+        const response = await this.request('GET', '/records');
+        const body = await response.json().catch(() => null);
+        if (!body || !Array.isArray(body.records)) {
+            throw new Error('The sync server sent a response this app doesn\'t understand');
+        }
+
+        return body.records.filter(record => record && typeof record.id === 'string' && typeof record.updatedAt === 'string');
+    }
+
+    async push(record) {
+        await this.request('PUT', `/records/${encodeURIComponent(record.id)}`, record);
+    }
+
+    async request(method, path, body) {
+        const headers = { Accept: 'application/json' };
+        if (body) headers['Content-Type'] = 'application/json';
+        if (this.token) headers.Authorization = `Bearer ${this.token}`;
+
+        let response;
+        try {
+            response = await this.fetch(this.url + path, {
+                method,
+                headers,
+                body: body ? JSON.stringify(body) : undefined,
+                cache: 'no-store'
+            });
+        } catch (error) {
+            throw new Error('Could not reach the sync server');
+        }
+
+        if (response.status === 401 || response.status === 403) {
+            throw new Error('The sync server did not accept the access token');
+        }
+        if (!response.ok) {
+            throw new Error(`The sync server responded with an error (${response.status})`);
+        }
+        return response;
+    }
+
+    async encryptItem(item) {
+        const vault = await this.vaultFor(this.salt, this.iterations);
+        const payload = item.deleted ? { id: item.id, updatedAt: item.updatedAt, deleted: true } : item.entry;
+
+        return {
+            id: item.id,
+            updatedAt: item.updatedAt,
+            deleted: item.deleted,
+            kdf: { salt: this.salt, iterations: this.iterations },
+            ...await vault.encrypt(payload)
+        };
+    }
+
+    async decryptRecord(record) {
+        const kdf = record.kdf || {};
+        if (typeof kdf.salt !== 'string' || !Number.isInteger(kdf.iterations) || kdf.iterations < 1 ||
+            kdf.iterations > CryptoVault.MAX_ITERATIONS) {
+            throw new Error('An entry on the sync server has missing or unsupported key settings');
+        }
+
+        const vault = await this.vaultFor(kdf.salt, kdf.iterations);
+        let payload;
+        try {
+            payload = await vault.decrypt(record);
+        } catch (error) {
+            throw new Error('The sync passphrase doesn\'t match the one used for the data on the server');
+        }
+
+        // The plaintext fields are only hints for the server; the encrypted copy has to agree with them
+        if (!payload || payload.id !== record.id || payload.updatedAt !== record.updatedAt ||
+            Boolean(payload.deleted) !== Boolean(record.deleted)) {
+            throw new Error('An entry on the sync server doesn\'t match its record');
+        }
+        return payload;
+    }
+
+    vaultFor(salt, iterations) {
+        const key = `${iterations}:${salt}`;
+        // Cache the promise, so records decrypted side by side share one key derivation
+        if (!this.vaults.has(key)) {
+            const vault = new CryptoVault(iterations);
+            this.vaults.set(key, vault.unlock(this.passphrase, salt).then(() => vault));
+        }
+        return this.vaults.get(key);
+    }
+
+    static normalizeUrl(url) {
+        return String(url || '').trim().replace(/\/+$/, '');
+    }
+
+    // Plain http is only allowed to this machine, where a stub server is likely to run
+    static checkUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(SyncClient.normalizeUrl(url));
+        } catch (error) {
+            return 'Enter the full address of your sync server, like https://sync.example.com/me';
+        }
+
+        const local = ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname);
+        if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && local)) {
+            return 'The sync server must use https (plain http is only allowed for localhost)';
+        }
+        return null;
+    }
+}
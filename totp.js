@@ -0,0 +1,125 @@
+// ========================================
+// TOTP (RFC 6238)
+// ========================================
+
+// Time-based one-time passwords as produced by authenticator apps: an HOTP
+// (RFC 4226) over the number of 30-second steps since the epoch. Everything
+// runs locally through crypto.subtle HMAC.
+class Totp {
+    // 20 bytes matches the SHA-1 block the RFC recommends and what most apps expect
+    static generateSecret(bytes = 20) {
+        return Totp.base32Encode(crypto.getRandomValues(new Uint8Array(bytes)));
+    }
+
+    static async hotp(key, counter, { digits = Totp.DIGITS, algorithm = Totp.ALGORITHM } = {}) {
+        const message = new Uint8Array(8);
+        new DataView(message.buffer).setBigUint64(0, BigInt(counter));
+
+        const cryptoKey = await crypto.subtle.importKey(
+            'raw', key, { name: 'HMAC', hash: algorithm }, false, ['sign']);
+        const mac = new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, message));
+
+        // Dynamic truncation: the low nibble of the last byte picks four bytes of the MAC
+        const offset = mac[mac.length - 1] & 0x0f;
+        const binary = ((mac[offset] & 0x7f) << 24) | (mac[offset + 1] << 16) |
+            (mac[offset + 2] << 8) | mac[offset + 3];
+
+        return String(binary % 10 ** digits).padStart(digits, '0');
+    }
+
+    static counterAt(time = Date.now(), period = Totp.PERIOD) {
+        return Math.floor(time / 1000 / period);
+    }
+
+    // `secret` is base32, as shown to the user; `key` bypasses decoding for raw test keys
+    static async generate(secret, { time = Date.now(), period = Totp.PERIOD, key, ...options } = {}) {
+        return Totp.hotp(key || Totp.base32Decode(secret), Totp.counterAt(time, period), options);
+    }
+
+    // Returns the counter the code matched, or null. Codes one step either side
+    // are accepted to allow for clock drift; the caller rejects counters it has
+    // already seen so a code can't be replayed.
+    static async verify(secret, code, { time = Date.now(), period = Totp.PERIOD, window = 1, ...options } = {}) {
+        const digits = options.digits || Totp.DIGITS;
+        const normalized = String(code).replace(/\s/g, '');
+        if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) return null;
+
+        const key = Totp.base32Decode(secret);
+        const current = Totp.counterAt(time, period);
+
+        for (let counter = current - window; counter <= current + window; counter++) {
+            if (await Totp.hotp(key, counter, options) === normalized) {
+                return counter;
+            }
+        }
+
+        return null;
+    }
+
+    // Key URI format understood by Google Authenticator, Authy, 1Password and others
+    static buildUri({ secret, account, issuer }) {
+        const label = encodeURIComponent(issuer) + ':' + encodeURIComponent(account);
+        const params = {
+            secret,
+            issuer,
+            algorithm: Totp.ALGORITHM.replace('-', ''),
+            digits: Totp.DIGITS,
+            period: Totp.PERIOD
+        };
+        // Percent-encoded rather than URLSearchParams, since some apps show a "+" for spaces literally
+        const query = Object.entries(params)
+            .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+            .join('&');
+        return `otpauth://totp/${label}?${query}`;
+    }
+
+    static base32Encode(bytes) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+
+        bytes.forEach(byte => {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += Totp.BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        });
+
+        if (bits > 0) {
+            output += Totp.BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+
+        return output;
+    }
+
+    // Lenient about case, spaces and padding, since secrets are often typed in by hand
+    static base32Decode(text) {
+        const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+        const bytes = [];
+        let bits = 0;
+        let value = 0;
+
+        for (const char of clean) {
+            const index = Totp.BASE32_ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new Error(`Invalid character "${char}" in secret`);
+            }
+
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 0xff);
+                bits -= 8;
+            }
+        }
+
+        return new Uint8Array(bytes);
+    }
+}
+
+Totp.BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+Totp.ALGORITHM = 'SHA-1';
+Totp.DIGITS = 6;
+Totp.PERIOD = 30;